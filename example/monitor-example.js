@@ -21,11 +21,15 @@ function main() {
 
         switch (type) {
             case Registry.ValueType.REG_DWORD:
-            case Registry.ValueType.REG_QWORD:
                 // Value is expected as unsigned integer
                 value = parseInt(value);
                 break;
 
+            case Registry.ValueType.REG_QWORD:
+                // Value is expected as BigInt
+                value = BigInt(value);
+                break;
+
             case Registry.ValueType.REG_SZ:
             case Registry.ValueType.REG_EXPAND_SZ:
                 // Value is expected as string
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Expands environment-variable references in a string, following the rules of ExpandEnvironmentStringsW:
+ * - A reference is a variable name enclosed in percent signs, e.g. %USERPROFILE%. Variable names are case-insensitive.
+ * - A reference to an unknown variable is left as it is, and its closing percent sign may start the next reference, e.g. "%UNKNOWN%PATH%" becomes "%UNKNOWN" followed by the value of PATH.
+ * - "%%" is a reference to a variable with empty name, which never exists, so it is left as it is.
+ * - A percent sign without a closing one is left as it is.
+ * @param {string} str - The string to be expanded.
+ * @param {object} variables - (Optional) An object that maps variable names to values. If not provided, process.env is used.
+ * @return {string} Expanded string.
+ */
+function expandEnvironmentStrings(str, variables = process.env) {
+    const lookup = createVariableLookup(variables);
+    let expanded = '';
+    let pos = 0;
+    while (pos < str.length) {
+        const start = str.indexOf('%', pos);
+        const end = (start === -1) ? -1 : str.indexOf('%', start + 1);
+        if (end === -1) {
+            // No more references
+            expanded += str.slice(pos);
+            break;
+        }
+
+        expanded += str.slice(pos, start);
+        const value = lookup(str.slice(start + 1, end));
+        if (value !== undefined) {
+            expanded += value;
+            pos = end + 1;
+        } else {
+            // Keep the unknown reference, but let its closing percent sign start the next reference
+            expanded += str.slice(start, end);
+            pos = end;
+        }
+    }
+
+    return expanded;
+}
+
+/** Private function: creates a case-insensitive lookup function of variables. */
+function createVariableLookup(variables) {
+    const upperCaseVariables = new Map();
+    for (const name of Object.keys(variables)) {
+        const upperCaseName = name.toUpperCase();
+        if (!upperCaseVariables.has(upperCaseName) && variables[name] !== undefined && variables[name] !== null) {
+            upperCaseVariables.set(upperCaseName, String(variables[name]));
+        }
+    }
+
+    return (name => (name === '') ? undefined : upperCaseVariables.get(name.toUpperCase()));
+}
+
+module.exports = {
+    expandEnvironmentStrings,
+};
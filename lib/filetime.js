@@ -0,0 +1,22 @@
+'use strict';
+
+/** Size of FILETIME structure in bytes. */
+const FileTimeSize = 8;
+
+// Number of 100-nanosecond intervals between FILETIME epoch (January 1, 1601 UTC) and Unix epoch (January 1, 1970 UTC)
+const FileTimeUnixEpoch = 116444736000000000n;
+
+/**
+ * Converts a FILETIME structure to a Date. Precision below millisecond is dropped.
+ * @param {Buffer} fileTime - The buffer that contains the FILETIME structure.
+ * @param {integer} offset - (Optional) The byte offset of the FILETIME structure in the buffer. If not provided, default value 0 is used.
+ * @return {Date} Converted Date.
+ */
+function fileTimeToDate(fileTime, offset = 0) {
+    return new Date(Number((fileTime.readBigUInt64LE(offset) - FileTimeUnixEpoch) / 10000n));
+}
+
+module.exports = {
+    FileTimeSize,
+    fileTimeToDate,
+};
@@ -0,0 +1,613 @@
+'use strict';
+
+const RegistryBackend = require('./registry-backend.js');
+const {
+    RegistryValueType,
+    RegistryKeyAccessRight,
+    RegistryKeyNotifyFilter,
+    WaitForMultipleObjectsResult,
+    MaximumWaitObjects,
+    ErrorCode } = require('./registry-constants.js');
+
+/** Descriptions of the Windows system error codes the in-memory backend may return. */
+const ErrorText = {
+    [ErrorCode.Success]: 'The operation completed successfully.',
+    [ErrorCode.KeyNotFound]: 'The system cannot find the file specified.',
+    [ErrorCode.AccessDenied]: 'Access is denied.',
+    [ErrorCode.InvalidHandle]: 'The handle is invalid.',
+    [ErrorCode.InvalidParameter]: 'The parameter is incorrect.',
+    [ErrorCode.MoreData]: 'More data is available.',
+    [ErrorCode.NoMoreItems]: 'No more data is available.',
+    [ErrorCode.KeyMarkedForDeletion]: 'Illegal operation attempted on a registry key that has been marked for deletion.',
+};
+
+// Maximum length of a key name, as documented in "Registry Element Size Limits"
+const MaxKeyNameLength = 255;
+
+// Maximum length of a value name, as documented in "Registry Element Size Limits"
+const MaxValueNameLength = 16383;
+
+/** Private class. Representing a key stored in memory. */
+class MemoryKey {
+    /**
+     * Constructor.
+     * @param {string} name - The name of the key.
+     * @param {MemoryKey} parent - The parent key, or null for a root key.
+     */
+    constructor(name, parent) {
+        this.name = name;
+        this.parent = parent;
+        this.subKeys = new Map(); // Keyed by upper-cased name since key names are case-insensitive
+        this.values = new Map(); // Keyed by upper-cased name since value names are case-insensitive
+        this.className = '';
+        this.lastWriteTime = new Date();
+        this.deleted = false;
+    }
+
+    /**
+     * Checks whether this key is the given key, or a descendant of it.
+     * @param {MemoryKey} ancestor - The possible ancestor key.
+     * @return {boolean} Whether this key is in the sub tree of the given key.
+     */
+    isInSubtreeOf(ancestor) {
+        for (let key = this; key !== null; key = key.parent) {
+            if (key === ancestor) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+}
+
+/** Private class. Waits for groups of events of the in-memory backend, see RegistryBackend.createWaitWorker(). */
+class MemoryWaitWorker {
+    /**
+     * Constructor.
+     * @param {MemoryRegistryBackend} backend - The backend that created the events.
+     * @param {function} callback - Invoked with (err, waitHandles) when events are signaled.
+     */
+    constructor(backend, callback) {
+        this.backend = backend;
+        this.callback = callback;
+        this.groups = [];
+    }
+
+    /**
+     * Replaces the groups of events being waited for.
+     * @param {object[][]} groups - Groups of event handles, each with an event used to wake up the wait as its first handle.
+     */
+    update(groups) {
+        this.groups = groups;
+
+        // Some of the events may be signaled already
+        this.backend.scheduleWaitCheck();
+    }
+
+    /**
+     * Stops waiting.
+     */
+    stop() {
+        this.backend.waitWorkers.delete(this);
+    }
+
+    /** Private method: reports the events that are signaled, resetting them. */
+    check() {
+        const waitHandles = [];
+        let err = null;
+        this.groups.forEach(group => {
+            for (let i = 0; i < group.length; ++i) {
+                const result = this.backend.waitForMultipleObjects(group, 0); // Do not wait
+                if (result === WaitForMultipleObjectsResult.WAIT_FAILED) {
+                    err = new Error('WaitForMultipleObjects failed!');
+                    break;
+                } else if (result === WaitForMultipleObjectsResult.WAIT_TIMEOUT) {
+                    break;
+                } else if (result > WaitForMultipleObjectsResult.WAIT_OBJECT_0) {
+                    waitHandles.push(group[result - WaitForMultipleObjectsResult.WAIT_OBJECT_0]);
+                }
+            }
+        });
+
+        if (err !== null || waitHandles.length > 0) {
+            this.callback(err, waitHandles);
+        }
+    }
+}
+
+/**
+ * Registry backend that keeps keys and values in memory. It doesn't touch the live registry, so it can be used on any platform, e.g. in tests.
+ * Note, since everything happens on the calling thread, waitForMultipleObjects() never blocks: it only reports events that are already signaled.
+ * Waiters created by createWaitWorker() report signaled events after the current operation.
+ */
+class MemoryRegistryBackend extends RegistryBackend {
+    /**
+     * Constructor.
+     */
+    constructor() {
+        super();
+        this.waitWorkers = new Set();
+        this.waitCheckScheduled = false;
+        this.reset();
+    }
+
+    /**
+     * @return {string} Name of the backend, used in log messages.
+     */
+    get name() {
+        return 'memory';
+    }
+
+    /**
+     * Removes all keys and values, and forgets all pending notifications. Existing handles become invalid.
+     */
+    reset() {
+        if (this.rootKeys) {
+            this.rootKeys.forEach(rootKey => this.markDeleted(rootKey));
+        }
+
+        this.rootKeys = new Map();
+        this.notifications = [];
+    }
+
+    /**
+     * Opens an existing key. See RegistryBackend.openKey().
+     */
+    openKey(rootKey, subKey, accessRight) {
+        const key = this.findKey(rootKey, subKey);
+        if (key === null) {
+            return {
+                result: ErrorCode.KeyNotFound,
+                handle: null,
+            };
+        }
+
+        return {
+            result: ErrorCode.Success,
+            handle: this.createKeyHandle(key, accessRight),
+        };
+    }
+
+    /**
+     * Opens a key, and creates it if it doesn't exist. See RegistryBackend.createKey().
+     */
+    createKey(rootKey, subKey, options, accessRight) {
+        const names = this.splitPath(subKey);
+        if (names.some(name => name.length > MaxKeyNameLength)) {
+            return {
+                result: ErrorCode.InvalidParameter,
+                handle: null,
+            };
+        }
+
+        let key = this.getRootKey(rootKey);
+        for (const name of names) {
+            let subKeyFound = key.subKeys.get(name.toUpperCase());
+            if (!subKeyFound) {
+                subKeyFound = new MemoryKey(name, key);
+                key.subKeys.set(name.toUpperCase(), subKeyFound);
+                key.lastWriteTime = new Date();
+                this.signal(key, RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_NAME);
+            }
+            key = subKeyFound;
+        }
+
+        return {
+            result: ErrorCode.Success,
+            handle: this.createKeyHandle(key, accessRight),
+        };
+    }
+
+    /**
+     * Retrieves the type and raw data of a value. See RegistryBackend.queryValue().
+     */
+    queryValue(handle, name) {
+        let result = this.checkKeyHandle(handle, RegistryKeyAccessRight.KEY_QUERY_VALUE);
+        if (result === ErrorCode.Success) {
+            const value = handle.key.values.get(name.toUpperCase());
+            if (value) {
+                return {
+                    result: result,
+                    type: value.type,
+                    data: Buffer.from(value.data), // Return a copy so callers cannot modify the stored data
+                };
+            }
+
+            result = ErrorCode.KeyNotFound;
+        }
+
+        return {
+            result: result,
+            type: RegistryValueType.REG_NONE,
+            data: null,
+        };
+    }
+
+    /**
+     * Sets the type and raw data of a value. See RegistryBackend.setValue().
+     */
+    setValue(handle, name, type, data) {
+        const result = this.checkKeyHandle(handle, RegistryKeyAccessRight.KEY_SET_VALUE);
+        if (result !== ErrorCode.Success) {
+            return result;
+        }
+
+        if (name.length > MaxValueNameLength || !Number.isInteger(type) || type < 0 || type > 0xFFFFFFFF || !Buffer.isBuffer(data)) {
+            return ErrorCode.InvalidParameter;
+        }
+
+        const key = handle.key;
+        key.values.set(name.toUpperCase(), {
+            name: name,
+            type: type,
+            data: Buffer.from(data), // Store a copy so callers cannot modify the stored data
+        });
+        key.lastWriteTime = new Date();
+        this.signal(key, RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_LAST_SET);
+        return ErrorCode.Success;
+    }
+
+    /**
+     * Deletes a value. See RegistryBackend.deleteValue().
+     */
+    deleteValue(handle, name) {
+        const result = this.checkKeyHandle(handle, RegistryKeyAccessRight.KEY_SET_VALUE);
+        if (result !== ErrorCode.Success) {
+            return result;
+        }
+
+        const key = handle.key;
+        if (!key.values.delete(name.toUpperCase())) {
+            return ErrorCode.KeyNotFound;
+        }
+
+        key.lastWriteTime = new Date();
+        this.signal(key, RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_LAST_SET);
+        return ErrorCode.Success;
+    }
+
+    /**
+     * Deletes a key that has no sub keys. See RegistryBackend.deleteKey().
+     */
+    deleteKey(rootKey, subKey) {
+        return this.removeKey(rootKey, subKey, false);
+    }
+
+    /**
+     * Deletes a key with all its values and sub keys. See RegistryBackend.deleteTree().
+     */
+    deleteTree(rootKey, subKey) {
+        return this.removeKey(rootKey, subKey, true);
+    }
+
+    /**
+     * Retrieves the name of a sub key by index. See RegistryBackend.enumKey().
+     * Same as Windows, sub keys are enumerated in case-insensitive alphabetical order.
+     */
+    enumKey(handle, index) {
+        let result = this.checkKeyHandle(handle, RegistryKeyAccessRight.KEY_ENUMERATE_SUB_KEYS);
+        if (result === ErrorCode.Success) {
+            const sortedKeys = [...handle.key.subKeys.keys()].sort();
+            if (index >= 0 && index < sortedKeys.length) {
+                return {
+                    result: result,
+                    name: handle.key.subKeys.get(sortedKeys[index]).name,
+                };
+            }
+
+            result = ErrorCode.NoMoreItems;
+        }
+
+        return {
+            result: result,
+            name: null,
+        };
+    }
+
+    /**
+     * Retrieves the name, type and raw data of a value by index. See RegistryBackend.enumValue().
+     * Values are enumerated in the order they were created.
+     */
+    enumValue(handle, index) {
+        let result = this.checkKeyHandle(handle, RegistryKeyAccessRight.KEY_QUERY_VALUE);
+        if (result === ErrorCode.Success) {
+            const values = [...handle.key.values.values()];
+            if (index >= 0 && index < values.length) {
+                return {
+                    result: result,
+                    name: values[index].name,
+                    type: values[index].type,
+                    data: Buffer.from(values[index].data), // Return a copy so callers cannot modify the stored data
+                };
+            }
+
+            result = ErrorCode.NoMoreItems;
+        }
+
+        return {
+            result: result,
+            name: null,
+            type: RegistryValueType.REG_NONE,
+            data: null,
+        };
+    }
+
+    /**
+     * Retrieves information about a key. See RegistryBackend.queryInfoKey().
+     */
+    queryInfoKey(handle) {
+        const result = this.checkKeyHandle(handle, RegistryKeyAccessRight.KEY_QUERY_VALUE);
+        if (result !== ErrorCode.Success) {
+            return {
+                result: result,
+                info: null,
+            };
+        }
+
+        const key = handle.key;
+        const subKeys = [...key.subKeys.values()];
+        const values = [...key.values.values()];
+        return {
+            result: result,
+            info: {
+                className: key.className,
+                subKeyCount: subKeys.length,
+                maxSubKeyNameLength: Math.max(0, ...subKeys.map(subKey => subKey.name.length)),
+                maxClassNameLength: Math.max(0, ...subKeys.map(subKey => subKey.className.length)),
+                valueCount: values.length,
+                maxValueNameLength: Math.max(0, ...values.map(value => value.name.length)),
+                maxValueDataSize: Math.max(0, ...values.map(value => value.data.length)),
+                lastWriteTime: new Date(key.lastWriteTime),
+            },
+        };
+    }
+
+    /**
+     * Registers an event to be signaled when a change happens in a key. See RegistryBackend.notifyChangeKeyValue().
+     */
+    notifyChangeKeyValue(handle, watchSubtree, notifyFilter, waitHandle) {
+        const result = this.checkKeyHandle(handle, RegistryKeyAccessRight.KEY_NOTIFY);
+        if (result !== ErrorCode.Success) {
+            return result;
+        }
+
+        if (!this.isValidWaitHandle(waitHandle)) {
+            return ErrorCode.InvalidHandle;
+        }
+
+        this.notifications.push({
+            handle: handle,
+            watchSubtree: watchSubtree,
+            notifyFilter: notifyFilter,
+            waitHandle: waitHandle,
+        });
+        return ErrorCode.Success;
+    }
+
+    /**
+     * Closes a key handle. See RegistryBackend.closeKey().
+     */
+    closeKey(handle) {
+        if (!this.isValidKeyHandle(handle)) {
+            return ErrorCode.InvalidHandle;
+        }
+
+        handle.closed = true;
+
+        // Same as Windows, closing a key handle signals all pending notifications registered through it
+        this.notifications = this.notifications.filter(notification => {
+            if (notification.handle === handle) {
+                this.setEvent(notification.waitHandle);
+                return false;
+            }
+            return true;
+        });
+        return ErrorCode.Success;
+    }
+
+    /**
+     * Creates an event. See RegistryBackend.createEvent().
+     */
+    createEvent() {
+        return {
+            backend: this,
+            kind: 'event',
+            signaled: false,
+            closed: false,
+        };
+    }
+
+    /**
+     * Closes an event handle. See RegistryBackend.closeHandle().
+     */
+    closeHandle(waitHandle) {
+        if (!this.isValidWaitHandle(waitHandle)) {
+            return false;
+        }
+
+        waitHandle.closed = true;
+        this.notifications = this.notifications.filter(notification => notification.waitHandle !== waitHandle);
+        return true;
+    }
+
+    /**
+     * Sets an event to signaled state. See RegistryBackend.setEvent().
+     */
+    setEvent(waitHandle) {
+        if (!this.isValidWaitHandle(waitHandle)) {
+            return false;
+        }
+
+        waitHandle.signaled = true;
+        this.scheduleWaitCheck();
+        return true;
+    }
+
+    /**
+     * Builds the wait handle array. See RegistryBackend.createWaitHandleArray().
+     */
+    createWaitHandleArray(waitHandles) {
+        return [...waitHandles];
+    }
+
+    /**
+     * Checks whether any of the events is signaled. See RegistryBackend.waitForMultipleObjects().
+     * Note, the timeout is ignored since nothing could signal an event while the calling thread is blocked.
+     */
+    waitForMultipleObjects(waitHandleArray, timeout) {
+        // Same limit as WaitForMultipleObjects API
+        if (waitHandleArray.length === 0 || waitHandleArray.length > MaximumWaitObjects || !waitHandleArray.every(waitHandle => this.isValidWaitHandle(waitHandle))) {
+            return WaitForMultipleObjectsResult.WAIT_FAILED;
+        }
+
+        const index = waitHandleArray.findIndex(waitHandle => waitHandle.signaled);
+        if (index < 0) {
+            return WaitForMultipleObjectsResult.WAIT_TIMEOUT;
+        }
+
+        // Events are auto-reset
+        waitHandleArray[index].signaled = false;
+        return WaitForMultipleObjectsResult.WAIT_OBJECT_0 + index;
+    }
+
+    /**
+     * Creates a waiter for groups of events. See RegistryBackend.createWaitWorker().
+     */
+    createWaitWorker(callback) {
+        const waitWorker = new MemoryWaitWorker(this, callback);
+        this.waitWorkers.add(waitWorker);
+        return waitWorker;
+    }
+
+    /**
+     * Retrieves the description of a Windows system error code. See RegistryBackend.getErrorText().
+     */
+    getErrorText(errorCode) {
+        return ErrorText[errorCode] ?? 'Unknown error.';
+    }
+
+    /** Private method: gets the key stored for a predefined root key, creating it on first use. */
+    getRootKey(rootKey) {
+        let key = this.rootKeys.get(rootKey);
+        if (!key) {
+            key = new MemoryKey('', null);
+            this.rootKeys.set(rootKey, key);
+        }
+        return key;
+    }
+
+    /** Private method: finds an existing key by path. */
+    findKey(rootKey, subKey) {
+        let key = this.getRootKey(rootKey);
+        for (const name of this.splitPath(subKey)) {
+            key = key.subKeys.get(name.toUpperCase());
+            if (!key) {
+                return null;
+            }
+        }
+        return key;
+    }
+
+    /** Private method: splits a sub key path into key names. */
+    splitPath(subKey) {
+        return subKey.split('\\').filter(name => name.length > 0);
+    }
+
+    /** Private method: creates a key handle. */
+    createKeyHandle(key, accessRight) {
+        return {
+            backend: this,
+            kind: 'key',
+            key: key,
+            accessRight: accessRight,
+            closed: false,
+        };
+    }
+
+    /** Private method: checks whether a key handle is usable for an operation that requires the given access right. */
+    checkKeyHandle(handle, accessRight) {
+        if (!this.isValidKeyHandle(handle)) {
+            return ErrorCode.InvalidHandle;
+        } else if (handle.key.deleted) {
+            return ErrorCode.KeyMarkedForDeletion;
+        } else if ((handle.accessRight & accessRight) !== accessRight) {
+            return ErrorCode.AccessDenied;
+        }
+
+        return ErrorCode.Success;
+    }
+
+    /** Private method: checks whether a key handle was created by this backend and not closed yet. */
+    isValidKeyHandle(handle) {
+        return handle !== null && typeof handle === 'object' && handle.backend === this && handle.kind === 'key' && !handle.closed;
+    }
+
+    /** Private method: checks whether an event handle was created by this backend and not closed yet. */
+    isValidWaitHandle(waitHandle) {
+        return waitHandle !== null && typeof waitHandle === 'object' && waitHandle.backend === this && waitHandle.kind === 'event' && !waitHandle.closed;
+    }
+
+    /** Private method: checks events of waiters after the current operation, so callbacks never run in the middle of it. */
+    scheduleWaitCheck() {
+        if (this.waitCheckScheduled || this.waitWorkers.size === 0) {
+            return;
+        }
+
+        this.waitCheckScheduled = true;
+        setImmediate(() => {
+            this.waitCheckScheduled = false;
+
+            // Callbacks may stop other waiters
+            [...this.waitWorkers].forEach(waitWorker => {
+                if (this.waitWorkers.has(waitWorker)) {
+                    waitWorker.check();
+                }
+            });
+        });
+    }
+
+    /** Private method: removes a key from its parent. */
+    removeKey(rootKey, subKey, recursive) {
+        const key = this.findKey(rootKey, subKey);
+        if (key === null) {
+            return ErrorCode.KeyNotFound;
+        } else if (key.parent === null || (!recursive && key.subKeys.size > 0)) {
+            // Root keys cannot be deleted, and same as Windows, a key with sub keys cannot be deleted unless the whole tree is deleted
+            return ErrorCode.AccessDenied;
+        }
+
+        const parent = key.parent;
+        parent.subKeys.delete(key.name.toUpperCase());
+        parent.lastWriteTime = new Date();
+        this.markDeleted(key);
+        this.signal(parent, RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_NAME);
+        return ErrorCode.Success;
+    }
+
+    /** Private method: marks a key and its sub tree as deleted, signaling notifications registered on them. */
+    markDeleted(key) {
+        key.subKeys.forEach(subKey => this.markDeleted(subKey));
+        key.deleted = true;
+        this.notifications = this.notifications.filter(notification => {
+            if (notification.handle.key === key) {
+                this.setEvent(notification.waitHandle);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /** Private method: signals notifications that are interested in a change of the given category happened in the given key. Notifications only trigger once. */
+    signal(key, notifyFilter) {
+        this.notifications = this.notifications.filter(notification => {
+            const watchedKey = notification.handle.key;
+            if ((notification.notifyFilter & notifyFilter) !== 0 && (watchedKey === key || (notification.watchSubtree && key.isInSubtreeOf(watchedKey)))) {
+                this.setEvent(notification.waitHandle);
+                return false;
+            }
+            return true;
+        });
+    }
+}
+
+module.exports = MemoryRegistryBackend;
@@ -0,0 +1,365 @@
+'use strict';
+
+const {
+    RootKey,
+    RegistryValueType } = require('./registry-constants.js');
+const { decodeValue } = require('./registry-value-codec.js');
+
+/** Header line of .reg files written by regedit on Windows 2000 and later. */
+const RegFileHeader = 'Windows Registry Editor Version 5.00';
+
+/** Header line of .reg files written by regedit on Windows 95/98/NT, which are ANSI encoded. */
+const RegFileAnsiHeader = 'REGEDIT4';
+
+/** Line separator used by regedit. */
+const RegFileNewLine = '\r\n';
+
+/** Byte order mark that starts a UTF-16LE .reg file. */
+const Utf16LeBom = Buffer.from([0xFF, 0xFE]);
+
+/** Byte order mark that starts a UTF-8 .reg file. */
+const Utf8Bom = Buffer.from([0xEF, 0xBB, 0xBF]);
+
+// Regedit wraps hex data once a line reaches this many characters, and indents continuation lines with 2 spaces
+const MaxHexLineLength = 77;
+const HexContinuationIndent = '  ';
+
+/**
+ * Formats keys and their values as the content of a .reg file, the same way regedit exports them.
+ * @param {object[]} keys - The keys to be exported, in the order they should appear. Each key is an object containing:
+ *                          path: The full key path, starting with the full name of the root key, e.g. HKEY_CURRENT_USER\Software.
+ *                          values: Values of the key, where each value is an object containing name, type and raw data as Buffer.
+ * @return {string} Content of the .reg file.
+ */
+function formatRegFile(keys) {
+    const lines = [RegFileHeader, ''];
+    keys.forEach(key => {
+        lines.push(`[${key.path}]`);
+        key.values.forEach(value => lines.push(formatRegValue(value.name, value.type, value.data)));
+        lines.push('');
+    });
+    lines.push('');
+
+    return lines.join(RegFileNewLine);
+}
+
+/**
+ * Formats a value as a line (possibly wrapped into multiple lines) of a .reg file.
+ * @param {string} name - The name of the value. An empty string refers to the default value of the key.
+ * @param {integer} type - The value type as defined in Registry.ValueType.
+ * @param {Buffer} data - The raw data of the value.
+ * @return {string} Formatted value.
+ */
+function formatRegValue(name, type, data) {
+    const formattedName = (name === '') ? '@=' : `"${escapeRegString(name)}"=`;
+    switch (type) {
+        case RegistryValueType.REG_SZ: {
+            const str = decodeRegString(data);
+            if (str !== null) {
+                return `${formattedName}"${escapeRegString(str)}"`;
+            }
+            break;
+        }
+
+        case RegistryValueType.REG_DWORD:
+            if (data.length === 4) {
+                return `${formattedName}dword:${data.readUInt32LE().toString(16).padStart(8, '0')}`;
+            }
+            break;
+    }
+
+    // Anything that cannot be written as a string or a dword is written as hex, which keeps the data byte-for-byte
+    const dataType = (type === RegistryValueType.REG_BINARY) ? 'hex:' : `hex(${type.toString(16)}):`;
+    return formattedName + dataType + formatRegHexData(data, formattedName.length + dataType.length);
+}
+
+/**
+ * Encodes the content of a .reg file as UTF-16LE with a byte order mark, which is the encoding regedit uses for version 5.00 files.
+ * @param {string} text - Content of the .reg file.
+ * @return {Buffer} Encoded content.
+ */
+function encodeRegFile(text) {
+    return Buffer.concat([Utf16LeBom, Buffer.from(text, 'utf16le')]);
+}
+
+/**
+ * Decodes the content of a .reg file. UTF-16LE and UTF-8 are detected by their byte order mark (or, for UTF-16LE, by the NULL high bytes of the header),
+ * and anything else is treated as ANSI, which is what REGEDIT4 files use.
+ * @param {Buffer} buffer - Content of the .reg file.
+ * @return {string} Decoded content.
+ */
+function decodeRegFile(buffer) {
+    if (buffer.subarray(0, Utf16LeBom.length).equals(Utf16LeBom)) {
+        return buffer.toString('utf16le', Utf16LeBom.length);
+    } else if (buffer.subarray(0, Utf8Bom.length).equals(Utf8Bom)) {
+        return buffer.toString('utf8', Utf8Bom.length);
+    } else if (buffer.length >= 2 && buffer[0] !== 0 && buffer[1] === 0) {
+        return buffer.toString('utf16le');
+    }
+    return buffer.toString('latin1');
+}
+
+/**
+ * Parses the content of a .reg file into a list of operations, in the order regedit would apply them:
+ * - [KEY] creates the key if it doesn't exist (createKey), and following value lines apply to it.
+ * - [-KEY] deletes the key with all its values and sub keys (deleteKey). Value lines following it are ignored, as regedit does.
+ * - "name"=data or @=data sets a value (setValue), where data is a quoted string, dword:XXXXXXXX, hex:XX,XX,... or hex(n):XX,XX,...
+ *   Hex data can continue on following lines by ending a line with a backslash.
+ * - "name"=- or @=- deletes a value (deleteValue).
+ * Lines starting with a semicolon are comments.
+ * @param {string} text - Content of the .reg file, starting with either "Windows Registry Editor Version 5.00" or "REGEDIT4".
+ * @return {object} An object containing:
+ *                  header: The header line of the file.
+ *                  operations: The parsed operations. Each operation is an object containing:
+ *                              operation: One of 'createKey', 'deleteKey', 'setValue' and 'deleteValue'.
+ *                              path: The key path, as written in the file.
+ *                              name: The name of the value (setValue and deleteValue only). An empty string refers to the default value of the key.
+ *                              type: The value type as defined in Registry.ValueType (setValue only).
+ *                              data: The raw data of the value as a Buffer (setValue only). Strings in REGEDIT4 files are converted to UTF-16LE.
+ *                              line: The line number (starting from 1) where the operation is defined.
+ * @throws {SyntaxError} If the content cannot be parsed. The error has line and column (both starting from 1) properties that point to the problem.
+ */
+function parseRegFile(text) {
+    const reader = new RegFileLineReader(text.startsWith('\uFEFF') ? text.slice(1) : text);
+    const header = reader.next();
+    if (header === null || (header.text.trimEnd() !== RegFileHeader && header.text.trimEnd() !== RegFileAnsiHeader)) {
+        throw createRegFileSyntaxError(`File has to start with "${RegFileHeader}" or "${RegFileAnsiHeader}"`, header === null ? reader.position() : header.position(0));
+    }
+
+    const ansi = (header.text.trimEnd() === RegFileAnsiHeader);
+    const operations = [];
+    let currentKey = null;
+    for (let line = reader.next(); line !== null; line = reader.next()) {
+        const text = line.text;
+        const start = text.length - text.trimStart().length;
+        if (start === text.length || text[start] === ';') {
+            // Empty line or comment
+            continue;
+        }
+
+        if (text[start] === '[') {
+            const end = text.lastIndexOf(']');
+            if (end === -1) {
+                throw createRegFileSyntaxError('Key is not closed by "]"', line.position(text.length));
+            }
+
+            const deletion = (text[start + 1] === '-');
+            const path = text.slice(start + (deletion ? 2 : 1), end);
+            const rootKey = path.split('\\')[0].toUpperCase();
+            if (!RootKey.hasOwnProperty(rootKey)) {
+                throw createRegFileSyntaxError(`"${path.split('\\')[0]}" is not a predefined Windows registry root key`, line.position(start + (deletion ? 2 : 1)));
+            }
+
+            operations.push({ operation: deletion ? 'deleteKey' : 'createKey', path, line: line.number });
+            currentKey = { path, deleted: deletion };
+            continue;
+        }
+
+        const value = parseRegValue(line, start, ansi);
+        if (currentKey === null) {
+            throw createRegFileSyntaxError('Value is defined before any key', line.position(start));
+        }
+        if (!currentKey.deleted) {
+            operations.push({ path: currentKey.path, ...value, line: line.number });
+        }
+    }
+
+    return { header: header.text.trimEnd(), operations };
+}
+
+/** Private class: splits .reg file content into logical lines, joining hex data that continues on following lines. */
+class RegFileLineReader {
+    constructor(text) {
+        this.lines = text.split(/\r\n|\n|\r/);
+        this.index = 0;
+    }
+
+    /** Returns the next logical line, or null if there are no more lines. */
+    next() {
+        if (this.index >= this.lines.length) {
+            return null;
+        }
+
+        // Each segment maps a part of the logical line back to its physical line and column
+        const number = this.index + 1;
+        const segments = [{ offset: 0, line: number, column: 1 }];
+        let text = this.lines[this.index++];
+        while (/^\s*(@|".*")\s*=\s*hex(\([0-9a-fA-F]+\))?:.*\\\s*$/.test(text) && this.index < this.lines.length) {
+            // Hex data continues on the next line, whose leading whitespaces are ignored
+            text = text.trimEnd().slice(0, -1);
+            const next = this.lines[this.index++];
+            const indent = next.length - next.trimStart().length;
+            segments.push({ offset: text.length, line: this.index, column: indent + 1 });
+            text += next.slice(indent);
+        }
+
+        return {
+            text,
+            number,
+            position: (offset) => {
+                const segment = segments.filter(segment => segment.offset <= offset).pop();
+                return { line: segment.line, column: segment.column + offset - segment.offset };
+            },
+        };
+    }
+
+    /** Returns the position right after the last line, used when the content ends unexpectedly. */
+    position() {
+        return { line: this.lines.length, column: this.lines[this.lines.length - 1].length + 1 };
+    }
+}
+
+/** Private function: parses a value line, starting at the given offset. */
+function parseRegValue(line, offset, ansi) {
+    const text = line.text;
+    let name = '';
+    let pos = offset;
+    if (text[pos] === '@') {
+        ++pos;
+    } else if (text[pos] === '"') {
+        ({ str: name, end: pos } = parseRegString(line, pos));
+    } else {
+        throw createRegFileSyntaxError('Expected a key in brackets, a quoted value name or "@"', line.position(pos));
+    }
+
+    pos = skipWhitespaces(text, pos);
+    if (text[pos] !== '=') {
+        throw createRegFileSyntaxError('Expected "=" after value name', line.position(pos));
+    }
+    pos = skipWhitespaces(text, pos + 1);
+
+    let value = null;
+    if (text[pos] === '-') {
+        value = { operation: 'deleteValue', name };
+        ++pos;
+    } else if (text[pos] === '"') {
+        const { str, end } = parseRegString(line, pos);
+        value = { operation: 'setValue', name, type: RegistryValueType.REG_SZ, data: Buffer.from(str + '\0', 'utf16le') };
+        pos = end;
+    } else if (/^dword:/i.test(text.slice(pos))) {
+        pos += 'dword:'.length;
+        const digits = /^[0-9a-fA-F]{1,8}/.exec(text.slice(pos));
+        if (digits === null) {
+            throw createRegFileSyntaxError('Expected 1 to 8 hex digits of dword data', line.position(pos));
+        }
+        const data = Buffer.alloc(4);
+        data.writeUInt32LE(parseInt(digits[0], 16));
+        value = { operation: 'setValue', name, type: RegistryValueType.REG_DWORD, data };
+        pos += digits[0].length;
+    } else {
+        const hexType = /^hex(\(([0-9a-fA-F]{1,8})\))?:/i.exec(text.slice(pos));
+        if (hexType === null) {
+            throw createRegFileSyntaxError('Expected "-", a quoted string, "dword:", "hex:" or "hex(n):" as value data', line.position(pos));
+        }
+        const type = (hexType[2] === undefined) ? RegistryValueType.REG_BINARY : parseInt(hexType[2], 16);
+        pos += hexType[0].length;
+
+        const bytes = [];
+        const byteExpression = /\s*([0-9a-fA-F]{1,2})\s*(,|$|(?=;))/y;
+        while (skipWhitespaces(text, pos) < text.length && text[skipWhitespaces(text, pos)] !== ';') {
+            byteExpression.lastIndex = pos;
+            const match = byteExpression.exec(text);
+            if (match === null) {
+                throw createRegFileSyntaxError('Expected a hex byte', line.position(skipWhitespaces(text, pos)));
+            }
+            bytes.push(parseInt(match[1], 16));
+            pos = byteExpression.lastIndex;
+            if (match[2] !== ',') {
+                break;
+            }
+        }
+
+        let data = Buffer.from(bytes);
+        if (ansi && (type === RegistryValueType.REG_SZ || type === RegistryValueType.REG_EXPAND_SZ || type === RegistryValueType.REG_MULTI_SZ)) {
+            // REGEDIT4 files store strings as ANSI, while the registry stores them as UTF-16LE
+            data = Buffer.from(data.toString('latin1'), 'utf16le');
+        }
+        value = { operation: 'setValue', name, type, data };
+    }
+
+    pos = skipWhitespaces(text, pos);
+    if (pos < text.length && text[pos] !== ';') {
+        throw createRegFileSyntaxError('Unexpected characters after value data', line.position(pos));
+    }
+
+    return value;
+}
+
+/** Private function: parses a quoted string starting at the given offset, unescaping backslashes and quotes. */
+function parseRegString(line, offset) {
+    const text = line.text;
+    let str = '';
+    for (let pos = offset + 1; pos < text.length; ++pos) {
+        if (text[pos] === '"') {
+            return { str, end: pos + 1 };
+        } else if (text[pos] === '\\' && (text[pos + 1] === '\\' || text[pos + 1] === '"')) {
+            str += text[++pos];
+        } else {
+            str += text[pos];
+        }
+    }
+
+    throw createRegFileSyntaxError('String is not closed by a quote', line.position(text.length));
+}
+
+/** Private function: returns the offset of the first non-whitespace character at or after the given offset. */
+function skipWhitespaces(text, offset) {
+    while (offset < text.length && /\s/.test(text[offset])) {
+        ++offset;
+    }
+    return offset;
+}
+
+/** Private function: creates a SyntaxError that points to a position in the .reg file. */
+function createRegFileSyntaxError(message, { line, column }) {
+    const err = new SyntaxError(`${message} at line ${line}, column ${column}.`);
+    err.line = line;
+    err.column = column;
+    return err;
+}
+
+/** Private function: decodes REG_SZ data that can be written as a quoted string, or returns null if it has to be written as hex to be preserved. */
+function decodeRegString(data) {
+    try {
+        const str = decodeValue(RegistryValueType.REG_SZ, data, { strictStrings: true });
+        // A line break would end the line in the .reg file
+        return /[\r\n]/.test(str) ? null : str;
+    } catch {
+        return null;
+    }
+}
+
+/** Private function: escapes backslashes and quotes in a value name or string data. */
+function escapeRegString(str) {
+    return str.replace(/[\\"]/g, '\\$&');
+}
+
+/** Private function: formats data as comma separated hex bytes, wrapping lines the same way regedit does. */
+function formatRegHexData(data, lineLength) {
+    let formatted = '';
+    for (let i = 0; i < data.length; ++i) {
+        formatted += data[i].toString(16).padStart(2, '0');
+        if (i === data.length - 1) {
+            break;
+        }
+
+        formatted += ',';
+        lineLength += 3;
+        if (lineLength >= MaxHexLineLength) {
+            formatted += '\\' + RegFileNewLine + HexContinuationIndent;
+            lineLength = HexContinuationIndent.length;
+        }
+    }
+
+    return formatted;
+}
+
+module.exports = {
+    RegFileHeader,
+    RegFileAnsiHeader,
+    formatRegFile,
+    formatRegValue,
+    encodeRegFile,
+    decodeRegFile,
+    parseRegFile,
+};
@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * Base class of a native backend used by Registry to access Windows registry.
+ * A backend mirrors the semantics of the Win32 APIs it stands for: operations return Windows system error codes (0 for success), and key/event handles are opaque
+ * objects that are only meaningful to the backend that created them.
+ * Subclasses must implement all methods.
+ */
+class RegistryBackend {
+    /**
+     * @return {string} Name of the backend, used in log messages.
+     */
+    get name() {
+        return 'abstract';
+    }
+
+    /**
+     * Opens an existing key. Stands for RegOpenKeyExW.
+     * @param {integer} rootKey - The value of a predefined root key, as defined in Registry.Root.
+     * @param {string} subKey - The path of the sub key under the root key. An empty string refers to the root key itself.
+     * @param {integer} accessRight - Access rights requested for the returned handle.
+     * @return {object} An object containing:
+     *                  result: Windows system error code.
+     *                  handle: The opened key handle, or null if the operation fails.
+     */
+    openKey(rootKey, subKey, accessRight) {
+        throw new Error(`${this.constructor.name} does not implement openKey()!`);
+    }
+
+    /**
+     * Opens a key, and creates it (as well as any missing parent key) if it doesn't exist. Stands for RegCreateKeyExW.
+     * @param {integer} rootKey - The value of a predefined root key, as defined in Registry.Root.
+     * @param {string} subKey - The path of the sub key under the root key.
+     * @param {integer} options - Key creation options.
+     * @param {integer} accessRight - Access rights requested for the returned handle.
+     * @return {object} An object containing:
+     *                  result: Windows system error code.
+     *                  handle: The opened key handle, or null if the operation fails.
+     */
+    createKey(rootKey, subKey, options, accessRight) {
+        throw new Error(`${this.constructor.name} does not implement createKey()!`);
+    }
+
+    /**
+     * Retrieves the type and raw data of a value. Stands for RegQueryValueExW.
+     * @param {object} handle - The key handle.
+     * @param {string} name - The name of the value. An empty string refers to the default value of the key.
+     * @return {object} An object containing:
+     *                  result: Windows system error code.
+     *                  type: The value type as defined in Registry.ValueType, or REG_NONE if the operation fails.
+     *                  data: The raw data of the value as a Buffer, or null if the operation fails.
+     */
+    queryValue(handle, name) {
+        throw new Error(`${this.constructor.name} does not implement queryValue()!`);
+    }
+
+    /**
+     * Sets the type and raw data of a value. Stands for RegSetValueExW.
+     * @param {object} handle - The key handle.
+     * @param {string} name - The name of the value. An empty string refers to the default value of the key.
+     * @param {integer} type - The value type as defined in Registry.ValueType.
+     * @param {Buffer} data - The raw data of the value.
+     * @return {integer} Windows system error code.
+     */
+    setValue(handle, name, type, data) {
+        throw new Error(`${this.constructor.name} does not implement setValue()!`);
+    }
+
+    /**
+     * Deletes a value. Stands for RegDeleteValueW.
+     * @param {object} handle - The key handle.
+     * @param {string} name - The name of the value. An empty string refers to the default value of the key.
+     * @return {integer} Windows system error code.
+     */
+    deleteValue(handle, name) {
+        throw new Error(`${this.constructor.name} does not implement deleteValue()!`);
+    }
+
+    /**
+     * Deletes a key that has no sub keys. Stands for RegDeleteKeyW.
+     * @param {integer} rootKey - The value of a predefined root key, as defined in Registry.Root.
+     * @param {string} subKey - The path of the sub key under the root key. It cannot be empty.
+     * @return {integer} Windows system error code. ERROR_ACCESS_DENIED is returned if the key has sub keys.
+     */
+    deleteKey(rootKey, subKey) {
+        throw new Error(`${this.constructor.name} does not implement deleteKey()!`);
+    }
+
+    /**
+     * Deletes a key with all its values and sub keys. Stands for RegDeleteTreeW.
+     * @param {integer} rootKey - The value of a predefined root key, as defined in Registry.Root.
+     * @param {string} subKey - The path of the sub key under the root key. It cannot be empty.
+     * @return {integer} Windows system error code.
+     */
+    deleteTree(rootKey, subKey) {
+        throw new Error(`${this.constructor.name} does not implement deleteTree()!`);
+    }
+
+    /**
+     * Retrieves the name of a sub key by index. Stands for RegEnumKeyExW.
+     * Note, sub keys are not guaranteed to be in any particular order, and the index of a sub key may change if sub keys are created or deleted during enumeration.
+     * @param {object} handle - The key handle.
+     * @param {integer} index - The index of the sub key, starting from 0.
+     * @return {object} An object containing:
+     *                  result: Windows system error code. ERROR_NO_MORE_ITEMS is returned when index is beyond the last sub key.
+     *                  name: The name of the sub key, or null if the operation fails.
+     */
+    enumKey(handle, index) {
+        throw new Error(`${this.constructor.name} does not implement enumKey()!`);
+    }
+
+    /**
+     * Retrieves the name, type and raw data of a value by index. Stands for RegEnumValueW.
+     * Note, values are not guaranteed to be in any particular order, and the index of a value may change if values are created or deleted during enumeration.
+     * @param {object} handle - The key handle.
+     * @param {integer} index - The index of the value, starting from 0.
+     * @return {object} An object containing:
+     *                  result: Windows system error code. ERROR_NO_MORE_ITEMS is returned when index is beyond the last value.
+     *                  name: The name of the value, which is an empty string for the default value of the key, or null if the operation fails.
+     *                  type: The value type as defined in Registry.ValueType, or REG_NONE if the operation fails.
+     *                  data: The raw data of the value as a Buffer, or null if the operation fails.
+     */
+    enumValue(handle, index) {
+        throw new Error(`${this.constructor.name} does not implement enumValue()!`);
+    }
+
+    /**
+     * Retrieves information about a key. Stands for RegQueryInfoKeyW.
+     * @param {object} handle - The key handle.
+     * @return {object} An object containing:
+     *                  result: Windows system error code.
+     *                  info: An object containing the information, or null if the operation fails:
+     *                        className: The class name of the key.
+     *                        subKeyCount: The number of sub keys.
+     *                        maxSubKeyNameLength: The length (in characters, excluding NULL terminator) of the longest sub key name.
+     *                        maxClassNameLength: The length (in characters, excluding NULL terminator) of the longest class name among sub keys.
+     *                        valueCount: The number of values.
+     *                        maxValueNameLength: The length (in characters, excluding NULL terminator) of the longest value name.
+     *                        maxValueDataSize: The size (in bytes) of the longest value data.
+     *                        lastWriteTime: The last time the key or any of its values was modified, as a Date.
+     */
+    queryInfoKey(handle) {
+        throw new Error(`${this.constructor.name} does not implement queryInfoKey()!`);
+    }
+
+    /**
+     * Registers an event to be signaled once when a change matching the filter happens in a key. Stands for RegNotifyChangeKeyValue in asynchronous mode.
+     * @param {object} handle - The key handle.
+     * @param {boolean} watchSubtree - Whether changes in sub keys should signal the event as well.
+     * @param {integer} notifyFilter - Combination of notify filters as defined in RegistryKeyNotifyFilter.
+     * @param {object} waitHandle - The event handle obtained from createEvent().
+     * @return {integer} Windows system error code.
+     */
+    notifyChangeKeyValue(handle, watchSubtree, notifyFilter, waitHandle) {
+        throw new Error(`${this.constructor.name} does not implement notifyChangeKeyValue()!`);
+    }
+
+    /**
+     * Closes a key handle. Stands for RegCloseKey.
+     * @param {object} handle - The key handle.
+     * @return {integer} Windows system error code.
+     */
+    closeKey(handle) {
+        throw new Error(`${this.constructor.name} does not implement closeKey()!`);
+    }
+
+    /**
+     * Creates an unnamed, auto-reset and initially unsignaled event. Stands for CreateEventW.
+     * @return {object} The event handle, or null if the operation fails.
+     */
+    createEvent() {
+        throw new Error(`${this.constructor.name} does not implement createEvent()!`);
+    }
+
+    /**
+     * Closes an event handle. Stands for CloseHandle.
+     * @param {object} waitHandle - The event handle.
+     * @return {boolean} Whether the operation succeeded.
+     */
+    closeHandle(waitHandle) {
+        throw new Error(`${this.constructor.name} does not implement closeHandle()!`);
+    }
+
+    /**
+     * Sets an event to signaled state. Stands for SetEvent.
+     * @param {object} waitHandle - The event handle.
+     * @return {boolean} Whether the operation succeeded.
+     */
+    setEvent(waitHandle) {
+        throw new Error(`${this.constructor.name} does not implement setEvent()!`);
+    }
+
+    /**
+     * Builds the structure passed to waitForMultipleObjects() from a list of event handles.
+     * @param {object[]} waitHandles - The event handles.
+     * @return {object} A backend specific wait handle array.
+     */
+    createWaitHandleArray(waitHandles) {
+        throw new Error(`${this.constructor.name} does not implement createWaitHandleArray()!`);
+    }
+
+    /**
+     * Waits until any of the events is signaled. Stands for WaitForMultipleObjects with bWaitAll set to FALSE.
+     * @param {object} waitHandleArray - The wait handle array obtained from createWaitHandleArray().
+     * @param {integer} timeout - Timeout in milliseconds.
+     * @return {integer} One of the results defined in WaitForMultipleObjectsResult, or WAIT_OBJECT_0 plus the index of the signaled event.
+     */
+    waitForMultipleObjects(waitHandleArray, timeout) {
+        throw new Error(`${this.constructor.name} does not implement waitForMultipleObjects()!`);
+    }
+
+    /**
+     * Creates a waiter that waits for groups of events on threads of its own, and reports signaled ones without blocking the calling thread. Used by the
+     * blocking monitor engine. The returned waiter provides:
+     * - update(groups) - replaces the groups being waited for. Each group is an array of at most MaximumWaitObjects event handles, with an event that
+     *   is set to wake up the wait as its first handle. That event is not reported when it's signaled.
+     * - stop() - stops waiting.
+     * Note, closing a handle that is being waited for is undefined behavior, so closeHandle() has to defer closing events of the groups until the
+     * waiter no longer waits for them.
+     * @param {function} callback - Invoked on the calling thread with (err, waitHandles), where waitHandles are the signaled events.
+     * @return {object} The waiter.
+     */
+    createWaitWorker(callback) {
+        throw new Error(`${this.constructor.name} does not implement createWaitWorker()!`);
+    }
+
+    /**
+     * Retrieves the description of a Windows system error code.
+     * @param {integer} errorCode - Windows system error code.
+     * @return {string} The error description.
+     */
+    getErrorText(errorCode) {
+        throw new Error(`${this.constructor.name} does not implement getErrorText()!`);
+    }
+}
+
+module.exports = RegistryBackend;
@@ -0,0 +1,114 @@
+'use strict';
+
+/** Root keys in Windows registry. */
+const RootKey = {
+    HKEY_CLASSES_ROOT: 0x80000000,
+    HKCR: 0x80000000,
+    HKEY_CURRENT_USER: 0x80000001,
+    HKCU: 0x80000001,
+    HKEY_LOCAL_MACHINE: 0x80000002,
+    HKLM: 0x80000002,
+    HKEY_USERS: 0x80000003,
+    HKU: 0x80000003,
+    HKEY_PERFORMANCE_DATA: 0x80000004,
+    HKEY_PERFORMANCE_TEXT: 0x80000050,
+    HKEY_PERFORMANCE_NLSTEXT: 0x80000060,
+    HKEY_CURRENT_CONFIG: 0x80000005,
+    HKCC: 0x80000005,
+    HKEY_DYN_DATA: 0x80000006,
+};
+
+/** Windows registry value types. */
+const RegistryValueType = {
+    REG_NONE: 0,
+    REG_SZ: 1,
+    REG_EXPAND_SZ: 2,
+    REG_BINARY: 3,
+    REG_DWORD_LITTLE_ENDIAN: 4,
+    REG_DWORD: 4,
+    REG_DWORD_BIG_ENDIAN: 5,
+    REG_LINK: 6,
+    REG_MULTI_SZ: 7,
+    REG_RESOURCE_LIST: 8,
+    REG_FULL_RESOURCE_DESCRIPTOR: 9,
+    REG_RESOURCE_REQUIREMENTS_LIST: 10,
+    REG_QWORD_LITTLE_ENDIAN: 11,
+    REG_QWORD: 11,
+};
+
+/** Windows registry access rights used by RegOpenKeyEx and RegCreateKeyEx APIs. */
+const RegistryKeyAccessRight = {
+    STANDARD_RIGHTS_READ: 0x20000,
+    STANDARD_RIGHTS_WRITE: 0x20000,
+    STANDARD_RIGHTS_EXECUTE: 0x20000,
+
+    KEY_QUERY_VALUE: 0x1,
+    KEY_SET_VALUE: 0x2,
+    KEY_CREATE_SUB_KEY: 0x4,
+    KEY_ENUMERATE_SUB_KEYS: 0x8,
+    KEY_NOTIFY: 0x10,
+    KEY_CREATE_LINK: 0x20,
+
+    KEY_READ: 0x20019, // Combines the STANDARD_RIGHTS_READ, KEY_QUERY_VALUE, KEY_ENUMERATE_SUB_KEYS, and KEY_NOTIFY values.
+    KEY_WRITE: 0x20006, // Combines the STANDARD_RIGHTS_WRITE, KEY_SET_VALUE, and KEY_CREATE_SUB_KEY access rights.
+    KEY_EXECUTE: 0x20019, // Equivalent to KEY_READ.
+    KEY_ALL_ACCESS: 0xF003F, // Combines the STANDARD_RIGHTS_REQUIRED, KEY_QUERY_VALUE, KEY_SET_VALUE, KEY_CREATE_SUB_KEY, KEY_ENUMERATE_SUB_KEYS, KEY_NOTIFY, and KEY_CREATE_LINK access rights.
+
+    KEY_WOW64_32KEY: 0x0200,
+    KEY_WOW64_64KEY: 0x0100,
+};
+
+/** Windows registry key creation options used by RegCreateKeyEx API. */
+const RegistryKeyCreateOption = {
+    REG_OPTION_BACKUP_RESTORE: 0x4,
+    REG_OPTION_CREATE_LINK: 0x2,
+    REG_OPTION_NON_VOLATILE: 0x0,
+    REG_OPTION_VOLATILE: 0x1,
+};
+
+/** Windows registry notification filters used by RegNotifyChangeKeyValue API. */
+const RegistryKeyNotifyFilter = {
+    REG_NOTIFY_CHANGE_NAME: 0x1,
+    REG_NOTIFY_CHANGE_ATTRIBUTES: 0x2,
+    REG_NOTIFY_CHANGE_LAST_SET: 0x4,
+    REG_NOTIFY_CHANGE_SECURITY: 0x8,
+    REG_NOTIFY_THREAD_AGNOSTIC: 0x10000000,
+};
+
+/** Results returned from WaitForMultipleObjects API. */
+const WaitForMultipleObjectsResult = {
+    WAIT_OBJECT_0: 0x0,
+    WAIT_ABANDONED_0: 0x80,
+    WAIT_TIMEOUT: 0x102,
+    WAIT_FAILED: 0xFFFFFFFF,
+};
+
+/** Timeout that makes WaitForMultipleObjects API wait until an event is signaled (INFINITE). */
+const InfiniteWaitTimeout = 0xFFFFFFFF;
+
+/** Maximum number of handles that can be passed to WaitForMultipleObjects API (MAXIMUM_WAIT_OBJECTS). */
+const MaximumWaitObjects = 64;
+
+/** Various error codes returned by APIs that we care about. */
+const ErrorCode = {
+    Success: 0,
+    KeyNotFound: 2,
+    AccessDenied: 5,
+    InvalidHandle: 6,
+    InvalidParameter: 87,
+    MoreData: 234,
+    NoMoreItems: 259,
+    KeyMarkedForDeletion: 1018,
+};
+
+module.exports = {
+    RootKey,
+    RegistryValueType,
+    RegistryKeyAccessRight,
+    RegistryKeyCreateOption,
+    RegistryKeyNotifyFilter,
+    WaitForMultipleObjectsResult,
+    InfiniteWaitTimeout,
+    MaximumWaitObjects,
+    ErrorCode,
+};
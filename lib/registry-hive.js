@@ -0,0 +1,433 @@
+'use strict';
+
+const { error } = require('./print.js');
+const { RegistryValueType } = require('./registry-constants.js');
+const { decodeValue } = require('./registry-value-codec.js');
+const { fileTimeToDate } = require('./filetime.js');
+
+/*
+ Layout of regf (registry hive) files, as far as they are needed to read keys and values.
+ All offsets of cells are relative to the start of the hive bins, which follow the 4096-byte base block.
+ */
+
+// Base block
+const BaseBlockSize = 4096;
+const BaseBlockSignature = 'regf';
+const BaseBlockChecksumOffset = 508;
+
+// Cells. The size of an allocated cell is stored as a negative number
+const CellSizeSize = 4;
+const InvalidCellOffset = 0xFFFFFFFF;
+
+// Key node (nk)
+const KeyNodeSignature = 'nk';
+const KeyNodeCompressedName = 0x0020; // Key name is stored as an extended ASCII string instead of UTF-16LE
+const KeyNodeNameOffset = 76;
+
+// Value key (vk)
+const ValueKeySignature = 'vk';
+const ValueKeyCompressedName = 0x0001; // Value name is stored as an extended ASCII string instead of UTF-16LE
+const ValueKeyNameOffset = 20;
+const ValueKeyInlineData = 0x80000000; // Data up to 4 bytes is stored in the data offset field itself
+const InlineDataMaxSize = 4;
+
+// Big data (db), used by hive format 1.4 and later for data larger than a single cell
+const BigDataSignature = 'db';
+const BigDataMinMinorVersion = 4;
+const BigDataSegmentSize = 16344;
+
+// Sub key lists. "ri" is a list of other lists, while the others list key nodes with a 4-byte hint (lf, lh) or without (li)
+const IndexRootSignature = 'ri';
+const IndexLeafSignature = 'li';
+const FastLeafSignature = 'lf';
+const HashLeafSignature = 'lh';
+
+// Guard against corrupted hives whose "ri" lists refer to each other
+const MaxIndexRootDepth = 8;
+
+/**
+ * Reads keys and values from a regf (registry hive) file, e.g. NTUSER.DAT or SOFTWARE, without touching the live registry.
+ * The whole file is expected to be in memory, and is never modified.
+ */
+class RegistryHive {
+    /**
+     * Constructs a hive from the content of a hive file, and validates its base block.
+     * @param {Buffer} buffer - The content of the hive file.
+     * @param {object} options - (Optional) An object containing:
+     *                           verifyChecksum: Whether to fail if the checksum of the base block doesn't match. If not provided, default value true is used.
+     *                           logging: Whether to log errors, e.g. when a value is malformed. If not provided, default value true is used.
+     * @throws {Error} If the content is not a valid hive file.
+     */
+    constructor(buffer, { verifyChecksum = true, logging = true } = {}) {
+        if (!Buffer.isBuffer(buffer) || buffer.length < BaseBlockSize || buffer.toString('latin1', 0, BaseBlockSignature.length) !== BaseBlockSignature) {
+            throw new Error('Not a registry hive file: "regf" signature is missing!');
+        }
+
+        const checksum = calculateBaseBlockChecksum(buffer);
+        if (verifyChecksum && checksum !== buffer.readUInt32LE(BaseBlockChecksumOffset)) {
+            throw new Error(`Registry hive base block checksum mismatch: expected 0x${checksum.toString(16)}, found 0x${buffer.readUInt32LE(BaseBlockChecksumOffset).toString(16)}!`);
+        }
+
+        this.hiveData = {
+            buffer: buffer,
+            primarySequenceNumber: buffer.readUInt32LE(4),
+            secondarySequenceNumber: buffer.readUInt32LE(8),
+            lastWriteTime: fileTimeToDate(buffer, 12),
+            majorVersion: buffer.readUInt32LE(20),
+            minorVersion: buffer.readUInt32LE(24),
+            rootCellOffset: buffer.readUInt32LE(36),
+            fileName: buffer.toString('utf16le', 48, 112).replace(/\0.*$/s, ''),
+            logging: logging,
+        };
+    }
+
+    /**
+     * @return {object} Information from the base block of the hive, containing:
+     *                  majorVersion/minorVersion: Version of the hive format, e.g. 1.5.
+     *                  lastWriteTime: The last time the hive was written, as a Date.
+     *                  fileName: The last part of the path the hive was loaded from on the original system, which may be empty.
+     *                  dirty: Whether the hive was not completely written, in which case recent changes may only be in its transaction logs.
+     */
+    get info() {
+        return {
+            majorVersion: this.hiveData.majorVersion,
+            minorVersion: this.hiveData.minorVersion,
+            lastWriteTime: this.hiveData.lastWriteTime,
+            fileName: this.hiveData.fileName,
+            dirty: this.hiveData.primarySequenceNumber !== this.hiveData.secondarySequenceNumber,
+        };
+    }
+
+    /**
+     * @return {RegistryHiveKey} The root key of the hive.
+     */
+    get rootKey() {
+        return new RegistryHiveKey(this, this.hiveData.rootCellOffset, null);
+    }
+
+    /**
+     * Opens a key by its path relative to the root key of the hive.
+     * @param {string} path - The key path, e.g. "Software\Microsoft". An empty string refers to the root key.
+     * @return {RegistryHiveKey} The key. If it doesn't exist, null is returned.
+     * @throws {Error} If the hive is corrupted.
+     */
+    openKey(path) {
+        let key = this.rootKey;
+        for (const name of path.split('\\').filter(name => name.length > 0)) {
+            key = key.openSubKey(name);
+            if (key === null) {
+                break;
+            }
+        }
+        return key;
+    }
+
+    /** Private method: returns the data of the cell at the given offset. */
+    getCell(offset) {
+        const buffer = this.hiveData.buffer;
+        const position = BaseBlockSize + offset;
+        if (offset === InvalidCellOffset || position + CellSizeSize > buffer.length) {
+            throw new Error(`Corrupted registry hive: cell offset 0x${offset.toString(16)} is out of bounds!`);
+        }
+
+        const size = Math.abs(buffer.readInt32LE(position));
+        if (size < CellSizeSize || position + size > buffer.length) {
+            throw new Error(`Corrupted registry hive: cell at offset 0x${offset.toString(16)} has an invalid size of ${size} bytes!`);
+        }
+
+        return buffer.subarray(position + CellSizeSize, position + size);
+    }
+
+    /** Private method: returns the data of the cell at the given offset, and validates its signature. */
+    getRecord(offset, ...signatures) {
+        const cell = this.getCell(offset);
+        const signature = cell.toString('latin1', 0, 2);
+        if (!signatures.includes(signature)) {
+            throw new Error(`Corrupted registry hive: expected ${signatures.map(signature => `"${signature}"`).join(' or ')} record at offset 0x${offset.toString(16)}, found "${signature}"!`);
+        }
+        return cell;
+    }
+}
+
+/**
+ * A key of a registry hive file. It supports the same read operations as RegistryKey, but works on the hive file rather than the live registry.
+ * Since nothing needs to be released, there is no open() or close().
+ */
+class RegistryHiveKey {
+    /** Private constructor: use RegistryHive.rootKey, RegistryHive.openKey() or openSubKey() to obtain a key. */
+    constructor(hive, offset, parentPath) {
+        this.keyData = {
+            hive: hive,
+            node: hive.getRecord(offset, KeyNodeSignature),
+            path: '',
+        };
+
+        if (parentPath !== null) {
+            this.keyData.path = (parentPath === '') ? this.name : `${parentPath}\\${this.name}`;
+        }
+    }
+
+    /**
+     * @return {string} The path of the key relative to the root key of the hive. It's an empty string for the root key.
+     */
+    get path() {
+        return this.keyData.path;
+    }
+
+    /**
+     * @return {string} The name of the key, as stored in the hive.
+     */
+    get name() {
+        const node = this.keyData.node;
+        return decodeName(node, KeyNodeNameOffset, node.readUInt16LE(72), node.readUInt16LE(2) & KeyNodeCompressedName);
+    }
+
+    /**
+     * Opens a sub key.
+     * @param {string} name - The name of the sub key. Names are case-insensitive.
+     * @return {RegistryHiveKey} The sub key. If it doesn't exist, null is returned.
+     */
+    openSubKey(name) {
+        const upperCaseName = name.toUpperCase();
+        const subKey = this.enumSubKeys().find(subKey => subKey.name.toUpperCase() === upperCaseName);
+        return subKey === undefined ? null : subKey;
+    }
+
+    /**
+     * Retrieves the data for the specified value name, converted the same way as RegistryKey.getValue() does.
+     * @param {string} name - The name of the value to be retrieved.
+     * @param {object} options - (Optional) Options used to convert the data. See RegistryKey.getValue().
+     * @return {any} Retrieved value. If the value doesn't exist, or strictStrings is set and the data is malformed, null is returned.
+     */
+    getValue(name, options) {
+        const rawValue = this.getRawValue(name);
+        return rawValue === null ? null : this.decodeRawValue(name, rawValue.type, rawValue.data, options);
+    }
+
+    /**
+     * Retrieves the type and the raw data for the specified value name, without any conversion.
+     * @param {string} name - The name of the value to be retrieved.
+     * @return {object} An object containing type and data (as a Buffer). If the value doesn't exist, null is returned.
+     */
+    getRawValue(name) {
+        const upperCaseName = name.toUpperCase();
+        const value = this.enumValues().find(value => value.name.toUpperCase() === upperCaseName);
+        return value === undefined ? null : { type: value.type, data: value.data };
+    }
+
+    /**
+     * Retrieves the type for the specified value name.
+     * @param {string} name - The name of the value.
+     * @return {RegistryValueType} The type of the value. If the value doesn't exist, REG_NONE is returned.
+     */
+    getValueType(name) {
+        const rawValue = this.getRawValue(name);
+        return rawValue === null ? RegistryValueType.REG_NONE : rawValue.type;
+    }
+
+    /**
+     * Checks whether the specified value exists.
+     * @param {string} name - The name of the value.
+     * @return {boolean} Whether the value exists.
+     */
+    checkValueExistence(name) {
+        return this.getRawValue(name) !== null;
+    }
+
+    /**
+     * Retrieves the names of all sub keys.
+     * @return {string[]} Names of the sub keys.
+     */
+    getSubKeyNames() {
+        return this.enumSubKeys().map(subKey => subKey.name);
+    }
+
+    /**
+     * Retrieves the names of all values, including the default value of the key (whose name is an empty string) if it is set.
+     * @return {string[]} Names of the values.
+     */
+    getValueNames() {
+        return this.enumValues().map(value => value.name);
+    }
+
+    /**
+     * Retrieves all values, including the default value of the key (whose name is an empty string) if it is set.
+     * @param {object} options - (Optional) Options used to convert the data of values. See RegistryKey.getValue().
+     * @return {object[]} Values of the key. Each value is an object containing name, type and data, converted the same way as in getValue().
+     *                    Data is null if strictStrings is set and the data is malformed.
+     */
+    getValues(options) {
+        return this.enumValues().map(value => ({
+            name: value.name,
+            type: value.type,
+            data: this.decodeRawValue(value.name, value.type, value.data, options),
+        }));
+    }
+
+    /**
+     * Retrieves information about this key, the same way as RegistryKey.getInfo() does.
+     * @return {object} An object containing className, subKeyCount, maxSubKeyNameLength, maxClassNameLength, valueCount, maxValueNameLength, maxValueDataSize and lastWriteTime.
+     */
+    getInfo() {
+        const subKeys = this.enumSubKeys();
+        const values = this.enumValues();
+        return {
+            className: this.className,
+            subKeyCount: subKeys.length,
+            maxSubKeyNameLength: Math.max(0, ...subKeys.map(subKey => subKey.name.length)),
+            maxClassNameLength: Math.max(0, ...subKeys.map(subKey => subKey.className.length)),
+            valueCount: values.length,
+            maxValueNameLength: Math.max(0, ...values.map(value => value.name.length)),
+            maxValueDataSize: Math.max(0, ...values.map(value => value.data.length)),
+            lastWriteTime: fileTimeToDate(this.keyData.node, 4),
+        };
+    }
+
+    /** Private method: converts raw data of a value, the same way as RegistryKey does. Malformed data (with strictStrings set) is logged, and null is returned. */
+    decodeRawValue(name, type, data, options) {
+        try {
+            return decodeValue(type, data, options);
+        } catch (err) {
+            if (!(err instanceof RangeError)) {
+                throw err;
+            }
+            if (this.keyData.hive.hiveData.logging) {
+                error(`Value "${name}" of hive key "${this.keyData.path}" with type ${type} is malformed: ${err.message}`);
+            }
+            return null;
+        }
+    }
+
+    /** Private getter: the class name of the key. */
+    get className() {
+        const node = this.keyData.node;
+        const classNameOffset = node.readUInt32LE(48);
+        const classNameLength = node.readUInt16LE(74);
+        if (classNameOffset === InvalidCellOffset || classNameLength === 0) {
+            return '';
+        }
+        return this.keyData.hive.getCell(classNameOffset).toString('utf16le', 0, classNameLength);
+    }
+
+    /** Private method: enumerates sub keys, in the order they are stored (which is sorted by upper-case name). */
+    enumSubKeys() {
+        const node = this.keyData.node;
+        const subKeyCount = node.readUInt32LE(20);
+        if (subKeyCount === 0) {
+            return [];
+        }
+
+        const offsets = [];
+        this.collectSubKeyOffsets(node.readUInt32LE(28), offsets, 0);
+        return offsets.map(offset => new RegistryHiveKey(this.keyData.hive, offset, this.keyData.path));
+    }
+
+    /** Private method: collects the offsets of key nodes from a sub key list. */
+    collectSubKeyOffsets(listOffset, offsets, depth) {
+        const list = this.keyData.hive.getRecord(listOffset, IndexRootSignature, IndexLeafSignature, FastLeafSignature, HashLeafSignature);
+        const signature = list.toString('latin1', 0, 2);
+        const count = list.readUInt16LE(2);
+        // Entries of "lf" and "lh" lists have a 4-byte hint after the offset
+        const entrySize = (signature === FastLeafSignature || signature === HashLeafSignature) ? 8 : 4;
+        for (let i = 0; i < count; ++i) {
+            const offset = list.readUInt32LE(4 + i * entrySize);
+            if (signature === IndexRootSignature) {
+                if (depth >= MaxIndexRootDepth) {
+                    throw new Error(`Corrupted registry hive: sub key lists are nested too deep at offset 0x${listOffset.toString(16)}!`);
+                }
+                this.collectSubKeyOffsets(offset, offsets, depth + 1);
+            } else {
+                offsets.push(offset);
+            }
+        }
+    }
+
+    /** Private method: enumerates values with their raw data, in the order they are stored. */
+    enumValues() {
+        const node = this.keyData.node;
+        const valueCount = node.readUInt32LE(36);
+        if (valueCount === 0) {
+            return [];
+        }
+
+        const hive = this.keyData.hive;
+        const valueList = hive.getCell(node.readUInt32LE(40));
+        const values = [];
+        for (let i = 0; i < valueCount; ++i) {
+            const valueKey = hive.getRecord(valueList.readUInt32LE(i * 4), ValueKeySignature);
+            values.push({
+                name: decodeName(valueKey, ValueKeyNameOffset, valueKey.readUInt16LE(2), valueKey.readUInt16LE(16) & ValueKeyCompressedName),
+                type: valueKey.readUInt32LE(12),
+                data: this.readValueData(valueKey),
+            });
+        }
+        return values;
+    }
+
+    /** Private method: reads the raw data of a value key, which may be inline, in a single cell or split across big data segments. */
+    readValueData(valueKey) {
+        const hive = this.keyData.hive;
+        const sizeField = valueKey.readUInt32LE(4);
+        const size = (sizeField & ~ValueKeyInlineData) >>> 0;
+        if (sizeField & ValueKeyInlineData) {
+            return Buffer.from(valueKey.subarray(8, 8 + Math.min(size, InlineDataMaxSize)));
+        } else if (size === 0) {
+            return Buffer.alloc(0);
+        }
+
+        const dataOffset = valueKey.readUInt32LE(8);
+        if (hive.hiveData.minorVersion >= BigDataMinMinorVersion && size > BigDataSegmentSize) {
+            const bigData = hive.getRecord(dataOffset, BigDataSignature);
+            const segmentList = hive.getCell(bigData.readUInt32LE(4));
+            const segments = [];
+            for (let i = 0, remaining = size; i < bigData.readUInt16LE(2) && remaining > 0; ++i) {
+                const segment = hive.getCell(segmentList.readUInt32LE(i * 4)).subarray(0, Math.min(remaining, BigDataSegmentSize));
+                segments.push(segment);
+                remaining -= segment.length;
+            }
+            const data = Buffer.concat(segments);
+            if (data.length !== size) {
+                throw new Error(`Corrupted registry hive: big data at offset 0x${dataOffset.toString(16)} has ${data.length} bytes instead of ${size}!`);
+            }
+            return data;
+        }
+
+        const cell = hive.getCell(dataOffset);
+        if (cell.length < size) {
+            throw new Error(`Corrupted registry hive: data cell at offset 0x${dataOffset.toString(16)} has ${cell.length} bytes instead of ${size}!`);
+        }
+        return Buffer.from(cell.subarray(0, size));
+    }
+}
+
+/**
+ * Calculates the checksum of the base block of a hive file, which is the XOR of its first 127 DWORDs.
+ * @param {Buffer} buffer - The content of the hive file.
+ * @return {integer} The checksum.
+ */
+function calculateBaseBlockChecksum(buffer) {
+    let checksum = 0;
+    for (let offset = 0; offset < BaseBlockChecksumOffset; offset += 4) {
+        checksum ^= buffer.readUInt32LE(offset);
+    }
+    checksum >>>= 0;
+
+    // 0 and 0xFFFFFFFF are reserved
+    if (checksum === 0xFFFFFFFF) {
+        return 0xFFFFFFFE;
+    } else if (checksum === 0) {
+        return 1;
+    }
+    return checksum;
+}
+
+/** Private function: decodes a key or value name, which is either extended ASCII (compressed) or UTF-16LE. */
+function decodeName(record, offset, length, compressed) {
+    return record.toString(compressed ? 'latin1' : 'utf16le', offset, offset + length);
+}
+
+module.exports = {
+    RegistryHive,
+    RegistryHiveKey,
+    calculateBaseBlockChecksum,
+};
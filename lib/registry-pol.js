@@ -0,0 +1,192 @@
+'use strict';
+
+const { RegistryValueType } = require('./registry-constants.js');
+
+/*
+ Layout of Group Policy Registry.pol (PReg) files: an 8-byte header followed by entries in the form of
+ [key;value;type;size;data]
+ where brackets and semicolons are UTF-16LE characters, key and value are NULL-terminated UTF-16LE strings, type and size are little-endian DWORDs,
+ and data is the raw data of the value.
+ */
+
+/** Signature at the start of Registry.pol files ("PReg"). */
+const PolFileSignature = 'PReg';
+
+/** Version of the Registry.pol format. */
+const PolFileVersion = 1;
+
+const PolFileHeaderSize = 8;
+const WCharSize = 2;
+
+// Prefixes of value names that are directives rather than values. Directives are matched case-insensitively
+const DeleteValueDirective = '**del.';             // **del.Name deletes value Name
+const DeleteAllValuesDirective = '**delvals.';     // Deletes all values of the key
+const DeleteValuesDirective = '**deletevalues';    // Data is a semicolon-separated list of values to delete
+const DeleteKeysDirective = '**deletekeys';        // Data is a semicolon-separated list of sub keys to delete
+const DeletedKeysDirective = '**deletedkeys';      // Alias of **DeleteKeys written by some tools
+const SecureKeyDirective = '**securekey';          // Data is a DWORD: 1 secures the key, 0 restores inherited permissions
+const SoftValueDirective = '**soft.';              // **soft.Name sets value Name only if it doesn't exist yet
+const DirectivePrefix = '**';
+
+/**
+ * Parses the content of a Registry.pol file.
+ * @param {Buffer} buffer - The content of the Registry.pol file.
+ * @return {object[]} Entries of the file, in the order they are stored. Each entry is an object containing:
+ *                    key: The key path relative to the root key that the file applies to (HKLM for machine policies, HKCU for user policies).
+ *                    name: The value name, which may also be a directive such as **del.Name, **delvals. or **DeleteKeys. See interpretPolEntry().
+ *                    type: The value type as defined in Registry.ValueType.
+ *                    data: The raw data of the value as a Buffer.
+ * @throws {SyntaxError} If the content cannot be parsed. The error has an offset property with the byte offset of the problem.
+ */
+function parsePolFile(buffer) {
+    if (buffer.length < PolFileHeaderSize || buffer.toString('latin1', 0, PolFileSignature.length) !== PolFileSignature) {
+        throw createPolFileSyntaxError(`File has to start with "${PolFileSignature}" signature`, 0);
+    }
+    if (buffer.readUInt32LE(4) !== PolFileVersion) {
+        throw createPolFileSyntaxError(`Version ${buffer.readUInt32LE(4)} is not supported`, 4);
+    }
+
+    const entries = [];
+    const reader = { buffer, offset: PolFileHeaderSize };
+    while (reader.offset < buffer.length) {
+        readPolChar(reader, '[');
+        const key = readPolString(reader);
+        readPolChar(reader, ';');
+        const name = readPolString(reader);
+        readPolChar(reader, ';');
+        const type = readPolDword(reader);
+        readPolChar(reader, ';');
+        const size = readPolDword(reader);
+        readPolChar(reader, ';');
+        if (reader.offset + size > buffer.length) {
+            throw createPolFileSyntaxError(`Data of ${size} bytes goes beyond the end of file`, reader.offset);
+        }
+        const data = Buffer.from(buffer.subarray(reader.offset, reader.offset + size));
+        reader.offset += size;
+        readPolChar(reader, ']');
+
+        entries.push({ key, name, type, data });
+    }
+
+    return entries;
+}
+
+/**
+ * Formats entries as the content of a Registry.pol file.
+ * @param {object[]} entries - The entries, in the same form as returned by parsePolFile().
+ * @return {Buffer} Content of the Registry.pol file.
+ */
+function formatPolFile(entries) {
+    const header = Buffer.alloc(PolFileHeaderSize);
+    header.write(PolFileSignature, 0, 'latin1');
+    header.writeUInt32LE(PolFileVersion, 4);
+
+    const chunks = [header];
+    entries.forEach(entry => {
+        const type = Buffer.alloc(4);
+        type.writeUInt32LE(entry.type);
+        const size = Buffer.alloc(4);
+        size.writeUInt32LE(entry.data.length);
+        chunks.push(
+            Buffer.from(`[${entry.key}\0;${entry.name}\0;`, 'utf16le'),
+            type, Buffer.from(';', 'utf16le'),
+            size, Buffer.from(';', 'utf16le'),
+            entry.data, Buffer.from(']', 'utf16le'));
+    });
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Interprets an entry of a Registry.pol file as the operation Group Policy performs for it.
+ * @param {object} entry - The entry, as returned by parsePolFile().
+ * @return {object} An object containing:
+ *                  operation: One of:
+ *                             'setValue': Sets value name of the key to type and data. With soft set (**soft.Name), the value is only set if it doesn't exist yet.
+ *                             'createKey': Creates the key. It's used by entries with an empty value name and no data.
+ *                             'deleteValue': Deletes value name of the key (**del.Name).
+ *                             'deleteValues': Deletes the values listed in names (**DeleteValues), or all values of the key if names is null (**delvals.).
+ *                             'deleteKeys': Deletes sub keys of the key with all their values and sub keys (**DeleteKeys, or its alias
+ *                                          **DeletedKeys). Sub key names are listed in subKeys.
+ *                             'secureKey': Gives only administrators and the system full control of the key if secure is set, or restores inherited
+ *                                          permissions otherwise (**SecureKey).
+ *                             'unsupported': Any other directive, which is left alone.
+ *                  key: The key path relative to the root key.
+ *                  name: The value name, with the directive prefix removed for 'deleteValue' and soft 'setValue'.
+ *                  type: The value type (setValue only).
+ *                  data: The raw data of the value (setValue only).
+ *                  soft: Whether the value is only set if it doesn't exist yet (setValue only).
+ *                  names: Names of values to be deleted, or null for all values (deleteValues only).
+ *                  subKeys: Names of sub keys to be deleted (deleteKeys only).
+ *                  secure: Whether the key is to be secured (secureKey only).
+ */
+function interpretPolEntry(entry) {
+    const lowerCaseName = entry.name.toLowerCase();
+    if (lowerCaseName.startsWith(DeleteValueDirective)) {
+        return { operation: 'deleteValue', key: entry.key, name: entry.name.slice(DeleteValueDirective.length) };
+    } else if (lowerCaseName === DeleteAllValuesDirective) {
+        return { operation: 'deleteValues', key: entry.key, names: null };
+    } else if (lowerCaseName === DeleteValuesDirective) {
+        return { operation: 'deleteValues', key: entry.key, names: readPolNameList(entry.data) };
+    } else if (lowerCaseName === DeleteKeysDirective || lowerCaseName === DeletedKeysDirective) {
+        return { operation: 'deleteKeys', key: entry.key, subKeys: readPolNameList(entry.data) };
+    } else if (lowerCaseName === SecureKeyDirective) {
+        return { operation: 'secureKey', key: entry.key, secure: entry.data.length >= 4 && entry.data.readUInt32LE() !== 0 };
+    } else if (lowerCaseName.startsWith(SoftValueDirective)) {
+        return { operation: 'setValue', key: entry.key, name: entry.name.slice(SoftValueDirective.length), type: entry.type, data: entry.data, soft: true };
+    } else if (lowerCaseName.startsWith(DirectivePrefix)) {
+        return { operation: 'unsupported', key: entry.key, name: entry.name };
+    } else if (entry.name === '' && entry.type === RegistryValueType.REG_NONE && entry.data.length === 0) {
+        return { operation: 'createKey', key: entry.key };
+    }
+
+    return { operation: 'setValue', key: entry.key, name: entry.name, type: entry.type, data: entry.data, soft: false };
+}
+
+/** Private function: reads the semicolon-separated list of names in the data of **DeleteValues and **DeleteKeys directives. */
+function readPolNameList(data) {
+    return data.toString('utf16le').replace(/\0+$/, '').split(';').filter(name => name.length > 0);
+}
+
+/** Private function: reads an expected UTF-16LE character. */
+function readPolChar(reader, char) {
+    if (reader.offset + WCharSize > reader.buffer.length || reader.buffer.toString('utf16le', reader.offset, reader.offset + WCharSize) !== char) {
+        throw createPolFileSyntaxError(`Expected "${char}"`, reader.offset);
+    }
+    reader.offset += WCharSize;
+}
+
+/** Private function: reads a NULL-terminated UTF-16LE string. */
+function readPolString(reader) {
+    for (let end = reader.offset; end + WCharSize <= reader.buffer.length; end += WCharSize) {
+        if (reader.buffer.readUInt16LE(end) === 0) {
+            const str = reader.buffer.toString('utf16le', reader.offset, end);
+            reader.offset = end + WCharSize;
+            return str;
+        }
+    }
+    throw createPolFileSyntaxError('String is not NULL-terminated', reader.offset);
+}
+
+/** Private function: reads a little-endian DWORD. */
+function readPolDword(reader) {
+    if (reader.offset + 4 > reader.buffer.length) {
+        throw createPolFileSyntaxError('Unexpected end of file', reader.offset);
+    }
+    const dword = reader.buffer.readUInt32LE(reader.offset);
+    reader.offset += 4;
+    return dword;
+}
+
+/** Private function: creates a SyntaxError that points to a byte offset in the Registry.pol file. */
+function createPolFileSyntaxError(message, offset) {
+    const err = new SyntaxError(`${message} at byte offset ${offset}.`);
+    err.offset = offset;
+    return err;
+}
+
+module.exports = {
+    parsePolFile,
+    formatPolFile,
+    interpretPolEntry,
+};
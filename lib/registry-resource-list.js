@@ -0,0 +1,304 @@
+'use strict';
+
+/**
+ Decoders for hardware resource descriptors stored in REG_RESOURCE_LIST, REG_FULL_RESOURCE_DESCRIPTOR and REG_RESOURCE_REQUIREMENTS_LIST values (e.g. under HKLM\HARDWARE).
+ Structures are defined in wdm.h. Names of the decoded properties follow the structure member names in camelCase.
+ Note, some structures contain KAFFINITY, whose size is the same as a pointer, so the layout depends on whether the data was written by 32-bit or 64-bit Windows.
+ */
+
+/** Resource types (CM_PARTIAL_RESOURCE_DESCRIPTOR.Type and IO_RESOURCE_DESCRIPTOR.Type). */
+const ResourceType = {
+    CmResourceTypeNull: 0,
+    CmResourceTypePort: 1,
+    CmResourceTypeInterrupt: 2,
+    CmResourceTypeMemory: 3,
+    CmResourceTypeDma: 4,
+    CmResourceTypeDeviceSpecific: 5,
+    CmResourceTypeBusNumber: 6,
+    CmResourceTypeMemoryLarge: 7,
+    CmResourceTypeConfigData: 128,
+    CmResourceTypeDevicePrivate: 129,
+    CmResourceTypePcCardConfig: 130,
+    CmResourceTypeMfCardConfig: 131,
+    CmResourceTypeConnection: 132,
+};
+
+/** Flags of CmResourceTypeMemoryLarge descriptors, which tell how Length is scaled. */
+const MemoryLargeFlag = {
+    CM_RESOURCE_MEMORY_LARGE_40: 0x200,
+    CM_RESOURCE_MEMORY_LARGE_48: 0x400,
+    CM_RESOURCE_MEMORY_LARGE_64: 0x800,
+};
+
+// Size of CM_FULL_RESOURCE_DESCRIPTOR header (InterfaceType, BusNumber) plus CM_PARTIAL_RESOURCE_LIST header (Version, Revision, Count)
+const FullResourceDescriptorHeaderSize = 16;
+
+// Size of IO_RESOURCE_REQUIREMENTS_LIST header (ListSize, InterfaceType, BusNumber, SlotNumber, Reserved[3], AlternativeLists)
+const ResourceRequirementsListHeaderSize = 32;
+
+// Size of IO_RESOURCE_LIST header (Version, Revision, Count)
+const IoResourceListHeaderSize = 8;
+
+// Size of IO_RESOURCE_DESCRIPTOR, which is the same on 32-bit and 64-bit Windows
+const IoResourceDescriptorSize = 32;
+
+/** Private function: gets the size of CM_PARTIAL_RESOURCE_DESCRIPTOR. Its union contains a KAFFINITY member, so it is 4 bytes bigger on 64-bit Windows. */
+function getPartialResourceDescriptorSize(pointerSize) {
+    return pointerSize === 4 ? 16 : 20;
+}
+
+/**
+ * Decodes CM_RESOURCE_LIST stored in a REG_RESOURCE_LIST value.
+ * @param {Buffer} data - The raw data.
+ * @param {integer} pointerSize - (Optional) Pointer size in bytes of the system that wrote the data, i.e. 4 for 32-bit Windows or 8 for 64-bit Windows.
+ *                                If not provided, default value 8 is used.
+ * @return {object} An object containing:
+ *                  list: An array of full resource descriptors. See decodeFullResourceDescriptor().
+ * @throws {RangeError} If the data is truncated.
+ */
+function decodeResourceList(data, pointerSize = 8) {
+    const count = data.readUInt32LE(0);
+    const list = [];
+    let offset = 4;
+    for (let i = 0; i < count; ++i) {
+        const { descriptor, size } = decodeFullResourceDescriptorAt(data, offset, pointerSize);
+        list.push(descriptor);
+        offset += size;
+    }
+
+    return { list };
+}
+
+/**
+ * Decodes CM_FULL_RESOURCE_DESCRIPTOR stored in a REG_FULL_RESOURCE_DESCRIPTOR value.
+ * @param {Buffer} data - The raw data.
+ * @param {integer} pointerSize - (Optional) Pointer size in bytes of the system that wrote the data, i.e. 4 for 32-bit Windows or 8 for 64-bit Windows.
+ *                                If not provided, default value 8 is used.
+ * @return {object} An object containing:
+ *                  interfaceType: The bus type, as defined by INTERFACE_TYPE.
+ *                  busNumber: The bus number.
+ *                  partialResourceList: An object containing version, revision and partialDescriptors, the latter of which is an array of objects containing
+ *                                       type, shareDisposition, flags and type specific members, e.g. start and length for CmResourceTypePort/CmResourceTypeMemory.
+ *                                       Members that are 64-bit (e.g. PHYSICAL_ADDRESS and KAFFINITY) are BigInt.
+ * @throws {RangeError} If the data is truncated.
+ */
+function decodeFullResourceDescriptor(data, pointerSize = 8) {
+    return decodeFullResourceDescriptorAt(data, 0, pointerSize).descriptor;
+}
+
+/**
+ * Decodes IO_RESOURCE_REQUIREMENTS_LIST stored in a REG_RESOURCE_REQUIREMENTS_LIST value.
+ * @param {Buffer} data - The raw data.
+ * @return {object} An object containing:
+ *                  listSize, interfaceType, busNumber, slotNumber, reserved: Header members of the structure.
+ *                  alternativeLists: An array of objects containing version, revision and descriptors, the latter of which is an array of objects containing
+ *                                    option, type, shareDisposition, flags and type specific members, e.g. length, alignment, minimumAddress and maximumAddress
+ *                                    for CmResourceTypePort/CmResourceTypeMemory. Members that are 64-bit (e.g. PHYSICAL_ADDRESS and KAFFINITY) are BigInt.
+ * @throws {RangeError} If the data is truncated.
+ */
+function decodeResourceRequirementsList(data) {
+    const requirementsList = {
+        listSize: data.readUInt32LE(0),
+        interfaceType: data.readInt32LE(4),
+        busNumber: data.readUInt32LE(8),
+        slotNumber: data.readUInt32LE(12),
+        reserved: [ data.readUInt32LE(16), data.readUInt32LE(20), data.readUInt32LE(24) ],
+        alternativeLists: [],
+    };
+
+    const alternativeListCount = data.readUInt32LE(28);
+    let offset = ResourceRequirementsListHeaderSize;
+    for (let i = 0; i < alternativeListCount; ++i) {
+        const resourceList = {
+            version: data.readUInt16LE(offset),
+            revision: data.readUInt16LE(offset + 2),
+            descriptors: [],
+        };
+
+        const count = data.readUInt32LE(offset + 4);
+        offset += IoResourceListHeaderSize;
+        for (let j = 0; j < count; ++j) {
+            resourceList.descriptors.push(decodeIoResourceDescriptor(data.subarray(offset, offset + IoResourceDescriptorSize)));
+            offset += IoResourceDescriptorSize;
+        }
+
+        requirementsList.alternativeLists.push(resourceList);
+    }
+
+    return requirementsList;
+}
+
+/** Private function: decodes CM_FULL_RESOURCE_DESCRIPTOR at an offset, and returns it along with the number of bytes it takes. */
+function decodeFullResourceDescriptorAt(data, offset, pointerSize) {
+    const start = offset;
+    const descriptor = {
+        interfaceType: data.readInt32LE(offset),
+        busNumber: data.readUInt32LE(offset + 4),
+        partialResourceList: {
+            version: data.readUInt16LE(offset + 8),
+            revision: data.readUInt16LE(offset + 10),
+            partialDescriptors: [],
+        },
+    };
+
+    const count = data.readUInt32LE(offset + 12);
+    const descriptorSize = getPartialResourceDescriptorSize(pointerSize);
+    offset += FullResourceDescriptorHeaderSize;
+    for (let i = 0; i < count; ++i) {
+        const partialDescriptor = decodePartialResourceDescriptor(data.subarray(offset, offset + descriptorSize), pointerSize);
+        offset += descriptorSize;
+
+        if (partialDescriptor.type === ResourceType.CmResourceTypeDeviceSpecific) {
+            // Device specific data immediately follows the descriptor
+            if (offset + partialDescriptor.dataSize > data.length) {
+                throw new RangeError(`Device specific data of ${partialDescriptor.dataSize} bytes exceeds the end of the buffer.`);
+            }
+            partialDescriptor.data = Buffer.from(data.subarray(offset, offset + partialDescriptor.dataSize));
+            offset += partialDescriptor.dataSize;
+        }
+
+        descriptor.partialResourceList.partialDescriptors.push(partialDescriptor);
+    }
+
+    return {
+        descriptor: descriptor,
+        size: offset - start,
+    };
+}
+
+/** Private function: decodes CM_PARTIAL_RESOURCE_DESCRIPTOR. */
+function decodePartialResourceDescriptor(data, pointerSize) {
+    if (data.length < getPartialResourceDescriptorSize(pointerSize)) {
+        throw new RangeError('Partial resource descriptor exceeds the end of the buffer.');
+    }
+
+    const descriptor = {
+        type: data.readUInt8(0),
+        shareDisposition: data.readUInt8(1),
+        flags: data.readUInt16LE(2),
+    };
+
+    // Offset of the union
+    const u = 4;
+    switch (descriptor.type) {
+        case ResourceType.CmResourceTypePort:
+        case ResourceType.CmResourceTypeMemory:
+            descriptor.start = data.readBigUInt64LE(u);
+            descriptor.length = data.readUInt32LE(u + 8);
+            break;
+
+        case ResourceType.CmResourceTypeMemoryLarge:
+            descriptor.start = data.readBigUInt64LE(u);
+            descriptor.length = BigInt(data.readUInt32LE(u + 8));
+            if (descriptor.flags & MemoryLargeFlag.CM_RESOURCE_MEMORY_LARGE_40) {
+                descriptor.length <<= 8n;
+            } else if (descriptor.flags & MemoryLargeFlag.CM_RESOURCE_MEMORY_LARGE_48) {
+                descriptor.length <<= 16n;
+            } else if (descriptor.flags & MemoryLargeFlag.CM_RESOURCE_MEMORY_LARGE_64) {
+                descriptor.length <<= 32n;
+            }
+            break;
+
+        case ResourceType.CmResourceTypeInterrupt:
+            descriptor.level = data.readUInt16LE(u);
+            descriptor.group = data.readUInt16LE(u + 2);
+            descriptor.vector = data.readUInt32LE(u + 4);
+            descriptor.affinity = pointerSize === 4 ? BigInt(data.readUInt32LE(u + 8)) : data.readBigUInt64LE(u + 8);
+            break;
+
+        case ResourceType.CmResourceTypeDma:
+            descriptor.channel = data.readUInt32LE(u);
+            descriptor.port = data.readUInt32LE(u + 4);
+            descriptor.reserved1 = data.readUInt32LE(u + 8);
+            break;
+
+        case ResourceType.CmResourceTypeDeviceSpecific:
+            descriptor.dataSize = data.readUInt32LE(u);
+            descriptor.reserved1 = data.readUInt32LE(u + 4);
+            descriptor.reserved2 = data.readUInt32LE(u + 8);
+            break;
+
+        case ResourceType.CmResourceTypeBusNumber:
+            descriptor.start = data.readUInt32LE(u);
+            descriptor.length = data.readUInt32LE(u + 4);
+            descriptor.reserved = data.readUInt32LE(u + 8);
+            break;
+
+        case ResourceType.CmResourceTypeDevicePrivate:
+            descriptor.data = [ data.readUInt32LE(u), data.readUInt32LE(u + 4), data.readUInt32LE(u + 8) ];
+            break;
+
+        default:
+            // Keep the union as is so nothing is lost
+            descriptor.raw = Buffer.from(data.subarray(u));
+            break;
+    }
+
+    return descriptor;
+}
+
+/** Private function: decodes IO_RESOURCE_DESCRIPTOR. */
+function decodeIoResourceDescriptor(data) {
+    if (data.length < IoResourceDescriptorSize) {
+        throw new RangeError('I/O resource descriptor exceeds the end of the buffer.');
+    }
+
+    const descriptor = {
+        option: data.readUInt8(0),
+        type: data.readUInt8(1),
+        shareDisposition: data.readUInt8(2),
+        flags: data.readUInt16LE(4),
+    };
+
+    // Offset of the union
+    const u = 8;
+    switch (descriptor.type) {
+        case ResourceType.CmResourceTypePort:
+        case ResourceType.CmResourceTypeMemory:
+        case ResourceType.CmResourceTypeMemoryLarge:
+            descriptor.length = data.readUInt32LE(u);
+            descriptor.alignment = data.readUInt32LE(u + 4);
+            descriptor.minimumAddress = data.readBigUInt64LE(u + 8);
+            descriptor.maximumAddress = data.readBigUInt64LE(u + 16);
+            break;
+
+        case ResourceType.CmResourceTypeInterrupt:
+            descriptor.minimumVector = data.readUInt32LE(u);
+            descriptor.maximumVector = data.readUInt32LE(u + 4);
+            descriptor.affinityPolicy = data.readUInt16LE(u + 8);
+            descriptor.group = data.readUInt16LE(u + 10);
+            descriptor.priorityPolicy = data.readUInt32LE(u + 12);
+            descriptor.targetedProcessors = data.readBigUInt64LE(u + 16); // KAFFINITY is 32-bit on 32-bit Windows, in which case the upper half is padding
+            break;
+
+        case ResourceType.CmResourceTypeDma:
+            descriptor.minimumChannel = data.readUInt32LE(u);
+            descriptor.maximumChannel = data.readUInt32LE(u + 4);
+            break;
+
+        case ResourceType.CmResourceTypeBusNumber:
+            descriptor.length = data.readUInt32LE(u);
+            descriptor.minBusNumber = data.readUInt32LE(u + 4);
+            descriptor.maxBusNumber = data.readUInt32LE(u + 8);
+            descriptor.reserved = data.readUInt32LE(u + 12);
+            break;
+
+        case ResourceType.CmResourceTypeDevicePrivate:
+            descriptor.data = [ data.readUInt32LE(u), data.readUInt32LE(u + 4), data.readUInt32LE(u + 8) ];
+            break;
+
+        default:
+            // Keep the union as is so nothing is lost
+            descriptor.raw = Buffer.from(data.subarray(u, IoResourceDescriptorSize));
+            break;
+    }
+
+    return descriptor;
+}
+
+module.exports = {
+    ResourceType,
+    decodeResourceList,
+    decodeFullResourceDescriptor,
+    decodeResourceRequirementsList,
+};
@@ -0,0 +1,210 @@
+'use strict';
+
+const {
+    decodeValue,
+    isSameValue } = require('./registry-value-codec.js');
+
+/*
+ A snapshot records the values of a key and, optionally, its sub tree. It's a Map whose keys are upper-case key paths (since key paths are
+ case-insensitive), and whose values are objects containing:
+ path: The key path.
+ values: A Map whose keys are upper-case value names, and whose values are objects containing name, type and raw data (as Buffer) of the value.
+ */
+
+/**
+ * Compares two snapshots.
+ * @param {Map} oldSnapshot - The earlier snapshot.
+ * @param {Map} newSnapshot - The later snapshot.
+ * @return {object} The differences, which is an object containing:
+ *                  values: An object containing:
+ *                          added: Values that only exist in the later snapshot. Each value is an object containing path (of the key), name, type and data.
+ *                          removed: Values that only exist in the earlier snapshot, in the same form as added.
+ *                          modified: Values whose type or data changed. Each value is an object containing path, name, oldType, oldData, newType and newData.
+ *                  subKeys: An object containing:
+ *                           created: Paths of keys that only exist in the later snapshot.
+ *                           deleted: Paths of keys that only exist in the earlier snapshot.
+ *                  Values of created and deleted keys are listed as added and removed respectively. Data is raw data as Buffer.
+ */
+function diffSnapshots(oldSnapshot, newSnapshot) {
+    const diff = {
+        values: { added: [], removed: [], modified: [] },
+        subKeys: { created: [], deleted: [] },
+    };
+
+    for (const [upperCasePath, oldKey] of oldSnapshot) {
+        const newKey = newSnapshot.get(upperCasePath);
+        if (newKey === undefined) {
+            diff.subKeys.deleted.push(oldKey.path);
+            oldKey.values.forEach(value => diff.values.removed.push({ path: oldKey.path, ...value }));
+            continue;
+        }
+
+        for (const [upperCaseName, oldValue] of oldKey.values) {
+            const newValue = newKey.values.get(upperCaseName);
+            if (newValue === undefined) {
+                diff.values.removed.push({ path: oldKey.path, ...oldValue });
+            } else if (newValue.type !== oldValue.type || !newValue.data.equals(oldValue.data)) {
+                diff.values.modified.push({
+                    path: newKey.path,
+                    name: newValue.name,
+                    oldType: oldValue.type,
+                    oldData: oldValue.data,
+                    newType: newValue.type,
+                    newData: newValue.data,
+                });
+            }
+        }
+
+        for (const [upperCaseName, newValue] of newKey.values) {
+            if (!oldKey.values.has(upperCaseName)) {
+                diff.values.added.push({ path: newKey.path, ...newValue });
+            }
+        }
+    }
+
+    for (const [upperCasePath, newKey] of newSnapshot) {
+        if (!oldSnapshot.has(upperCasePath)) {
+            diff.subKeys.created.push(newKey.path);
+            newKey.values.forEach(value => diff.values.added.push({ path: newKey.path, ...value }));
+        }
+    }
+
+    return diff;
+}
+
+/**
+ * Merges differences of consecutive snapshots, e.g. when a key is deleted and then re-created right away.
+ * @param {...object} diffs - Differences returned by diffSnapshots(), in the order they happened.
+ * @return {object} The merged differences, in the same form as returned by diffSnapshots().
+ */
+function mergeDiffs(...diffs) {
+    return {
+        values: {
+            added: diffs.flatMap(diff => diff.values.added),
+            removed: diffs.flatMap(diff => diff.values.removed),
+            modified: diffs.flatMap(diff => diff.values.modified),
+        },
+        subKeys: {
+            created: diffs.flatMap(diff => diff.subKeys.created),
+            deleted: diffs.flatMap(diff => diff.subKeys.deleted),
+        },
+    };
+}
+
+/**
+ * Folds differences of consecutive snapshots into the net differences between the earliest and the latest snapshot, so that they don't grow with the
+ * number of changes. For each value, the type and data before the first change and after the last change are kept, and values (as well as keys) that
+ * changed and then changed back are dropped. A key that was deleted and then re-created is listed as both deleted and created, same as mergeDiffs() does.
+ * @param {...object} diffs - Differences returned by diffSnapshots(), mergeDiffs() or decodeDiff(), in the order they happened.
+ * @return {object} The folded differences, in the same form as returned by diffSnapshots().
+ */
+function coalesceDiffs(...diffs) {
+    // Upper-case key path to { path, existedBefore, existsAfter, wasMissing }
+    const keys = new Map();
+    // Upper-case key path and value name to { path, name, before, after }, where before/after is an object containing type and data, or null if missing
+    const values = new Map();
+
+    diffs.forEach(diff => {
+        const keyChanges = new Map();
+        diff.subKeys.deleted.forEach(path => keyChanges.set(path.toUpperCase(), { path, existedBefore: true, existsAfter: false }));
+        diff.subKeys.created.forEach(path => {
+            const change = keyChanges.get(path.toUpperCase());
+            keyChanges.set(path.toUpperCase(), { path, existedBefore: change !== undefined, existsAfter: true });
+        });
+        keyChanges.forEach((change, upperCasePath) => {
+            const key = keys.get(upperCasePath);
+            if (key === undefined) {
+                keys.set(upperCasePath, { ...change, wasMissing: change.existedBefore && change.existsAfter });
+            } else {
+                key.path = change.path;
+                key.wasMissing = key.wasMissing || !key.existsAfter || !change.existsAfter;
+                key.existsAfter = change.existsAfter;
+            }
+        });
+
+        const valueChanges = new Map();
+        const setValueChange = (path, name, before, after) => {
+            const id = `${path.toUpperCase()}\\${name.toUpperCase()}`;
+            const change = valueChanges.get(id);
+            valueChanges.set(id, { path, name, before: change === undefined ? before : change.before, after });
+        };
+        diff.values.removed.forEach(value => setValueChange(value.path, value.name, { type: value.type, data: value.data }, null));
+        diff.values.modified.forEach(value => setValueChange(value.path, value.name, { type: value.oldType, data: value.oldData }, { type: value.newType, data: value.newData }));
+        diff.values.added.forEach(value => setValueChange(value.path, value.name, null, { type: value.type, data: value.data }));
+        valueChanges.forEach((change, id) => {
+            const value = values.get(id);
+            if (value === undefined) {
+                values.set(id, change);
+            } else {
+                value.path = change.path;
+                value.name = change.name;
+                value.after = change.after;
+            }
+        });
+    });
+
+    const folded = {
+        values: { added: [], removed: [], modified: [] },
+        subKeys: { created: [], deleted: [] },
+    };
+
+    keys.forEach(key => {
+        if (key.existedBefore && (!key.existsAfter || key.wasMissing)) {
+            folded.subKeys.deleted.push(key.path);
+        }
+        if (key.existsAfter && (!key.existedBefore || key.wasMissing)) {
+            folded.subKeys.created.push(key.path);
+        }
+    });
+
+    values.forEach(({ path, name, before, after }) => {
+        if (before === null && after !== null) {
+            folded.values.added.push({ path, name, ...after });
+        } else if (before !== null && after === null) {
+            folded.values.removed.push({ path, name, ...before });
+        } else if (before !== null && after !== null && (before.type !== after.type || !isSameValue(before.data, after.data))) {
+            folded.values.modified.push({ path, name, oldType: before.type, oldData: before.data, newType: after.type, newData: after.data });
+        }
+    });
+
+    return folded;
+}
+
+/**
+ * Converts raw data in the differences returned by diffSnapshots() to JavaScript values, the same way as RegistryKey.getValue() does.
+ * @param {object} diff - The differences returned by diffSnapshots().
+ * @param {object} options - (Optional) Options used to convert the data. See RegistryKey.getValue().
+ * @return {object} The differences in the same form, with converted data. Data that cannot be converted (e.g. malformed strings with strictStrings set) is null.
+ */
+function decodeDiff(diff, options) {
+    const decode = (type, data) => {
+        try {
+            return decodeValue(type, data, options);
+        } catch {
+            return null;
+        }
+    };
+
+    return {
+        values: {
+            added: diff.values.added.map(value => ({ ...value, data: decode(value.type, value.data) })),
+            removed: diff.values.removed.map(value => ({ ...value, data: decode(value.type, value.data) })),
+            modified: diff.values.modified.map(value => ({
+                ...value,
+                oldData: decode(value.oldType, value.oldData),
+                newData: decode(value.newType, value.newData),
+            })),
+        },
+        subKeys: {
+            created: [...diff.subKeys.created],
+            deleted: [...diff.subKeys.deleted],
+        },
+    };
+}
+
+module.exports = {
+    diffSnapshots,
+    mergeDiffs,
+    coalesceDiffs,
+    decodeDiff,
+};
@@ -0,0 +1,280 @@
+'use strict';
+
+const { RegistryValueType } = require('./registry-constants.js');
+const { expandEnvironmentStrings } = require('./environment-strings.js');
+const {
+    toWString,
+    toNullTerminatedWString,
+    fromWString } = require('./wstring.js');
+const {
+    decodeResourceList,
+    decodeFullResourceDescriptor,
+    decodeResourceRequirementsList } = require('./registry-resource-list.js');
+
+// Maximum value of a 64-bit unsigned integer
+const MaxQword = 0xFFFFFFFFFFFFFFFFn;
+
+// Size of a NULL terminator in UTF-16 encoding
+const WNullSize = 2;
+
+// Value types that are affected by the strict string decoding mode
+const StringValueTypes = [
+    RegistryValueType.REG_SZ,
+    RegistryValueType.REG_EXPAND_SZ,
+    RegistryValueType.REG_LINK,
+    RegistryValueType.REG_MULTI_SZ,
+];
+
+/**
+ * Converts raw registry value data to a JavaScript value.
+ * @param {RegistryValueType} type - The type of the value.
+ * @param {Buffer} data - The raw data of the value.
+ * @param {object} options - (Optional) An object containing:
+ *                           qwordAsNumber: Whether to return REG_QWORD value as a number when it doesn't exceed Number.MAX_SAFE_INTEGER. If not provided, default value false is used.
+ *                           pointerSize: Pointer size in bytes of the system that wrote resource descriptors, i.e. 4 for 32-bit Windows or 8 for 64-bit Windows.
+ *                                        If not provided, default value 8 is used.
+ *                           strictStrings: Whether to decode string types strictly. In strict mode, exactly one NULL terminator is trimmed from REG_SZ/REG_EXPAND_SZ,
+ *                                          and the final empty string is expected to end REG_MULTI_SZ. Data that is not terminated, has an odd length or has
+ *                                          embedded NULL characters is reported by throwing a RangeError instead of being returned.
+ *                                          If not provided, default value false is used, where REG_SZ/REG_EXPAND_SZ strings keep their trailing NULL terminator.
+ *                           expand: Whether to expand environment-variable references (e.g. %USERPROFILE%) in REG_EXPAND_SZ values. Pass true to use process.env,
+ *                                   or an object that maps variable names to values. See expandEnvironmentStrings() in environment-strings.js for the rules.
+ *                                   If not provided, default value false is used.
+ * @return {any} Converted value, which is in a type that depends on the Value Type:
+ *               REG_DWORD/REG_DWORD_BIG_ENDIAN:   unsigned integer
+ *               REG_QWORD:                        BigInt, or unsigned integer if qwordAsNumber is set and the value fits
+ *               REG_SZ/REG_EXPAND_SZ/REG_LINK:    string
+ *               REG_MULTI_SZ:                     string[]
+ *               REG_RESOURCE_LIST:                object, see decodeResourceList() in registry-resource-list.js
+ *               REG_FULL_RESOURCE_DESCRIPTOR:     object, see decodeFullResourceDescriptor() in registry-resource-list.js
+ *               REG_RESOURCE_REQUIREMENTS_LIST:   object, see decodeResourceRequirementsList() in registry-resource-list.js
+ *               REG_BINARY/REG_NONE/other types:  Buffer
+ *               If the data is malformed for its type (e.g. a DWORD shorter than 4 bytes), the raw data is returned as Buffer so nothing is lost,
+ *               unless it's a string type decoded with strictStrings set.
+ * @throws {RangeError} If strictStrings is set and the data of a string type is malformed.
+ */
+function decodeValue(type, data, options = {}) {
+    try {
+        const value = decodeValueStrictly(type, data, options);
+        if (options.expand && type === RegistryValueType.REG_EXPAND_SZ && typeof value === 'string') {
+            return expandEnvironmentStrings(value, (options.expand === true) ? process.env : options.expand);
+        }
+        return value;
+    } catch (err) {
+        if (err instanceof RangeError && !(options.strictStrings && StringValueTypes.includes(type))) {
+            // Data is truncated
+            return data;
+        }
+        throw err;
+    }
+}
+
+/** Private function: converts raw registry value data to a JavaScript value, and throws RangeError if the data is malformed. */
+function decodeValueStrictly(type, data, { qwordAsNumber = false, pointerSize = 8, strictStrings = false }) {
+    if (strictStrings && StringValueTypes.includes(type)) {
+        return decodeStringStrictly(type, data);
+    }
+
+    switch (type) {
+        case RegistryValueType.REG_DWORD:
+            // Value is expected as unsigned integer
+            return data.readUInt32LE();
+
+        case RegistryValueType.REG_DWORD_BIG_ENDIAN:
+            // Value is expected as unsigned integer
+            return data.readUInt32BE();
+
+        case RegistryValueType.REG_QWORD: {
+            // Value is expected as BigInt since a number cannot hold 64-bit integer precisely
+            const qword = data.readBigUInt64LE();
+            return (qwordAsNumber && qword <= Number.MAX_SAFE_INTEGER) ? Number(qword) : qword;
+        }
+
+        case RegistryValueType.REG_SZ:
+        case RegistryValueType.REG_EXPAND_SZ:
+            // Value is expected as string
+            return fromWString(data);
+
+        case RegistryValueType.REG_LINK:
+            // Value is expected as string. Symbolic link target is stored without NULL terminator
+            return fromWString(data);
+
+        case RegistryValueType.REG_MULTI_SZ: {
+            // Value is expected as string[]
+            const value = [];
+            let currentStringStart = 0;
+            let i = 2;
+            while (i < data.length - 2) { // Ignore the final/extra NULL terminator that ends the whole sequence
+                // In UTF-16 encoding, a NULL terminator is 2 bytes of zeros
+                if (data[i] === 0 && data[i + 1] === 0) {
+                    value.push(fromWString(data, currentStringStart, i));
+                    currentStringStart = i + 2;
+                    i = currentStringStart;
+                }
+                i += 2;
+            }
+            return value;
+        }
+
+        case RegistryValueType.REG_RESOURCE_LIST:
+            return decodeResourceList(data, pointerSize);
+
+        case RegistryValueType.REG_FULL_RESOURCE_DESCRIPTOR:
+            return decodeFullResourceDescriptor(data, pointerSize);
+
+        case RegistryValueType.REG_RESOURCE_REQUIREMENTS_LIST:
+            return decodeResourceRequirementsList(data);
+
+        case RegistryValueType.REG_BINARY:
+        default:
+            // Value is expected as Buffer. Unknown types are kept as raw data as well
+            return data;
+    }
+}
+
+/** Private function: decodes a string type, and throws RangeError if the data is malformed. */
+function decodeStringStrictly(type, data) {
+    if (data.length % WNullSize !== 0) {
+        throw new RangeError(`String data has an odd length of ${data.length} bytes.`);
+    }
+
+    if (type === RegistryValueType.REG_LINK) {
+        // Symbolic link target is stored without NULL terminator
+        return fromWString(data);
+    }
+
+    if (type === RegistryValueType.REG_MULTI_SZ && data.length <= WNullSize) {
+        // Empty sequence, which is either empty data or only the final NULL terminator
+        return [];
+    }
+
+    if (data.length < WNullSize || data.readUInt16LE(data.length - WNullSize) !== 0) {
+        throw new RangeError('String data is not NULL-terminated.');
+    }
+
+    // Trim exactly one NULL terminator
+    const str = fromWString(data, 0, data.length - WNullSize);
+    if (type !== RegistryValueType.REG_MULTI_SZ) {
+        if (str.includes('\0')) {
+            throw new RangeError(`String data has an embedded NULL character at byte offset ${str.indexOf('\0') * WNullSize}.`);
+        }
+        return str;
+    }
+
+    // The sequence ends with an empty string, so what is left has to be NULL-terminated strings that are not empty
+    if (!str.endsWith('\0')) {
+        throw new RangeError('String sequence is not terminated by an empty string.');
+    }
+    const value = str.slice(0, -1).split('\0');
+    const emptyIndex = value.indexOf('');
+    if (emptyIndex !== -1) {
+        throw new RangeError(`String sequence has an empty string at index ${emptyIndex}.`);
+    }
+    return value;
+}
+
+/**
+ * Converts a JavaScript value to raw registry value data.
+ * @param {RegistryValueType} type - The type of the value.
+ * @param {any} value - The value to be converted, which needs to be in a type that corresponds to the Value Type:
+ *                      REG_DWORD/REG_DWORD_BIG_ENDIAN:  unsigned integer
+ *                      REG_QWORD:                       BigInt or unsigned safe integer
+ *                      REG_SZ/REG_EXPAND_SZ/REG_LINK:   string
+ *                      REG_MULTI_SZ:                    string[]
+ *                      REG_BINARY/REG_NONE/other types: Buffer
+ *                      Resource list types (REG_RESOURCE_LIST, REG_FULL_RESOURCE_DESCRIPTOR and REG_RESOURCE_REQUIREMENTS_LIST) are only written by the system,
+ *                      so only their raw data as Buffer is accepted.
+ * @return {Buffer} Converted raw data.
+ * @throws {TypeError|RangeError} If the value is not valid for the type.
+ */
+function encodeValue(type, value) {
+    let data = null;
+    switch (type) {
+        case RegistryValueType.REG_DWORD:
+            // Value is expected as unsigned integer
+            data = Buffer.alloc(4);
+            data.writeUInt32LE(value);
+            return data;
+
+        case RegistryValueType.REG_DWORD_BIG_ENDIAN:
+            // Value is expected as unsigned integer
+            data = Buffer.alloc(4);
+            data.writeUInt32BE(value);
+            return data;
+
+        case RegistryValueType.REG_QWORD:
+            // Value is expected as BigInt, or a number that can be precisely converted to BigInt
+            if (typeof value === 'number') {
+                if (!Number.isSafeInteger(value)) {
+                    throw new RangeError(`${value} is not a safe integer. Use BigInt for REG_QWORD value beyond Number.MAX_SAFE_INTEGER.`);
+                }
+                value = BigInt(value);
+            } else if (typeof value !== 'bigint') {
+                throw new TypeError(`REG_QWORD value is expected to be a BigInt or a number, but got ${typeof value}.`);
+            }
+
+            if (value < 0n || value > MaxQword) {
+                throw new RangeError(`${value} is out of range of REG_QWORD, which is from 0 to ${MaxQword}.`);
+            }
+
+            data = Buffer.alloc(8);
+            data.writeBigUInt64LE(value);
+            return data;
+
+        case RegistryValueType.REG_SZ:
+        case RegistryValueType.REG_EXPAND_SZ:
+            // Value is expected as string
+            return toNullTerminatedWString(value);
+
+        case RegistryValueType.REG_LINK:
+            // Value is expected as string. Symbolic link target is stored without NULL terminator
+            return toWString(value);
+
+        case RegistryValueType.REG_MULTI_SZ: {
+            // Value is expected as string[]
+            const wstrings = value.map(str => toNullTerminatedWString(str));
+            data = Buffer.alloc(wstrings.reduce((sum, wstring) => sum + wstring.length, 0) + 2); // Add the final/extra NULL terminator that ends the sequence
+            let pos = 0;
+            wstrings.forEach(wstring => {
+                wstring.copy(data, pos);
+                pos += wstring.length;
+            });
+            return data;
+        }
+
+        case RegistryValueType.REG_BINARY:
+        default:
+            // Value is expected as Buffer. Types without a structured representation are written as raw data as well
+            if (!Buffer.isBuffer(value)) {
+                throw new TypeError(`Value of type ${type} is expected to be a Buffer, but got ${typeof value}.`);
+            }
+            return value;
+    }
+}
+
+/**
+ * Checks whether two converted values are the same. Arrays, Buffers and structured values (e.g. decoded resource lists) are compared by content.
+ * @param {any} value1 - The first value.
+ * @param {any} value2 - The second value.
+ * @return {boolean} Whether the values are the same.
+ */
+function isSameValue(value1, value2) {
+    if (value1 === value2) {
+        return true;
+    } else if (Buffer.isBuffer(value1) || Buffer.isBuffer(value2)) {
+        return Buffer.isBuffer(value1) && Buffer.isBuffer(value2) && value1.equals(value2);
+    } else if (Array.isArray(value1) || Array.isArray(value2)) {
+        return Array.isArray(value1) && Array.isArray(value2) && value1.length === value2.length && value1.every((item, index) => isSameValue(item, value2[index]));
+    } else if (value1 !== null && value2 !== null && typeof value1 === 'object' && typeof value2 === 'object') {
+        const keys = Object.keys(value1);
+        return keys.length === Object.keys(value2).length && keys.every(key => Object.prototype.hasOwnProperty.call(value2, key) && isSameValue(value1[key], value2[key]));
+    }
+
+    return false;
+}
+
+module.exports = {
+    decodeValue,
+    encodeValue,
+    isSameValue,
+};
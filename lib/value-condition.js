@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Representing a condition on a converted registry value, e.g. "DWORD outside 1..10" or "string matches /proxy/i".
+ * Use the static methods to create one, and not() to negate it.
+ */
+class ValueCondition {
+    /**
+     * Constructor. Should not be used directly, but use the static methods to create one.
+     * @param {function} test - A function that receives the value and its type, and returns whether the condition holds.
+     *                          It throws a TypeError if the condition doesn't apply to the value.
+     * @param {string} description - Description of the condition, e.g. "in range 1..10".
+     */
+    constructor(test, description) {
+        this.conditionData = {
+            test: test,
+            description: description,
+        };
+    }
+
+    /**
+     * Creates a condition from a custom predicate.
+     * @param {function} predicate - A function that receives the value and its type (as defined in Registry.ValueType), and returns whether the condition holds.
+     * @return {ValueCondition} The condition.
+     */
+    static predicate(predicate) {
+        if (typeof predicate !== 'function') {
+            throw new TypeError('Predicate has to be a function!');
+        }
+        return new ValueCondition((value, type) => Boolean(predicate(value, type)), `satisfies ${predicate.name || 'predicate'}`);
+    }
+
+    /**
+     * Creates a condition that holds when a number (REG_DWORD, REG_DWORD_BIG_ENDIAN or REG_QWORD) is within a range.
+     * @param {number|BigInt} min - The minimum, inclusive. Pass null for no minimum.
+     * @param {number|BigInt} max - The maximum, inclusive. Pass null for no maximum.
+     * @return {ValueCondition} The condition.
+     */
+    static range(min, max) {
+        const test = (value, type) => {
+            if (typeof value !== 'number' && typeof value !== 'bigint') {
+                throw new TypeError(`Value of type ${type} is not a number, so it cannot be compared to a range.`);
+            }
+            // Numbers and BigInts are compared by their mathematical values
+            return (min === null || value >= min) && (max === null || value <= max);
+        };
+        return new ValueCondition(test, `in range ${min ?? ''}..${max ?? ''}`);
+    }
+
+    /**
+     * Creates a condition that holds when a number (REG_DWORD, REG_DWORD_BIG_ENDIAN or REG_QWORD) is outside a range, which is the same as range(min, max).not().
+     * @param {number|BigInt} min - The minimum of the range, inclusive. Pass null for no minimum.
+     * @param {number|BigInt} max - The maximum of the range, inclusive. Pass null for no maximum.
+     * @return {ValueCondition} The condition.
+     */
+    static outside(min, max) {
+        return ValueCondition.range(min, max).not();
+    }
+
+    /**
+     * Creates a condition that holds when a string (REG_SZ, REG_EXPAND_SZ or REG_LINK) matches a pattern, or any string of a REG_MULTI_SZ does.
+     * @param {RegExp} pattern - The pattern.
+     * @return {ValueCondition} The condition.
+     */
+    static matches(pattern) {
+        if (!(pattern instanceof RegExp)) {
+            throw new TypeError('Pattern has to be a RegExp!');
+        }
+
+        const test = (value, type) => {
+            const strings = Array.isArray(value) ? value : [value];
+            if (!strings.every(str => typeof str === 'string')) {
+                throw new TypeError(`Value of type ${type} is not a string, so it cannot be matched to ${pattern}.`);
+            }
+            return strings.some(str => {
+                // Global and sticky patterns keep state between matches
+                pattern.lastIndex = 0;
+                return pattern.test(str);
+            });
+        };
+        return new ValueCondition(test, `matches ${pattern}`);
+    }
+
+    /**
+     * Creates a condition that holds when a REG_MULTI_SZ contains a string, or a string (REG_SZ, REG_EXPAND_SZ or REG_LINK) contains a substring.
+     * @param {string} str - The string to look for. Comparison is case-sensitive.
+     * @return {ValueCondition} The condition.
+     */
+    static contains(str) {
+        if (typeof str !== 'string') {
+            throw new TypeError('Contained value has to be a string!');
+        }
+
+        const test = (value, type) => {
+            if (typeof value !== 'string' && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+                throw new TypeError(`Value of type ${type} is neither a string nor a string array, so it cannot contain "${str}".`);
+            }
+            return value.includes(str);
+        };
+        return new ValueCondition(test, `contains "${str}"`);
+    }
+
+    /**
+     * Converts a function or a RegExp to a condition, as accepted in place of compare value by Registry.monitorValue().
+     * @param {ValueCondition|function|RegExp} condition - The condition, a predicate as described in predicate(), or a pattern as described in matches().
+     * @return {ValueCondition} The condition, or null if it's none of the accepted types.
+     */
+    static from(condition) {
+        if (condition instanceof ValueCondition) {
+            return condition;
+        } else if (typeof condition === 'function') {
+            return ValueCondition.predicate(condition);
+        } else if (condition instanceof RegExp) {
+            return ValueCondition.matches(condition);
+        }
+
+        return null;
+    }
+
+    /**
+     * @return {string} Description of the condition.
+     */
+    get description() {
+        return this.conditionData.description;
+    }
+
+    /**
+     * Creates a condition that holds when this one doesn't. A type mismatch still throws.
+     * @return {ValueCondition} The negated condition.
+     */
+    not() {
+        const test = this.conditionData.test;
+        return new ValueCondition((value, type) => !test(value, type), `not ${this.conditionData.description}`);
+    }
+
+    /**
+     * Checks whether the condition holds for a value.
+     * @param {any} value - The converted value, as returned by RegistryKey.getValue().
+     * @param {number} type - The type of the value, as defined in Registry.ValueType.
+     * @return {boolean} Whether the condition holds.
+     * @throws {TypeError} If the condition doesn't apply to the type of the value, e.g. a range for a string. A predicate may throw any error.
+     */
+    evaluate(value, type) {
+        return this.conditionData.test(value, type);
+    }
+
+    toString() {
+        return this.conditionData.description;
+    }
+}
+
+module.exports = ValueCondition;
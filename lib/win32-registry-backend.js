@@ -0,0 +1,685 @@
+'use strict';
+
+const ffi = require('ffi-napi');
+const ref = require('ref-napi');
+
+const RegistryBackend = require('./registry-backend.js');
+const {
+    RegistryValueType,
+    ErrorCode } = require('./registry-constants.js');
+const {
+    toNullTerminatedWString,
+    fromWString } = require('./wstring.js');
+const {
+    FileTimeSize,
+    fileTimeToDate } = require('./filetime.js');
+const getWindowsSystemErrorText = require('./windows-system-error-text.js');
+const { Win32WaitWorker } = require('./win32-wait-worker.js');
+
+// Initial size (in characters, including NULL terminator) of the buffer used to receive a key name. Key names are limited to 255 characters
+const InitialKeyNameBufferSize = 256;
+
+// Initial size (in characters, including NULL terminator) of the buffer used to receive a value name. Value names can be up to 16383 characters, but are rarely longer than this
+const InitialValueNameBufferSize = 256;
+
+// Initial size (in characters, including NULL terminator) of the buffer used to receive a class name
+const InitialClassNameBufferSize = 256;
+
+/**
+ Define registry and event Windows APIs.
+ Note, for Unicode version APIs, string parameters defined in ANSI version are replaced with pointer so buffers representing WString can be used since ref.types.CString doesn't handle wide char.
+ */
+const RegistryApi = ffi.Library('advapi32', {
+    /*
+    LSTATUS RegOpenKeyExA(
+      [in]           HKEY   hKey,
+      [in, optional] LPCSTR lpSubKey,
+      [in]           DWORD  ulOptions,
+      [in]           REGSAM samDesired,
+      [out]          PHKEY  phkResult
+    );
+
+    Windows Data Type:
+      typedef HANDLE HKEY;
+      typedef PVOID HANDLE;
+      typedef __nullterminated CONST CHAR *LPCSTR;
+      typedef char CHAR;
+      typedef unsigned long DWORD;
+    */
+    'RegOpenKeyExA': [ 'int', [ 'uint', 'string', 'uint', 'uint', 'pointer' ] ], // Use uint instead of pointer for HKEY hKey as we directly define root key handles' values
+
+    /*
+    LSTATUS RegOpenKeyExW(
+      [in]           HKEY    hKey,
+      [in, optional] LPCWSTR lpSubKey,
+      [in]           DWORD   ulOptions,
+      [in]           REGSAM  samDesired,
+      [out]          PHKEY   phkResult
+    );
+
+    Windows Data Type:
+      typedef CONST WCHAR *LPCWSTR;
+      typedef wchar_t WCHAR;
+    */
+    'RegOpenKeyExW': [ 'int', [ 'uint', 'pointer', 'uint', 'uint', 'pointer' ] ],  // Use uint instead of pointer for HKEY hKey as we directly define root key handles' values, also use pointer instead of string for LPCWSTR lpSubKey
+
+    /*
+    LSTATUS RegCreateKeyExA(
+      [in]            HKEY                        hKey,
+      [in]            LPCSTR                      lpSubKey,
+                      DWORD                       Reserved,
+      [in, optional]  LPSTR                       lpClass,
+      [in]            DWORD                       dwOptions,
+      [in]            REGSAM                      samDesired,
+      [in, optional]  const LPSECURITY_ATTRIBUTES lpSecurityAttributes,
+      [out]           PHKEY                       phkResult,
+      [out, optional] LPDWORD                     lpdwDisposition
+    );
+
+    Windows Data Type:
+      typedef CHAR *LPSTR;
+    */
+    'RegCreateKeyExA': [ 'int', [ 'uint', 'string', 'uint', 'string', 'uint', 'uint', 'pointer', 'pointer', 'pointer' ] ], // Use uint instead of pointer for HKEY hKey as we directly define root key handles' values
+
+    /*
+    LSTATUS RegCreateKeyExW(
+      [in]            HKEY                        hKey,
+      [in]            LPCWSTR                     lpSubKey,
+                      DWORD                       Reserved,
+      [in, optional]  LPWSTR                      lpClass,
+      [in]            DWORD                       dwOptions,
+      [in]            REGSAM                      samDesired,
+      [in, optional]  const LPSECURITY_ATTRIBUTES lpSecurityAttributes,
+      [out]           PHKEY                       phkResult,
+      [out, optional] LPDWORD                     lpdwDisposition
+    );
+    */
+    'RegCreateKeyExW': [ 'int', [ 'uint', 'pointer', 'uint', 'pointer', 'uint', 'uint', 'pointer', 'pointer', 'pointer' ] ], // Use uint instead of pointer for HKEY hKey as we directly define root key handles' values, also use pointer instead of string for LPCWSTR lpSubKey and LPWSTR lpClass
+
+    /*
+    LSTATUS RegQueryValueExA(
+      [in]                HKEY    hKey,
+      [in, optional]      LPCSTR  lpValueName,
+                          LPDWORD lpReserved,
+      [out, optional]     LPDWORD lpType,
+      [out, optional]     LPBYTE  lpData,
+      [in, out, optional] LPDWORD lpcbData
+    );
+
+    Windows Data Type:
+      typedef unsigned char BYTE;
+    */
+    'RegQueryValueExA': [ 'int', [ 'pointer', 'string', 'pointer', 'pointer', 'pointer', 'pointer' ] ],
+
+    /*
+    LSTATUS RegQueryValueExW(
+      [in]                HKEY    hKey,
+      [in, optional]      LPCWSTR lpValueName,
+                          LPDWORD lpReserved,
+      [out, optional]     LPDWORD lpType,
+      [out, optional]     LPBYTE  lpData,
+      [in, out, optional] LPDWORD lpcbData
+    );
+    */
+    'RegQueryValueExW': [ 'int', [ 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer' ] ], // Use pointer instead of string for LPCWSTR lpValueName
+
+    /*
+    LSTATUS RegSetValueExA(
+      [in]           HKEY       hKey,
+      [in, optional] LPCSTR     lpValueName,
+                     DWORD      Reserved,
+      [in]           DWORD      dwType,
+      [in]           const BYTE *lpData,
+      [in]           DWORD      cbData
+    );
+    */
+    'RegSetValueExA': [ 'int', [ 'pointer', 'string', 'uint', 'uint', 'pointer', 'uint' ] ],
+
+    /*
+    LSTATUS RegSetValueExW(
+      [in]           HKEY       hKey,
+      [in, optional] LPCWSTR    lpValueName,
+                     DWORD      Reserved,
+      [in]           DWORD      dwType,
+      [in]           const BYTE *lpData,
+      [in]           DWORD      cbData
+    );
+    */
+    'RegSetValueExW': [ 'int', [ 'pointer', 'pointer', 'uint', 'uint', 'pointer', 'uint' ] ], // Use pointer instead of string for LPCWSTR lpValueName
+
+    /*
+    LSTATUS RegDeleteValueA(
+      [in]           HKEY   hKey,
+      [in, optional] LPCSTR lpValueName
+    );
+    */
+    'RegDeleteValueA': [ 'int', [ 'pointer', 'string' ] ],
+
+    /*
+    LSTATUS RegDeleteValueW(
+      [in]           HKEY    hKey,
+      [in, optional] LPCWSTR lpValueName
+    );
+    */
+    'RegDeleteValueW': [ 'int', [ 'pointer', 'pointer' ] ], // Use pointer instead of string for LPCWSTR lpValueName
+
+    /*
+    LSTATUS RegDeleteKeyA(
+      [in] HKEY   hKey,
+      [in] LPCSTR lpSubKey
+    );
+    */
+    'RegDeleteKeyA': [ 'int', [ 'uint', 'string' ] ], // Use uint instead of pointer for HKEY hKey as we directly define root key handles' values
+
+    /*
+    LSTATUS RegDeleteKeyW(
+      [in] HKEY    hKey,
+      [in] LPCWSTR lpSubKey
+    );
+    */
+    'RegDeleteKeyW': [ 'int', [ 'uint', 'pointer' ] ], // Use uint instead of pointer for HKEY hKey as we directly define root key handles' values, also use pointer instead of string for LPCWSTR lpSubKey
+
+    /*
+    LSTATUS RegDeleteTreeA(
+      [in]           HKEY   hKey,
+      [in, optional] LPCSTR lpSubKey
+    );
+    */
+    'RegDeleteTreeA': [ 'int', [ 'uint', 'string' ] ], // Use uint instead of pointer for HKEY hKey as we directly define root key handles' values
+
+    /*
+    LSTATUS RegDeleteTreeW(
+      [in]           HKEY    hKey,
+      [in, optional] LPCWSTR lpSubKey
+    );
+    */
+    'RegDeleteTreeW': [ 'int', [ 'uint', 'pointer' ] ], // Use uint instead of pointer for HKEY hKey as we directly define root key handles' values, also use pointer instead of string for LPCWSTR lpSubKey
+
+    /*
+    LSTATUS RegEnumKeyExA(
+      [in]                HKEY      hKey,
+      [in]                DWORD     dwIndex,
+      [out]               LPSTR     lpName,
+      [in, out]           LPDWORD   lpcchName,
+                          LPDWORD   lpReserved,
+      [in, out]           LPSTR     lpClass,
+      [in, out, optional] LPDWORD   lpcchClass,
+      [out, optional]     PFILETIME lpftLastWriteTime
+    );
+
+    Windows Data Type:
+      typedef struct _FILETIME {
+        DWORD dwLowDateTime;
+        DWORD dwHighDateTime;
+      } FILETIME, *PFILETIME, *LPFILETIME;
+    */
+    'RegEnumKeyExA': [ 'int', [ 'pointer', 'uint', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer' ] ], // Use pointer instead of string for LPSTR lpName and LPSTR lpClass as they are output buffers
+
+    /*
+    LSTATUS RegEnumKeyExW(
+      [in]                HKEY      hKey,
+      [in]                DWORD     dwIndex,
+      [out]               LPWSTR    lpName,
+      [in, out]           LPDWORD   lpcchName,
+                          LPDWORD   lpReserved,
+      [in, out]           LPWSTR    lpClass,
+      [in, out, optional] LPDWORD   lpcchClass,
+      [out, optional]     PFILETIME lpftLastWriteTime
+    );
+    */
+    'RegEnumKeyExW': [ 'int', [ 'pointer', 'uint', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer' ] ], // Use pointer instead of string for LPWSTR lpName and LPWSTR lpClass as they are output buffers
+
+    /*
+    LSTATUS RegEnumValueA(
+      [in]                HKEY    hKey,
+      [in]                DWORD   dwIndex,
+      [out]               LPSTR   lpValueName,
+      [in, out]           LPDWORD lpcchValueName,
+                          LPDWORD lpReserved,
+      [out, optional]     LPDWORD lpType,
+      [out, optional]     LPBYTE  lpData,
+      [in, out, optional] LPDWORD lpcbData
+    );
+    */
+    'RegEnumValueA': [ 'int', [ 'pointer', 'uint', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer' ] ], // Use pointer instead of string for LPSTR lpValueName as it is an output buffer
+
+    /*
+    LSTATUS RegEnumValueW(
+      [in]                HKEY    hKey,
+      [in]                DWORD   dwIndex,
+      [out]               LPWSTR  lpValueName,
+      [in, out]           LPDWORD lpcchValueName,
+                          LPDWORD lpReserved,
+      [out, optional]     LPDWORD lpType,
+      [out, optional]     LPBYTE  lpData,
+      [in, out, optional] LPDWORD lpcbData
+    );
+    */
+    'RegEnumValueW': [ 'int', [ 'pointer', 'uint', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer' ] ], // Use pointer instead of string for LPWSTR lpValueName as it is an output buffer
+
+    /*
+    LSTATUS RegQueryInfoKeyA(
+      [in]                HKEY      hKey,
+      [out, optional]     LPSTR     lpClass,
+      [in, out, optional] LPDWORD   lpcchClass,
+                          LPDWORD   lpReserved,
+      [out, optional]     LPDWORD   lpcSubKeys,
+      [out, optional]     LPDWORD   lpcbMaxSubKeyLen,
+      [out, optional]     LPDWORD   lpcbMaxClassLen,
+      [out, optional]     LPDWORD   lpcValues,
+      [out, optional]     LPDWORD   lpcbMaxValueNameLen,
+      [out, optional]     LPDWORD   lpcbMaxValueLen,
+      [out, optional]     LPDWORD   lpcbSecurityDescriptor,
+      [out, optional]     PFILETIME lpftLastWriteTime
+    );
+    */
+    'RegQueryInfoKeyA': [ 'int', [ 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer' ] ], // Use pointer instead of string for LPSTR lpClass as it is an output buffer
+
+    /*
+    LSTATUS RegQueryInfoKeyW(
+      [in]                HKEY      hKey,
+      [out, optional]     LPWSTR    lpClass,
+      [in, out, optional] LPDWORD   lpcchClass,
+                          LPDWORD   lpReserved,
+      [out, optional]     LPDWORD   lpcSubKeys,
+      [out, optional]     LPDWORD   lpcbMaxSubKeyLen,
+      [out, optional]     LPDWORD   lpcbMaxClassLen,
+      [out, optional]     LPDWORD   lpcValues,
+      [out, optional]     LPDWORD   lpcbMaxValueNameLen,
+      [out, optional]     LPDWORD   lpcbMaxValueLen,
+      [out, optional]     LPDWORD   lpcbSecurityDescriptor,
+      [out, optional]     PFILETIME lpftLastWriteTime
+    );
+    */
+    'RegQueryInfoKeyW': [ 'int', [ 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer' ] ], // Use pointer instead of string for LPWSTR lpClass as it is an output buffer
+
+    /*
+    LSTATUS RegNotifyChangeKeyValue(
+      [in]           HKEY   hKey,
+      [in]           BOOL   bWatchSubtree,
+      [in]           DWORD  dwNotifyFilter,
+      [in, optional] HANDLE hEvent,
+      [in]           BOOL   fAsynchronous
+    );
+
+    Windows Data Type:
+      typedef int BOOL;
+    */
+    'RegNotifyChangeKeyValue': [ 'int', [ 'pointer', 'int', 'uint', 'pointer', 'int' ] ],
+
+    /*
+    LSTATUS RegCloseKey(
+      [in] HKEY hKey
+    );
+    */
+    'RegCloseKey': [ 'int', [ 'pointer' ] ],
+});
+
+const EventApi = ffi.Library('kernel32', {
+    /*
+    HANDLE CreateEventA(
+      [in, optional] LPSECURITY_ATTRIBUTES lpEventAttributes,
+      [in]           BOOL                  bManualReset,
+      [in]           BOOL                  bInitialState,
+      [in, optional] LPCSTR                lpName
+    );
+    */
+    'CreateEventA': [ 'pointer', [ 'pointer', 'int', 'int', 'string' ] ],
+
+    /*
+    HANDLE CreateEventW(
+      [in, optional] LPSECURITY_ATTRIBUTES lpEventAttributes,
+      [in]           BOOL                  bManualReset,
+      [in]           BOOL                  bInitialState,
+      [in, optional] LPCWSTR               lpName
+    );
+    */
+    'CreateEventW': [ 'pointer', [ 'pointer', 'int', 'int', 'pointer' ] ], // Use pointer instead of string for LPCWSTR lpName
+
+    /*
+    BOOL SetEvent(
+      [in] HANDLE hEvent
+    );
+    */
+    'SetEvent': [ 'int', [ 'pointer' ] ],
+
+    /*
+    DWORD WaitForSingleObject(
+      [in] HANDLE hHandle,
+      [in] DWORD  dwMilliseconds
+    );
+    */
+    'WaitForSingleObject': [ 'uint', [ 'pointer', 'uint' ] ],
+
+    /*
+    DWORD WaitForMultipleObjects(
+      [in] DWORD        nCount,
+      [in] const HANDLE *lpHandles,
+      [in] BOOL         bWaitAll,
+      [in] DWORD        dwMilliseconds
+    );
+    */
+    'WaitForMultipleObjects': [ 'uint', [ 'uint', 'pointer', 'int', 'uint' ] ],
+
+    /*
+    BOOL CloseHandle(
+      [in] HANDLE hObject
+    );
+    */
+    'CloseHandle': [ 'int', [ 'pointer' ] ],
+});
+
+/** Registry backend that calls Win32 APIs through ffi. */
+class Win32RegistryBackend extends RegistryBackend {
+    /**
+     * Constructor.
+     */
+    constructor() {
+        super();
+        this.waitWorkers = new Set();
+    }
+
+    /**
+     * @return {string} Name of the backend, used in log messages.
+     */
+    get name() {
+        return 'win32';
+    }
+
+    /**
+     * Opens an existing key. See RegistryBackend.openKey().
+     */
+    openKey(rootKey, subKey, accessRight) {
+        const hkeyHandle = ref.alloc('pointer');
+        const result = RegistryApi.RegOpenKeyExW(rootKey, toNullTerminatedWString(subKey), 0, accessRight, hkeyHandle);
+        return {
+            result: result,
+            handle: result === 0 ? hkeyHandle.deref() : null,
+        };
+    }
+
+    /**
+     * Opens a key, and creates it if it doesn't exist. See RegistryBackend.createKey().
+     */
+    createKey(rootKey, subKey, options, accessRight) {
+        const hkeyHandle = ref.alloc('pointer');
+        const result = RegistryApi.RegCreateKeyExW(rootKey, toNullTerminatedWString(subKey), 0, ref.NULL, options, accessRight, ref.NULL, hkeyHandle, ref.NULL);
+        return {
+            result: result,
+            handle: result === 0 ? hkeyHandle.deref() : null,
+        };
+    }
+
+    /**
+     * Retrieves the type and raw data of a value. See RegistryBackend.queryValue().
+     */
+    queryValue(handle, name) {
+        const wstrName = toNullTerminatedWString(name);
+        const valueType = ref.alloc('uint');
+        const size = ref.alloc('uint');
+        let data = null;
+
+        // Find out the size first
+        let result = RegistryApi.RegQueryValueExW(handle, wstrName, ref.NULL, valueType, ref.NULL, size);
+        if (result === 0) {
+            do {
+                // If the value grows between the calls, ERROR_MORE_DATA is returned with the new size. Simply try again with a bigger buffer
+                data = Buffer.alloc(size.deref());
+                result = RegistryApi.RegQueryValueExW(handle, wstrName, ref.NULL, valueType, data, size);
+            } while (result === ErrorCode.MoreData);
+        }
+
+        if (result !== 0) {
+            return {
+                result: result,
+                type: RegistryValueType.REG_NONE,
+                data: null,
+            };
+        }
+
+        return {
+            result: result,
+            type: valueType.deref(),
+            data: data.subarray(0, size.deref()), // The value may also shrink between the calls
+        };
+    }
+
+    /**
+     * Sets the type and raw data of a value. See RegistryBackend.setValue().
+     */
+    setValue(handle, name, type, data) {
+        return RegistryApi.RegSetValueExW(handle, toNullTerminatedWString(name), 0, type, data, data.length);
+    }
+
+    /**
+     * Deletes a value. See RegistryBackend.deleteValue().
+     */
+    deleteValue(handle, name) {
+        return RegistryApi.RegDeleteValueW(handle, toNullTerminatedWString(name));
+    }
+
+    /**
+     * Deletes a key that has no sub keys. See RegistryBackend.deleteKey().
+     */
+    deleteKey(rootKey, subKey) {
+        return RegistryApi.RegDeleteKeyW(rootKey, toNullTerminatedWString(subKey));
+    }
+
+    /**
+     * Deletes a key with all its values and sub keys. See RegistryBackend.deleteTree().
+     */
+    deleteTree(rootKey, subKey) {
+        // Since lpSubKey is not NULL, the key itself is deleted as well, not just its content
+        return RegistryApi.RegDeleteTreeW(rootKey, toNullTerminatedWString(subKey));
+    }
+
+    /**
+     * Retrieves the name of a sub key by index. See RegistryBackend.enumKey().
+     */
+    enumKey(handle, index) {
+        let bufferSize = InitialKeyNameBufferSize;
+        while (true) {
+            const nameBuffer = Buffer.alloc(bufferSize * 2); // In UTF-16 encoding, each character takes 2 bytes
+            const nameLength = ref.alloc('uint', bufferSize);
+            const result = RegistryApi.RegEnumKeyExW(handle, index, nameBuffer, nameLength, ref.NULL, ref.NULL, ref.NULL, ref.NULL);
+            if (result === ErrorCode.MoreData) {
+                // Name doesn't fit. Unlike RegQueryValueExW, the required size is not reported, so keep doubling the buffer
+                bufferSize *= 2;
+                continue;
+            }
+
+            return {
+                result: result,
+                name: result === 0 ? fromWString(nameBuffer, 0, nameLength.deref() * 2) : null, // Returned length excludes NULL terminator
+            };
+        }
+    }
+
+    /**
+     * Retrieves the name, type and raw data of a value by index. See RegistryBackend.enumValue().
+     */
+    enumValue(handle, index) {
+        let nameBufferSize = InitialValueNameBufferSize;
+        let data = null; // Data size is unknown in the first call, in which case only the size is retrieved
+        while (true) {
+            const nameBuffer = Buffer.alloc(nameBufferSize * 2); // In UTF-16 encoding, each character takes 2 bytes
+            const nameLength = ref.alloc('uint', nameBufferSize);
+            const valueType = ref.alloc('uint');
+            const size = ref.alloc('uint', data === null ? 0 : data.length);
+            const result = RegistryApi.RegEnumValueW(handle, index, nameBuffer, nameLength, ref.NULL, valueType, data === null ? ref.NULL : data, size);
+            if (result === 0) {
+                if (data === null) {
+                    // Got the size. Now retrieve the data
+                    data = Buffer.alloc(size.deref());
+                    continue;
+                }
+
+                return {
+                    result: result,
+                    name: fromWString(nameBuffer, 0, nameLength.deref() * 2), // Returned length excludes NULL terminator
+                    type: valueType.deref(),
+                    data: data.subarray(0, size.deref()), // The value may shrink between the calls
+                };
+            } else if (result === ErrorCode.MoreData) {
+                if (data !== null && size.deref() > data.length) {
+                    // The value grew between the calls. Try again with the new size
+                    data = Buffer.alloc(size.deref());
+                } else {
+                    // Name doesn't fit, and its required size is not reported, so keep doubling the buffer
+                    nameBufferSize *= 2;
+                }
+                continue;
+            }
+
+            return {
+                result: result,
+                name: null,
+                type: RegistryValueType.REG_NONE,
+                data: null,
+            };
+        }
+    }
+
+    /**
+     * Retrieves information about a key. See RegistryBackend.queryInfoKey().
+     */
+    queryInfoKey(handle) {
+        let classBufferSize = InitialClassNameBufferSize;
+        while (true) {
+            const classBuffer = Buffer.alloc(classBufferSize * 2); // In UTF-16 encoding, each character takes 2 bytes
+            const classLength = ref.alloc('uint', classBufferSize);
+            const subKeyCount = ref.alloc('uint');
+            const maxSubKeyNameLength = ref.alloc('uint');
+            const maxClassNameLength = ref.alloc('uint');
+            const valueCount = ref.alloc('uint');
+            const maxValueNameLength = ref.alloc('uint');
+            const maxValueDataSize = ref.alloc('uint');
+            const lastWriteTime = Buffer.alloc(FileTimeSize);
+            const result = RegistryApi.RegQueryInfoKeyW(handle, classBuffer, classLength, ref.NULL, subKeyCount, maxSubKeyNameLength, maxClassNameLength, valueCount, maxValueNameLength, maxValueDataSize, ref.NULL, lastWriteTime);
+            if (result === ErrorCode.MoreData) {
+                // Class name doesn't fit. Keep doubling the buffer
+                classBufferSize *= 2;
+                continue;
+            }
+
+            return {
+                result: result,
+                info: result !== 0 ? null : {
+                    className: fromWString(classBuffer, 0, classLength.deref() * 2), // Returned length excludes NULL terminator
+                    subKeyCount: subKeyCount.deref(),
+                    maxSubKeyNameLength: maxSubKeyNameLength.deref(),
+                    maxClassNameLength: maxClassNameLength.deref(),
+                    valueCount: valueCount.deref(),
+                    maxValueNameLength: maxValueNameLength.deref(),
+                    maxValueDataSize: maxValueDataSize.deref(),
+                    lastWriteTime: fileTimeToDate(lastWriteTime),
+                },
+            };
+        }
+    }
+
+    /**
+     * Registers an event to be signaled when a change happens in a key. See RegistryBackend.notifyChangeKeyValue().
+     */
+    notifyChangeKeyValue(handle, watchSubtree, notifyFilter, waitHandle) {
+        return RegistryApi.RegNotifyChangeKeyValue(
+            handle,
+            watchSubtree ? 1 : 0,
+            notifyFilter,
+            waitHandle,
+            1 // Use async behavior
+        );
+    }
+
+    /**
+     * Closes a key handle. See RegistryBackend.closeKey().
+     */
+    closeKey(handle) {
+        return RegistryApi.RegCloseKey(handle);
+    }
+
+    /**
+     * Creates an event. See RegistryBackend.createEvent().
+     */
+    createEvent() {
+        const waitHandle = EventApi.CreateEventW(
+            ref.NULL, // Use default security descriptor
+            0, // Use auto-reset behavior
+            0, // Initial state is unset
+            ref.NULL // No need to assign a name as Registry class is making sure there is only one monitor per key path
+        );
+        return ref.isNull(waitHandle) ? null : waitHandle;
+    }
+
+    /**
+     * Closes an event handle. See RegistryBackend.closeHandle().
+     */
+    closeHandle(waitHandle) {
+        // Closing a handle that a worker thread is waiting for is undefined behavior
+        const waitWorker = [...this.waitWorkers].find(worker => worker.isWaitingFor(waitHandle));
+        if (waitWorker) {
+            return waitWorker.closeHandle(waitHandle);
+        }
+
+        return EventApi.CloseHandle(waitHandle) !== 0;
+    }
+
+    /**
+     * Sets an event to signaled state. See RegistryBackend.setEvent().
+     */
+    setEvent(waitHandle) {
+        return EventApi.SetEvent(waitHandle) !== 0;
+    }
+
+    /**
+     * Builds the handle array buffer to be used as lpHandles in WaitForMultipleObjects API. See RegistryBackend.createWaitHandleArray().
+     */
+    createWaitHandleArray(waitHandles) {
+        const buffer = Buffer.alloc(ref.sizeof.pointer * waitHandles.length);
+        for (let i = 0; i < waitHandles.length; ++i) {
+            ref.writePointer(buffer, i * ref.sizeof.pointer, waitHandles[i]);
+        }
+
+        return {
+            count: waitHandles.length,
+            buffer: buffer,
+        };
+    }
+
+    /**
+     * Waits until any of the events is signaled. See RegistryBackend.waitForMultipleObjects().
+     */
+    waitForMultipleObjects(waitHandleArray, timeout) {
+        return EventApi.WaitForMultipleObjects(
+            waitHandleArray.count,
+            waitHandleArray.buffer,
+            0, // Wait for any
+            timeout
+        );
+    }
+
+    /**
+     * Creates a waiter that waits for each group of events on a worker thread. See RegistryBackend.createWaitWorker().
+     */
+    createWaitWorker(callback) {
+        // Forget waiters whose threads have all exited
+        this.waitWorkers = new Set([...this.waitWorkers].filter(waitWorker => waitWorker.isRunning));
+
+        const waitWorker = new Win32WaitWorker({
+            setEvent: waitHandle => this.setEvent(waitHandle),
+            closeHandle: waitHandle => EventApi.CloseHandle(waitHandle) !== 0,
+            getAddress: waitHandle => ref.address(waitHandle),
+        }, callback);
+        this.waitWorkers.add(waitWorker);
+        return waitWorker;
+    }
+
+    /**
+     * Retrieves the description of a Windows system error code. See RegistryBackend.getErrorText().
+     */
+    getErrorText(errorCode) {
+        return getWindowsSystemErrorText(errorCode);
+    }
+}
+
+module.exports = Win32RegistryBackend;
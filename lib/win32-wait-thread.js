@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ Worker thread of Win32WaitWorker, which waits for a group of events through WaitForMultipleObjects API.
+ */
+
+const { workerData } = require('worker_threads');
+const ffi = require('ffi-napi');
+const ref = require('ref-napi');
+
+const { runWaitThread } = require('./win32-wait-worker.js');
+
+const EventApi = ffi.Library('kernel32', {
+    /*
+    DWORD WaitForMultipleObjects(
+      [in] DWORD        nCount,
+      [in] const HANDLE *lpHandles,
+      [in] BOOL         bWaitAll,
+      [in] DWORD        dwMilliseconds
+    );
+    */
+    'WaitForMultipleObjects': [ 'uint', [ 'uint', 'pointer', 'int', 'uint' ] ],
+});
+
+runWaitThread(workerData.port, {
+    createWaitHandleArray(addresses) {
+        const buffer = Buffer.alloc(ref.sizeof.pointer * addresses.length);
+        addresses.forEach((address, i) => {
+            if (ref.sizeof.pointer === 8) {
+                ref.writeUInt64LE(buffer, i * ref.sizeof.pointer, address);
+            } else {
+                buffer.writeUInt32LE(address, i * ref.sizeof.pointer);
+            }
+        });
+
+        return {
+            count: addresses.length,
+            buffer: buffer,
+        };
+    },
+
+    waitForMultipleObjects(waitHandleArray, timeout) {
+        return EventApi.WaitForMultipleObjects(
+            waitHandleArray.count,
+            waitHandleArray.buffer,
+            0, // Wait for any
+            timeout
+        );
+    },
+});
@@ -0,0 +1,316 @@
+'use strict';
+
+const path = require('path');
+const {
+    Worker,
+    MessageChannel,
+    receiveMessageOnPort } = require('worker_threads');
+
+const {
+    WaitForMultipleObjectsResult,
+    InfiniteWaitTimeout } = require('./registry-constants.js');
+
+// Script run by the worker threads, which waits through WaitForMultipleObjects API
+const DefaultThreadFile = path.join(__dirname, 'win32-wait-thread.js');
+
+/**
+ * Private class. A worker thread that waits for one group of events without timeout.
+ * Handles cannot be passed between threads, so the thread is given their addresses. Each update gets a generation number, which the thread
+ * acknowledges once it no longer waits for the handles of the previous ones. Signaled events are reported as indexes in the acknowledged group.
+ */
+class Win32WaitThread {
+    /**
+     * Constructor.
+     * @param {Win32WaitWorker} waitWorker - The waiter that the thread belongs to.
+     */
+    constructor(waitWorker) {
+        const { port1, port2 } = new MessageChannel();
+        this.waitWorker = waitWorker;
+        this.port = port1;
+        this.generation = 0;            // Generation of the last update
+        this.group = null;              // Group of the last update
+        this.pendingGroups = new Map(); // Groups of updates that the thread hasn't picked up yet, keyed by generation
+        this.activeGroup = null;        // Group that the thread is waiting for
+        this.stopped = false;
+        this.exited = false;
+
+        this.port.on('message', message => this.onMessage(message));
+        this.thread = new Worker(waitWorker.threadFile, {
+            workerData: { ...waitWorker.threadData, port: port2 },
+            transferList: [ port2 ],
+        });
+        this.thread.on('error', err => waitWorker.onThreadError(err));
+        this.thread.on('exit', () => waitWorker.onThreadExit(this));
+    }
+
+    /**
+     * Replaces the group of events being waited for, and wakes up the thread through the first event of the group to pick it up.
+     * @param {object[]} group - Event handles, with the event used to wake up the wait as the first one.
+     */
+    update(group) {
+        if (group === this.group) {
+            return;
+        }
+
+        // The first event never changes, since threads are assigned to groups by it
+        const isWaiting = this.group !== null;
+        this.group = group;
+        this.pendingGroups.set(++this.generation, group);
+        this.port.postMessage({
+            generation: this.generation,
+            group: group.map(waitHandle => this.waitWorker.api.getAddress(waitHandle)),
+        });
+        if (isWaiting) {
+            this.waitWorker.api.setEvent(group[0]);
+        }
+    }
+
+    /**
+     * Stops the thread once it wakes up.
+     */
+    stop() {
+        if (!this.stopped) {
+            this.stopped = true;
+            this.port.postMessage({ stop: true });
+            if (this.group !== null) {
+                this.waitWorker.api.setEvent(this.group[0]);
+            }
+        }
+    }
+
+    /**
+     * Checks whether the thread may be waiting for an event.
+     * @param {object} waitHandle - The event handle.
+     * @return {boolean} Whether the event must not be closed yet.
+     */
+    isWaitingFor(waitHandle) {
+        return !this.exited && [this.activeGroup, ...this.pendingGroups.values()].some(group => group !== null && group.includes(waitHandle));
+    }
+
+    /** Private method: handles a message from the thread. */
+    onMessage(message) {
+        if (message.signaled === undefined) {
+            // The thread picked up an update, so it no longer waits for groups of the previous ones
+            this.activeGroup = this.pendingGroups.get(message.generation);
+            for (const generation of this.pendingGroups.keys()) {
+                if (generation <= message.generation) {
+                    this.pendingGroups.delete(generation);
+                }
+            }
+            this.waitWorker.closeDeferredHandles();
+        } else if (!this.stopped) {
+            this.waitWorker.onSignaled(message.failed ? new Error('WaitForMultipleObjects failed!') : null,
+                message.signaled.map(index => this.activeGroup[index]));
+        }
+    }
+
+    /** Private method: forgets the groups once the thread exits. */
+    onExit() {
+        this.exited = true;
+        this.activeGroup = null;
+        this.pendingGroups.clear();
+        this.port.close();
+    }
+}
+
+/**
+ * Waits for groups of events of the Win32 backend, see RegistryBackend.createWaitWorker().
+ * Each group is waited for without timeout on a worker thread of its own, so waits don't occupy threads of libuv thread pool, which are shared with
+ * file system and other async operations, and threads don't wake up while nothing changes.
+ */
+class Win32WaitWorker {
+    /**
+     * Constructor.
+     * @param {object} api - Event APIs used on the calling thread: setEvent(waitHandle), closeHandle(waitHandle), and getAddress(waitHandle) which
+     *                       returns the value passed to the worker thread for a handle.
+     * @param {function} callback - Invoked with (err, waitHandles) when events are signaled.
+     * @param {string} threadFile - (Optional) Script run by the worker threads. It calls runWaitThread() with the port in workerData.
+     * @param {object} threadData - (Optional) Additional workerData of the worker threads.
+     */
+    constructor(api, callback, threadFile = DefaultThreadFile, threadData = {}) {
+        this.api = api;
+        this.callback = callback;
+        this.threadFile = threadFile;
+        this.threadData = threadData;
+        this.threads = new Map();           // Keyed by the first event of their groups
+        this.runningThreads = new Set();    // Includes stopped threads that haven't exited yet
+        this.closingHandles = [];           // Handles to close once no thread waits for them
+        this.stopped = false;
+    }
+
+    /**
+     * @return {boolean} Whether the waiter is not stopped yet, or any of its threads is still running.
+     */
+    get isRunning() {
+        return !this.stopped || this.runningThreads.size > 0;
+    }
+
+    /**
+     * Replaces the groups of events being waited for. Threads of groups that are gone are stopped, and new groups get a thread.
+     * @param {object[][]} groups - Groups of event handles, each with an event used to wake up the wait as its first handle.
+     */
+    update(groups) {
+        const controlEvents = new Set(groups.map(group => group[0]));
+        this.threads.forEach((thread, controlEvent) => {
+            if (!controlEvents.has(controlEvent)) {
+                thread.stop();
+                this.threads.delete(controlEvent);
+            }
+        });
+
+        groups.forEach(group => {
+            let thread = this.threads.get(group[0]);
+            if (!thread) {
+                thread = new Win32WaitThread(this);
+                this.threads.set(group[0], thread);
+                this.runningThreads.add(thread);
+            }
+            thread.update(group);
+        });
+    }
+
+    /**
+     * Stops waiting. Handles deferred by closeHandle() are closed once the threads exit.
+     */
+    stop() {
+        if (!this.stopped) {
+            this.stopped = true;
+            this.threads.forEach(thread => thread.stop());
+            this.threads.clear();
+        }
+    }
+
+    /**
+     * Checks whether any thread may be waiting for an event.
+     * @param {object} waitHandle - The event handle.
+     * @return {boolean} Whether the event must not be closed yet.
+     */
+    isWaitingFor(waitHandle) {
+        return [...this.runningThreads].some(thread => thread.isWaitingFor(waitHandle));
+    }
+
+    /**
+     * Closes an event handle, or defers it until no thread waits for it, since closing a handle that is being waited for is undefined behavior.
+     * @param {object} waitHandle - The event handle.
+     * @return {boolean} Whether the operation succeeded.
+     */
+    closeHandle(waitHandle) {
+        if (this.isWaitingFor(waitHandle)) {
+            this.closingHandles.push(waitHandle);
+            return true;
+        }
+
+        return this.api.closeHandle(waitHandle);
+    }
+
+    /** Private method: closes deferred handles that no thread waits for anymore. */
+    closeDeferredHandles() {
+        const waitHandles = this.closingHandles.filter(waitHandle => !this.isWaitingFor(waitHandle));
+        this.closingHandles = this.closingHandles.filter(waitHandle => !waitHandles.includes(waitHandle));
+        waitHandles.forEach(waitHandle => this.api.closeHandle(waitHandle));
+    }
+
+    /** Private method: reports signaled events. */
+    onSignaled(err, waitHandles) {
+        if (!this.stopped) {
+            this.callback(err, waitHandles);
+        }
+    }
+
+    /** Private method: reports an error of a thread. */
+    onThreadError(err) {
+        if (!this.stopped) {
+            this.callback(err, []);
+        }
+    }
+
+    /** Private method: forgets a thread once it exits. A thread that exits by itself gets replaced on the next update of its group. */
+    onThreadExit(thread) {
+        thread.onExit();
+        this.runningThreads.delete(thread);
+        this.threads.forEach((groupThread, controlEvent) => {
+            if (groupThread === thread) {
+                this.threads.delete(controlEvent);
+            }
+        });
+        this.closeDeferredHandles();
+    }
+}
+
+/**
+ * Runs the wait loop of a worker thread of Win32WaitWorker. Returns to the event loop only while there is no group to wait for.
+ * @param {MessagePort} port - The port to communicate with Win32WaitWorker.
+ * @param {object} api - Wait APIs: createWaitHandleArray(addresses) which builds what is passed to waitForMultipleObjects() from handle addresses,
+ *                       and waitForMultipleObjects(waitHandleArray, timeout) which stands for WaitForMultipleObjects API.
+ */
+function runWaitThread(port, api) {
+    let generation = 0;
+    let group = null;
+
+    // Applies a message, and returns false if the thread is asked to stop
+    const handleMessage = message => {
+        if (message.stop) {
+            port.close();
+            return false;
+        }
+
+        generation = message.generation;
+        group = {
+            count: message.group.length,
+            waitHandleArray: api.createWaitHandleArray(message.group),
+        };
+        port.postMessage({ generation: generation });
+        return true;
+    };
+
+    const receiveMessages = () => {
+        for (let entry = receiveMessageOnPort(port); entry !== undefined; entry = receiveMessageOnPort(port)) {
+            if (!handleMessage(entry.message)) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    const run = () => {
+        while (receiveMessages()) {
+            if (group === null) {
+                port.once('message', message => handleMessage(message) && run());
+                return;
+            }
+
+            // Wait until an event is signaled, then pick up the others that have signaled as well without waiting. Each event is auto-reset, so it
+            // can be reported at most once per pass
+            const signaled = [];
+            let failed = false;
+            for (let i = 0; i < group.count; ++i) {
+                const result = api.waitForMultipleObjects(group.waitHandleArray, i === 0 ? InfiniteWaitTimeout : 0);
+                if (result === WaitForMultipleObjectsResult.WAIT_FAILED) {
+                    failed = true;
+                    break;
+                } else if (result === WaitForMultipleObjectsResult.WAIT_TIMEOUT || result >= WaitForMultipleObjectsResult.WAIT_ABANDONED_0) {
+                    // Events are never abandoned, only mutexes are
+                    break;
+                } else if (result > WaitForMultipleObjectsResult.WAIT_OBJECT_0) {
+                    // The first event only wakes up the wait
+                    signaled.push(result - WaitForMultipleObjectsResult.WAIT_OBJECT_0);
+                }
+            }
+
+            if (failed) {
+                // Wait for the next update instead of failing over and over
+                port.postMessage({ generation: generation, signaled: signaled, failed: true });
+                group = null;
+            } else if (signaled.length > 0) {
+                port.postMessage({ generation: generation, signaled: signaled });
+            }
+        }
+    };
+
+    run();
+}
+
+module.exports = {
+    Win32WaitWorker,
+    runWaitThread,
+};
@@ -1,298 +1,80 @@
 'use strict';
 
-const ffi = require('ffi-napi');
-const ref = require('ref-napi');
-
+const EventEmitter = require('events');
+const fs = require('fs');
+const { Readable } = require('stream');
 const {
     error,
     warning,
     info } = require('./print.js');
 const {
-    toNullTerminatedWString,
-    fromWString } = require('./wstring.js');
-const getWindowsSystemErrorText = require('./windows-system-error-text.js');
-
-/** Root keys in Windows registry. */
-const RootKey = {
-    HKEY_CLASSES_ROOT: 0x80000000,
-    HKCR: 0x80000000,
-    HKEY_CURRENT_USER: 0x80000001,
-    HKCU: 0x80000001,
-    HKEY_LOCAL_MACHINE: 0x80000002,
-    HKLM: 0x80000002,
-    HKEY_USERS: 0x80000003,
-    HKU: 0x80000003,
-    HKEY_PERFORMANCE_DATA: 0x80000004,
-    HKEY_PERFORMANCE_TEXT: 0x80000050,
-    HKEY_PERFORMANCE_NLSTEXT: 0x80000060,
-    HKEY_CURRENT_CONFIG: 0x80000005,
-    HKCC: 0x80000005,
-    HKEY_DYN_DATA: 0x80000006,
-};
-
-/** Windows registry value types. */
-const RegistryValueType = {
-    REG_NONE: 0,
-    REG_SZ: 1,
-    REG_EXPAND_SZ: 2,
-    REG_BINARY: 3,
-    REG_DWORD_LITTLE_ENDIAN: 4,
-    REG_DWORD: 4,
-    REG_DWORD_BIG_ENDIAN: 5,
-    REG_LINK: 6,
-    REG_MULTI_SZ: 7,
-    REG_RESOURCE_LIST: 8,
-    REG_FULL_RESOURCE_DESCRIPTOR: 9,
-    REG_RESOURCE_REQUIREMENTS_LIST: 10,
-    REG_QWORD_LITTLE_ENDIAN: 11,
-    REG_QWORD: 11,
-};
-
-/** Windows registry access rights used by RegOpenKeyEx and RegCreateKeyEx APIs. */
-const RegistryKeyAccessRight = {
-    STANDARD_RIGHTS_READ: 0x20000,
-    STANDARD_RIGHTS_WRITE: 0x20000,
-    STANDARD_RIGHTS_EXECUTE: 0x20000,
-
-    KEY_QUERY_VALUE: 0x1,
-    KEY_SET_VALUE: 0x2,
-    KEY_CREATE_SUB_KEY: 0x4,
-    KEY_ENUMERATE_SUB_KEYS: 0x8,
-    KEY_NOTIFY: 0x10,
-    KEY_CREATE_LINK: 0x20,
-
-    KEY_READ: 0x20019, // Combines the STANDARD_RIGHTS_READ, KEY_QUERY_VALUE, KEY_ENUMERATE_SUB_KEYS, and KEY_NOTIFY values.
-    KEY_WRITE: 0x20006, // Combines the STANDARD_RIGHTS_WRITE, KEY_SET_VALUE, and KEY_CREATE_SUB_KEY access rights.
-    KEY_EXECUTE: 0x20019, // Equivalent to KEY_READ.
-    KEY_ALL_ACCESS: 0xF003F, // Combines the STANDARD_RIGHTS_REQUIRED, KEY_QUERY_VALUE, KEY_SET_VALUE, KEY_CREATE_SUB_KEY, KEY_ENUMERATE_SUB_KEYS, KEY_NOTIFY, and KEY_CREATE_LINK access rights.
-
-    KEY_WOW64_32KEY: 0x0200,
-    KEY_WOW64_64KEY: 0x0100,
-};
-
-/** Windows registry key creation options used by RegCreateKeyEx API. */
-const RegistryKeyCreateOption = {
-    REG_OPTION_BACKUP_RESTORE: 0x4,
-    REG_OPTION_CREATE_LINK: 0x2,
-    REG_OPTION_NON_VOLATILE: 0x0,
-    REG_OPTION_VOLATILE: 0x1,
-};
+    decodeValue,
+    encodeValue,
+    isSameValue } = require('./registry-value-codec.js');
+const { expandEnvironmentStrings } = require('./environment-strings.js');
+const ValueCondition = require('./value-condition.js');
+const {
+    formatRegFile,
+    encodeRegFile,
+    decodeRegFile,
+    parseRegFile } = require('./reg-file.js');
+const { RegistryHive } = require('./registry-hive.js');
+const {
+    diffSnapshots,
+    mergeDiffs,
+    coalesceDiffs,
+    decodeDiff } = require('./registry-snapshot.js');
+const {
+    parsePolFile,
+    interpretPolEntry } = require('./registry-pol.js');
+const {
+    RootKey,
+    RegistryValueType,
+    RegistryKeyAccessRight,
+    RegistryKeyCreateOption,
+    RegistryKeyNotifyFilter,
+    WaitForMultipleObjectsResult,
+    MaximumWaitObjects,
+    ErrorCode } = require('./registry-constants.js');
+const RegistryBackend = require('./registry-backend.js');
+const MemoryRegistryBackend = require('./memory-registry-backend.js');
 
-/** Windows registry notification filters used by RegNotifyChangeKeyValue API. */
-const RegistryKeyNotifyFilter = {
-    REG_NOTIFY_CHANGE_NAME: 0x1,
-    REG_NOTIFY_CHANGE_ATTRIBUTES: 0x2,
-    REG_NOTIFY_CHANGE_LAST_SET: 0x4,
-    REG_NOTIFY_CHANGE_SECURITY: 0x8,
-    REG_NOTIFY_THREAD_AGNOSTIC: 0x10000000,
-};
+// Default interval for the timer used to check for monitor notification.
+const DefaultMonitorCheckInterval = 100;
 
-/** Results returned from WaitForMultipleObjects API. */
-const WaitForMultipleObjectsResult = {
-    WAIT_OBJECT_0: 0x0,
-    WAIT_ABANDONED_0: 0x80,
-    WAIT_TIMEOUT: 0x102,
-    WAIT_FAILED: 0xFFFFFFFF,
-};
+/** Engines that check for monitor notification. */
+const MonitorEngine = Object.freeze({
+    Polling: 'polling',     // Checks wait handles on a timer, see Registry.monitorCheckInterval
+    Blocking: 'blocking',   // Waits for wait handles on a worker thread, and delivers notifications as soon as they happen
+});
 
-/** Various error codes returned by APIs that we care about. */
-const ErrorCode = {
-    KeyNotFound: 2,
-    KeyMarkedForDeletion: 1018,
-}
+// Default engine used to check for monitor notification.
+const DefaultMonitorEngine = MonitorEngine.Polling;
 
-// Default interval for the timer used to check for monitor notification.
-const DefaultMonitorCheckInterval = 100;
+// Default number of changes that a watcher buffers before its overflow policy applies.
+const DefaultWatchBufferSize = 100;
 
-/**
- Define registry and event Windows APIs.
- Note, for Unicode version APIs, string parameters defined in ANSI version are replaced with pointer so buffers representing WString can be used since ref.types.CString doesn't handle wide char.
- */
-const RegistryApi = ffi.Library('advapi32', {
-    /*
-    LSTATUS RegOpenKeyExA(
-      [in]           HKEY   hKey,
-      [in, optional] LPCSTR lpSubKey,
-      [in]           DWORD  ulOptions,
-      [in]           REGSAM samDesired,
-      [out]          PHKEY  phkResult
-    );
-
-    Windows Data Type:
-      typedef HANDLE HKEY;
-      typedef PVOID HANDLE;
-      typedef __nullterminated CONST CHAR *LPCSTR;
-      typedef char CHAR;
-      typedef unsigned long DWORD;
-    */
-    'RegOpenKeyExA': [ 'int', [ 'uint', 'string', 'uint', 'uint', 'pointer' ] ], // Use uint instead of pointer for HKEY hKey as we directly define root key handles' values
-
-    /*
-    LSTATUS RegOpenKeyExW(
-      [in]           HKEY    hKey,
-      [in, optional] LPCWSTR lpSubKey,
-      [in]           DWORD   ulOptions,
-      [in]           REGSAM  samDesired,
-      [out]          PHKEY   phkResult
-    );
-
-    Windows Data Type:
-      typedef CONST WCHAR *LPCWSTR;
-      typedef wchar_t WCHAR;
-    */
-    'RegOpenKeyExW': [ 'int', [ 'uint', 'pointer', 'uint', 'uint', 'pointer' ] ],  // Use uint instead of pointer for HKEY hKey as we directly define root key handles' values, also use pointer instead of string for LPCWSTR lpSubKey
-
-    /*
-    LSTATUS RegCreateKeyExA(
-      [in]            HKEY                        hKey,
-      [in]            LPCSTR                      lpSubKey,
-                      DWORD                       Reserved,
-      [in, optional]  LPSTR                       lpClass,
-      [in]            DWORD                       dwOptions,
-      [in]            REGSAM                      samDesired,
-      [in, optional]  const LPSECURITY_ATTRIBUTES lpSecurityAttributes,
-      [out]           PHKEY                       phkResult,
-      [out, optional] LPDWORD                     lpdwDisposition
-    );
-
-    Windows Data Type:
-      typedef CHAR *LPSTR;
-    */
-    'RegCreateKeyExA': [ 'int', [ 'uint', 'string', 'uint', 'string', 'uint', 'uint', 'pointer', 'pointer', 'pointer' ] ], // Use uint instead of pointer for HKEY hKey as we directly define root key handles' values
-
-    /*
-    LSTATUS RegCreateKeyExW(
-      [in]            HKEY                        hKey,
-      [in]            LPCWSTR                     lpSubKey,
-                      DWORD                       Reserved,
-      [in, optional]  LPWSTR                      lpClass,
-      [in]            DWORD                       dwOptions,
-      [in]            REGSAM                      samDesired,
-      [in, optional]  const LPSECURITY_ATTRIBUTES lpSecurityAttributes,
-      [out]           PHKEY                       phkResult,
-      [out, optional] LPDWORD                     lpdwDisposition
-    );
-    */
-    'RegCreateKeyExW': [ 'int', [ 'uint', 'pointer', 'uint', 'pointer', 'uint', 'uint', 'pointer', 'pointer', 'pointer' ] ], // Use uint instead of pointer for HKEY hKey as we directly define root key handles' values, also use pointer instead of string for LPCWSTR lpSubKey and LPWSTR lpClass
-
-    /*
-    LSTATUS RegQueryValueExA(
-      [in]                HKEY    hKey,
-      [in, optional]      LPCSTR  lpValueName,
-                          LPDWORD lpReserved,
-      [out, optional]     LPDWORD lpType,
-      [out, optional]     LPBYTE  lpData,
-      [in, out, optional] LPDWORD lpcbData
-    );
-
-    Windows Data Type:
-      typedef unsigned char BYTE;
-    */
-    'RegQueryValueExA': [ 'int', [ 'pointer', 'string', 'pointer', 'pointer', 'pointer', 'pointer' ] ],
-
-    /*
-    LSTATUS RegQueryValueExW(
-      [in]                HKEY    hKey,
-      [in, optional]      LPCWSTR lpValueName,
-                          LPDWORD lpReserved,
-      [out, optional]     LPDWORD lpType,
-      [out, optional]     LPBYTE  lpData,
-      [in, out, optional] LPDWORD lpcbData
-    );
-    */
-    'RegQueryValueExW': [ 'int', [ 'pointer', 'pointer', 'pointer', 'pointer', 'pointer', 'pointer' ] ], // Use pointer instead of string for LPCWSTR lpValueName
-
-    /*
-    LSTATUS RegSetValueExA(
-      [in]           HKEY       hKey,
-      [in, optional] LPCSTR     lpValueName,
-                     DWORD      Reserved,
-      [in]           DWORD      dwType,
-      [in]           const BYTE *lpData,
-      [in]           DWORD      cbData
-    );
-    */
-    'RegSetValueExA': [ 'int', [ 'pointer', 'string', 'uint', 'uint', 'pointer', 'uint' ] ],
-
-    /*
-    LSTATUS RegSetValueExW(
-      [in]           HKEY       hKey,
-      [in, optional] LPCWSTR    lpValueName,
-                     DWORD      Reserved,
-      [in]           DWORD      dwType,
-      [in]           const BYTE *lpData,
-      [in]           DWORD      cbData
-    );
-    */
-    'RegSetValueExW': [ 'int', [ 'pointer', 'pointer', 'uint', 'uint', 'pointer', 'uint' ] ], // Use pointer instead of string for LPCWSTR lpValueName
-
-    /*
-    LSTATUS RegNotifyChangeKeyValue(
-      [in]           HKEY   hKey,
-      [in]           BOOL   bWatchSubtree,
-      [in]           DWORD  dwNotifyFilter,
-      [in, optional] HANDLE hEvent,
-      [in]           BOOL   fAsynchronous
-    );
-
-    Windows Data Type:
-      typedef int BOOL;
-    */
-    'RegNotifyChangeKeyValue': [ 'int', [ 'pointer', 'int', 'uint', 'pointer', 'int' ] ],
-
-    /*
-    LSTATUS RegCloseKey(
-      [in] HKEY hKey
-    );
-    */
-    'RegCloseKey': [ 'int', [ 'pointer' ] ],
+/** Categories of changes that a monitor can be notified of, which correspond to the notify filters of RegNotifyChangeKeyValue. */
+const NotifyCategory = Object.freeze({
+    Name: 'name',               // A sub key is created or deleted
+    Attributes: 'attributes',   // Attributes of the key change
+    LastSet: 'lastSet',         // A value of the key is created, modified or deleted
+    Security: 'security',       // Security descriptor (ACL) of the key changes
 });
 
-const EventApi = ffi.Library('kernel32', {
-    /*
-    HANDLE CreateEventA(
-      [in, optional] LPSECURITY_ATTRIBUTES lpEventAttributes,
-      [in]           BOOL                  bManualReset,
-      [in]           BOOL                  bInitialState,
-      [in, optional] LPCSTR                lpName
-    );
-    */
-    'CreateEventA': [ 'pointer', [ 'pointer', 'int', 'int', 'string' ] ],
-
-    /*
-    HANDLE CreateEventW(
-      [in, optional] LPSECURITY_ATTRIBUTES lpEventAttributes,
-      [in]           BOOL                  bManualReset,
-      [in]           BOOL                  bInitialState,
-      [in, optional] LPCWSTR               lpName
-    );
-    */
-    'CreateEventW': [ 'pointer', [ 'pointer', 'int', 'int', 'pointer' ] ], // Use pointer instead of string for LPCWSTR lpName
-
-    /*
-    DWORD WaitForSingleObject(
-      [in] HANDLE hHandle,
-      [in] DWORD  dwMilliseconds
-    );
-    */
-    'WaitForSingleObject': [ 'uint', [ 'pointer', 'uint' ] ],
-
-    /*
-    DWORD WaitForMultipleObjects(
-      [in] DWORD        nCount,
-      [in] const HANDLE *lpHandles,
-      [in] BOOL         bWaitAll,
-      [in] DWORD        dwMilliseconds
-    );
-    */
-    'WaitForMultipleObjects': [ 'uint', [ 'uint', 'pointer', 'int', 'uint' ] ],
-
-    /*
-    BOOL CloseHandle(
-      [in] HANDLE hObject
-    );
-    */
-    'CloseHandle': [ 'int', [ 'pointer' ] ],
+const NotifyCategoryFilters = {
+    [NotifyCategory.Name]: RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_NAME,
+    [NotifyCategory.Attributes]: RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_ATTRIBUTES,
+    [NotifyCategory.LastSet]: RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_LAST_SET,
+    [NotifyCategory.Security]: RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_SECURITY,
+};
+
+/** States of monitors. */
+const MonitorState = Object.freeze({
+    Active: 'active',                               // The key is being monitored
+    WaitingForCreation: 'waitingForCreation',       // The key didn't exist when monitoring started, and is being waited for (with waitIfMissing option only)
+    WaitingForRecreation: 'waitingForRecreation',   // The key was deleted, and is being waited for to be created again
+    Stopped: 'stopped',                             // Monitoring was stopped
 });
 
 /** Finalizer for RegistryKey to ensure the underlying registry key handle is closed. */
@@ -306,14 +88,14 @@ const registryKeyFinalizer = new FinalizationRegistry(registryKeyData => {
 /** Finalizer for MonitoredRegistryKey to ensure the underlying event handle is closed. */
 const monitoredRegistryKeyFinalizer = new FinalizationRegistry(monitorData => {
     if (monitorData.waitHandle !== null) {
-        warning(`MonitoredRegistryKey ${registryKeyData.path} is not properly stopped! You should call Registry.stopMonitor() to stop monitoring a key when it is no longer needed!`);
+        warning(`MonitoredRegistryKey ${monitorData.path} is not properly stopped! You should call Registry.stopMonitor() to stop monitoring a key when it is no longer needed!`);
         Registry.instance.stopMonitoredKeyInternal(monitorData);
     }
 });
 
 /** Finalizer for MonitorToken to ensure the callback is unregistered. */
 const monitorTokenFinalizer = new FinalizationRegistry(tokenData => {
-    if (!tokenData.calback !== null) {
+    if (tokenData.callback !== null) {
         warning(`MonitorToken on key ${tokenData.path} is not properly removed! You should call MonitorToken.stop() or Registry.stopMonitor() to stop monitoring a key when it is no longer needed!`);
         Registry.instance.stopMonitorInternal(tokenData);
     }
@@ -326,8 +108,82 @@ const monitorTokenFinalizer = new FinalizationRegistry(tokenData => {
  */
 function printWindowsError(errorMsg, errorCode) {
     if (Registry.instance.loggingEnabled) {
-        error(`${errorMsg}\r\nError code ${errorCode}: ${getWindowsSystemErrorText(errorCode)}`);
+        error(`${errorMsg}\r\nError code ${errorCode}: ${Registry.instance.backend.getErrorText(errorCode)}`);
+    }
+}
+
+/**
+ * Parses a registry key path.
+ * @param {string} path - The registry key path, e.g. "HKCU\SOFTWARE" or "HKCU:\SOFTWARE".
+ * @return {object} An object containing:
+ *                  rootKey: The name of the root key as defined in Registry.Root, or null if the path doesn't start with a predefined root key.
+ *                  subKey: The path of the sub key under the root key, or null if the path doesn't start with a predefined root key.
+ */
+function parseKeyPath(path) {
+    const pathParts = path.split('\\');
+    let rootKey = pathParts[0].toUpperCase();
+    if (rootKey.endsWith(':')) {
+        // Handle the case when it is in a format like HKLM:\subkey
+        rootKey = rootKey.slice(0, -1);
+    }
+
+    if (RootKey.hasOwnProperty(rootKey)) {
+        return { rootKey: rootKey, subKey: pathParts.slice(1).join('\\') };
+    }
+
+    return { rootKey: null, subKey: null };
+}
+
+/**
+ * Normalizes a registry key path so different forms of the same path can be compared, e.g. "HKCU\Software\" and "HKEY_CURRENT_USER\SOFTWARE".
+ * @param {string} path - The registry key path.
+ * @return {string} Normalized path, or null if the path doesn't start with a predefined root key.
+ */
+function normalizeKeyPath(path) {
+    const { rootKey, subKey } = parseKeyPath(path);
+    if (rootKey === null) {
+        return null;
+    }
+
+    return [RootKey[rootKey].toString(16), ...subKey.split('\\').filter(name => name.length > 0)].join('\\').toUpperCase();
+}
+
+/**
+ * Converts a path segment with wildcards (* matches any characters, ? matches a single character) to a case-insensitive RegExp.
+ * @param {string} segment - The path segment, e.g. "Vendor*".
+ * @return {RegExp} The RegExp that matches whole key names.
+ */
+function globToRegExp(segment) {
+    const source = segment.split('').map(char => {
+        if (char === '*') {
+            return '.*';
+        } else if (char === '?') {
+            return '.';
+        }
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Converts notify categories to a notify filter.
+ * @param {string[]} categories - Categories as defined in NotifyCategory.
+ * @return {integer} Combination of notify filters as defined in RegistryKeyNotifyFilter, or null if categories is not a non-empty array of valid categories.
+ */
+function notifyCategoriesToFilter(categories) {
+    if (!Array.isArray(categories) || categories.length === 0 || !categories.every(category => NotifyCategoryFilters.hasOwnProperty(category))) {
+        return null;
     }
+    return categories.reduce((filter, category) => filter | NotifyCategoryFilters[category], 0);
+}
+
+/**
+ * Converts a notify filter to notify categories.
+ * @param {integer} filter - Combination of notify filters as defined in RegistryKeyNotifyFilter.
+ * @return {string[]} Categories as defined in NotifyCategory.
+ */
+function notifyFilterToCategories(filter) {
+    return Object.keys(NotifyCategoryFilters).filter(category => (filter & NotifyCategoryFilters[category]) !== 0);
 }
 
 /** Representing a registry key in Windows Registry. */
@@ -387,10 +243,9 @@ class RegistryKey {
         const { rootKey, subKey } = this.parsePath();
         if (rootKey !== null) {
             const accessRight = this.readonly ? RegistryKeyAccessRight.KEY_READ : RegistryKeyAccessRight.KEY_READ | RegistryKeyAccessRight.KEY_WRITE;
-            const hkeyHandle = ref.alloc('pointer');
-            const result = RegistryApi.RegOpenKeyExW(RootKey[rootKey], subKey, 0, accessRight, hkeyHandle);
+            const { result, handle } = Registry.instance.backend.openKey(RootKey[rootKey], subKey, accessRight);
             if (result === 0) {
-                this.keyData.handle = hkeyHandle.deref();
+                this.keyData.handle = handle;
             } else if (result === ErrorCode.KeyNotFound) {
                 return this.create();
             } else {
@@ -444,11 +299,10 @@ class RegistryKey {
         const { rootKey, subKey } = this.parsePath();
         if (rootKey !== null) {
             const accessRight = RegistryKeyAccessRight.KEY_READ | RegistryKeyAccessRight.KEY_WRITE;
-            const hkeyHandle = ref.alloc('pointer');
-            const result = RegistryApi.RegCreateKeyExW(RootKey[rootKey], subKey, 0, ref.NULL, RegistryKeyCreateOption.REG_OPTION_NON_VOLATILE, accessRight, ref.NULL, hkeyHandle, ref.NULL);
+            const { result, handle } = Registry.instance.backend.createKey(RootKey[rootKey], subKey, RegistryKeyCreateOption.REG_OPTION_NON_VOLATILE, accessRight);
             if (result === 0) {
                 info(`Key "${this.keyData.path}" didn't exist. Created.`);
-                this.keyData.handle = hkeyHandle.deref();
+                this.keyData.handle = handle;
             } else {
                 printWindowsError(`Cannot create key "${this.keyData.path}"!`, result);
                 return false;
@@ -472,88 +326,59 @@ class RegistryKey {
     /**
      * Retrieves the data for the specified value name.
      * @param {string} name - The name of the value to be retrieved.
+     * @param {object} options - (Optional) An object containing:
+     *                           qwordAsNumber: Whether to return REG_QWORD value as a number when it doesn't exceed Number.MAX_SAFE_INTEGER. If not provided, default value false is used.
+     *                           pointerSize: Pointer size in bytes of the system that wrote resource descriptors (4 or 8). If not provided, default value 8 is used.
+     *                           strictStrings: Whether to decode string types strictly, i.e. trim exactly one NULL terminator and report malformed data (not terminated,
+     *                                          odd length or embedded NULL characters) as an error instead of returning it. If not provided, default value false is used.
+     *                           expand: Whether to expand environment-variable references (e.g. %USERPROFILE%) in REG_EXPAND_SZ values, following Windows rules.
+     *                                   Pass true to use process.env, or an object that maps variable names to values. If not provided, default value false is used.
      * @return {any} Retrieved value, which is in a type that depends on the Value Type stored in the registry:
-     *               REG_DWORD/REG_QWORD:  unsigned integer
-     *               REG_SZ/REG_EXPAND_SZ: string
-     *               REG_MULTI_SZ:         string[]
-     *               REG_BINARY:           Buffer
+     *               REG_DWORD/REG_DWORD_BIG_ENDIAN:   unsigned integer
+     *               REG_QWORD:                        BigInt, or unsigned integer if qwordAsNumber is set and the value fits
+     *               REG_SZ/REG_EXPAND_SZ/REG_LINK:    string
+     *               REG_MULTI_SZ:                     string[]
+     *               Resource list types:              object describing the resources
+     *               REG_BINARY/REG_NONE/other types:  Buffer
+     *               Data that is malformed for its type is returned as Buffer, unless it's a string type and strictStrings is set, in which case null is returned.
      */
-    getValue(name) {
-        let value = null;
+    getValue(name, options) {
+        const rawValue = this.getRawValue(name);
+        return rawValue === null ? null : this.decodeRawValue(name, rawValue.type, rawValue.data, options);
+    }
+
+    /**
+     * Retrieves the type and the raw data for the specified value name, without any conversion.
+     * @param {string} name - The name of the value to be retrieved.
+     * @return {object} An object containing:
+     *                  type: The type of the value, as defined in Registry.ValueType.
+     *                  data: The raw data of the value as a Buffer, exactly as it is stored in the registry.
+     *                  If the operation fails, null is returned.
+     */
+    getRawValue(name) {
         if (this.keyData.handle !== null) {
-            const wstrName = toNullTerminatedWString(name);
-            const size = ref.alloc('int');
-            let result = this.invokeApiWithRetry(() => RegistryApi.RegQueryValueExW(this.keyData.handle, wstrName, ref.NULL, ref.NULL, ref.NULL, size));
+            const { result, type, data } = this.invokeApiWithRetry(() => Registry.instance.backend.queryValue(this.keyData.handle, name));
             if (result === 0) {
-                const buffer = Buffer.alloc(size.deref());
-                const valueType = ref.alloc('int');
-                result = this.invokeApiWithRetry(() => RegistryApi.RegQueryValueExW(this.keyData.handle, wstrName, ref.NULL, valueType, buffer, size));
-                if (result === 0) {
-                    switch (valueType.deref()) {
-                        case RegistryValueType.REG_DWORD:
-                            // Value is expected as unsigned integer
-                            value = buffer.readUInt32LE();
-                            break;
-
-                        case RegistryValueType.REG_QWORD:
-                            // Value is expected as unsigned integer
-                            value = buffer.readUInt64LE();
-                            break;
-
-                        case RegistryValueType.REG_SZ:
-                        case RegistryValueType.REG_EXPAND_SZ:
-                            // Value is expected as string
-                            value = fromWString(buffer);
-                            break;
-
-                        case RegistryValueType.REG_MULTI_SZ:
-                            // Value is expected as string[]
-                            value = [];
-                            let currentStringStart = 0;
-                            let i = 2;
-                            while (i < buffer.length - 2) { // Ignore the final/extra NULL terminator that ends the whole sequence
-                                // In UTF-16 encoding, a NULL terminator is 2 bytes of zeros
-                                if (buffer[i] === 0 && buffer[i + 1] === 0) {
-                                    value.push(fromWString(buffer, currentStringStart, i));
-                                    currentStringStart = i + 2;
-                                    i = currentStringStart;
-                                }
-                                i += 2;
-                            }
-                            break;
-
-                        case RegistryValueType.REG_BINARY:
-                            // Value is expected as Buffer
-                            value = buffer;
-                            break;
-
-                        default:
-                            if (Registry.instance.loggingEnabled) {
-                                error(`Value "${name}" of key "${this.keyData.path}" has a type ${valueType.deref()}, which is not supported!`);
-                            }
-                            return null;
-                    }
-                } else {
-                    printWindowsError(`Cannot read value "${name}" of key "${this.keyData.path}"!`, result);
-                }
+                return { type, data };
             } else {
-                printWindowsError(`Cannot read value "${name}" of key "${this.keyData.path}" to find out its size!`, result);
+                printWindowsError(`Cannot read value "${name}" of key "${this.keyData.path}"!`, result);
             }
         } else if (Registry.instance.loggingEnabled) {
             error(`Trying to read value "${name}" of key "${this.keyData.path}" without obtaining a valid handle!`);
         }
 
-        return value;
+        return null;
     }
 
     /**
      * Sets the data (and optionally type) for the specified value name.
      * @param {string} name - The name of the value to be set.
      * @param {any} value - The data of the value to be set, which needs to be in a type that corresponds to the type param (if provided), or the Value Type stored in the registry:
-     *                      REG_DWORD/REG_QWORD:  unsigned integer
-     *                      REG_SZ/REG_EXPAND_SZ: string
-     *                      REG_MULTI_SZ:         string[]
-     *                      REG_BINARY:           Buffer
+     *                      REG_DWORD/REG_DWORD_BIG_ENDIAN:  unsigned integer
+     *                      REG_QWORD:                       BigInt or unsigned safe integer
+     *                      REG_SZ/REG_EXPAND_SZ/REG_LINK:   string
+     *                      REG_MULTI_SZ:                    string[]
+     *                      REG_BINARY/REG_NONE/other types: Buffer (including raw data of resource list types)
      * @param {RegistryValueType} type - (Optional) The type of the value to be set.
      *                                   If provided, it determines the type to be stored in the registry, and also dictates the type of the value param.
      *                                   If not provided, the the Value Type stored in the registry is used. In this case the value has to already exist in the registry.
@@ -562,7 +387,6 @@ class RegistryKey {
     setValue(name, value, type) {
         let success = false;
         if (this.keyData.handle !== null) {
-            const wstrName = toNullTerminatedWString(name);
             if (!type) {
                 type = this.getValueType(name);
                 if (type === RegistryValueType.REG_NONE) {
@@ -570,58 +394,44 @@ class RegistryKey {
                 }
             }
 
-            let size = 0;
             let data = null;
-            switch (type) {
-                case RegistryValueType.REG_DWORD:
-                    // Value is expected as unsigned integer
-                    size = 4;
-                    data = Buffer.alloc(size);
-                    data.writeUInt32LE(value);
-                    break;
-
-                case RegistryValueType.REG_QWORD:
-                    // Value is expected as unsigned integer
-                    size = 8;
-                    data = Buffer.alloc(size);
-                    data.writeUInt64LE(value);
-                    break;
-
-                case RegistryValueType.REG_SZ:
-                case RegistryValueType.REG_EXPAND_SZ:
-                    // Value is expected as string
-                    data = toNullTerminatedWString(value);
-                    size = data.length;
-                    break;
+            try {
+                data = encodeValue(type, value);
+            } catch (err) {
+                if (Registry.instance.loggingEnabled) {
+                    error(`Cannot set value "${name}" of key "${this.keyData.path}" with type ${type}: ${err.message}`);
+                }
+                return false;
+            }
 
-                case RegistryValueType.REG_MULTI_SZ:
-                    // Value is expected as string[]
-                    const wstrings = value.map(str => toNullTerminatedWString(str));
-                    size = wstrings.reduce((sum, wstring) => sum + wstring.length, 0) + 2; // Add the final/extra NULL terminator that ends the sequence
-                    data = Buffer.alloc(size);
-                    let pos = 0;
-                    wstrings.forEach(wstring => {
-                        wstring.copy(data, pos);
-                        pos += wstring.length;
-                    });
-                    break;
+            success = this.setRawValue(name, type, data);
+        } else if (Registry.instance.loggingEnabled) {
+            error(`Trying to set value "${name}" of key "${this.keyData.path}" without obtaining a valid handle!`);
+        }
 
-                case RegistryValueType.REG_BINARY:
-                    // Value is expected as Buffer
-                    data = value;
-                    size = data.length;
-                    break;
+        return success;
+    }
 
-                default:
-                    if (Registry.instance.loggingEnabled) {
-                        error(`Value "${name}" of key "${this.keyData.path}" with type ${valueType.deref()} is not supported!`);
-                    }
-                    return false;
+    /**
+     * Sets the type and the raw data for the specified value name, without any conversion or validation of the data against the type.
+     * Together with getRawValue(), it allows copying values byte-for-byte, including malformed data.
+     * @param {string} name - The name of the value to be set.
+     * @param {RegistryValueType} type - The type of the value to be set.
+     * @param {Buffer} buffer - The raw data of the value to be set.
+     * @return {boolean} Whether the operation succeeded.
+     */
+    setRawValue(name, type, buffer) {
+        if (this.keyData.handle !== null) {
+            if (!Number.isInteger(type) || type < 0 || type > 0xFFFFFFFF || !Buffer.isBuffer(buffer)) {
+                if (Registry.instance.loggingEnabled) {
+                    error(`Cannot set value "${name}" of key "${this.keyData.path}": raw value is expected to have an unsigned 32-bit integer type and Buffer data!`);
+                }
+                return false;
             }
 
-            const result = this.invokeApiWithRetry(() => RegistryApi.RegSetValueExW(this.keyData.handle, wstrName, 0, type, data, size));
+            const result = this.invokeApiWithRetry(() => Registry.instance.backend.setValue(this.keyData.handle, name, type, buffer));
             if (result === 0) {
-                success = true;
+                return true;
             } else {
                 printWindowsError(`Cannot set value "${name}" of key "${this.keyData.path}"!`, result);
             }
@@ -629,7 +439,27 @@ class RegistryKey {
             error(`Trying to set value "${name}" of key "${this.keyData.path}" without obtaining a valid handle!`);
         }
 
-        return success;
+        return false;
+    }
+
+    /**
+     * Deletes the specified value.
+     * @param {string} name - The name of the value to be deleted.
+     * @return {boolean} Whether the operation succeeded.
+     */
+    deleteValue(name) {
+        if (this.keyData.handle !== null) {
+            const result = this.invokeApiWithRetry(() => Registry.instance.backend.deleteValue(this.keyData.handle, name));
+            if (result === 0) {
+                return true;
+            } else {
+                printWindowsError(`Cannot delete value "${name}" of key "${this.keyData.path}"!`, result);
+            }
+        } else if (Registry.instance.loggingEnabled) {
+            error(`Trying to delete value "${name}" of key "${this.keyData.path}" without obtaining a valid handle!`);
+        }
+
+        return false;
     }
 
     /**
@@ -639,11 +469,9 @@ class RegistryKey {
      */
     getValueType(name) {
         if (this.keyData.handle !== null) {
-            const wstrName = toNullTerminatedWString(name);
-            const valueType = ref.alloc('int');
-            const result = this.invokeApiWithRetry(() => RegistryApi.RegQueryValueExW(this.keyData.handle, wstrName, ref.NULL, valueType, ref.NULL, ref.NULL));
+            const { result, type } = this.invokeApiWithRetry(() => Registry.instance.backend.queryValue(this.keyData.handle, name));
             if (result === 0) {
-                return valueType.deref();
+                return type;
             } else {
                 printWindowsError(`Cannot read value "${name}" of key "${this.keyData.path}" to find out its type!`, result);
             }
@@ -661,8 +489,7 @@ class RegistryKey {
      */
     checkValueExistence(name) {
         if (this.keyData.handle !== null) {
-            const wstrName = toNullTerminatedWString(name);
-            const result = this.invokeApiWithRetry(() => RegistryApi.RegQueryValueExW(this.keyData.handle, wstrName, ref.NULL, ref.NULL, ref.NULL, ref.NULL));
+            const { result } = this.invokeApiWithRetry(() => Registry.instance.backend.queryValue(this.keyData.handle, name));
             if (result === 0) {
                 return true;
             } else if (result === ErrorCode.KeyNotFound) {
@@ -677,32 +504,149 @@ class RegistryKey {
         return false;
     }
 
-    /** Private method: parses key path. */
-    parsePath() {
-        const pathParts = this.keyData.path.split('\\');
-        let rootKey = pathParts[0].toUpperCase();
-        if (rootKey.endsWith(':')) {
-            // Handle the case when it is in a format like HKLM:\subkey
-            rootKey = rootKey.slice(0, -1);
+    /**
+     * Retrieves the names of all sub keys.
+     * @return {string[]} Names of the sub keys. If the operation fails, null is returned.
+     */
+    getSubKeyNames() {
+        if (this.keyData.handle !== null) {
+            // Sub keys created or deleted during enumeration shift the index of other sub keys, so a sub key may be returned twice. Only keep the first one
+            const names = new Map();
+            for (let index = 0; ; ++index) {
+                const { result, name } = this.invokeApiWithRetry(() => Registry.instance.backend.enumKey(this.keyData.handle, index));
+                if (result === 0) {
+                    if (!names.has(name.toUpperCase())) {
+                        names.set(name.toUpperCase(), name);
+                    }
+                } else if (result === ErrorCode.NoMoreItems) {
+                    return [...names.values()];
+                } else {
+                    printWindowsError(`Cannot enumerate sub keys of key "${this.keyData.path}"!`, result);
+                    break;
+                }
+            }
+        } else if (Registry.instance.loggingEnabled) {
+            error(`Trying to enumerate sub keys of key "${this.keyData.path}" without obtaining a valid handle!`);
         }
 
-        if (RootKey.hasOwnProperty(rootKey)) {
-            return { rootKey: rootKey, subKey: toNullTerminatedWString(pathParts.slice(1).join('\\')) };
-        } else {
+        return null;
+    }
+
+    /**
+     * Retrieves the names of all values, including the default value of the key (whose name is an empty string) if it is set.
+     * @return {string[]} Names of the values. If the operation fails, null is returned.
+     */
+    getValueNames() {
+        const values = this.enumValues('get value names of');
+        return values === null ? null : values.map(value => value.name);
+    }
+
+    /**
+     * Retrieves all values, including the default value of the key (whose name is an empty string) if it is set.
+     * @param {object} options - (Optional) Options used to convert the data of values. See getValue().
+     * @return {object[]} Values of the key. Each value is an object containing:
+     *                    name: The name of the value.
+     *                    type: The type of the value, as defined in Registry.ValueType.
+     *                    data: The data of the value, converted the same way as in getValue(). It's null if strictStrings is set and the data is malformed.
+     *                    If the operation fails, null is returned.
+     */
+    getValues(options) {
+        const values = this.enumValues('get values of');
+        if (values === null) {
+            return null;
+        }
+
+        return values.map(value => ({
+            name: value.name,
+            type: value.type,
+            data: this.decodeRawValue(value.name, value.type, value.data, options),
+        }));
+    }
+
+    /**
+     * Retrieves information about this key.
+     * @return {object} An object containing:
+     *                  className: The class name of the key.
+     *                  subKeyCount: The number of sub keys.
+     *                  maxSubKeyNameLength: The length (in characters) of the longest sub key name.
+     *                  maxClassNameLength: The length (in characters) of the longest class name among sub keys.
+     *                  valueCount: The number of values.
+     *                  maxValueNameLength: The length (in characters) of the longest value name.
+     *                  maxValueDataSize: The size (in bytes) of the longest value data.
+     *                  lastWriteTime: The last time the key or any of its values was modified, as a Date.
+     *                  If the operation fails, null is returned.
+     */
+    getInfo() {
+        if (this.keyData.handle !== null) {
+            const { result, info } = this.invokeApiWithRetry(() => Registry.instance.backend.queryInfoKey(this.keyData.handle));
+            if (result === 0) {
+                return info;
+            } else {
+                printWindowsError(`Cannot query information of key "${this.keyData.path}"!`, result);
+            }
+        } else if (Registry.instance.loggingEnabled) {
+            error(`Trying to query information of key "${this.keyData.path}" without obtaining a valid handle!`);
+        }
+
+        return null;
+    }
+
+    /** Private method: enumerates all values with their raw data. */
+    enumValues(operation) {
+        if (this.keyData.handle !== null) {
+            // Values created or deleted during enumeration shift the index of other values, so a value may be returned twice. Only keep the first one
+            const values = new Map();
+            for (let index = 0; ; ++index) {
+                const { result, name, type, data } = this.invokeApiWithRetry(() => Registry.instance.backend.enumValue(this.keyData.handle, index));
+                if (result === 0) {
+                    if (!values.has(name.toUpperCase())) {
+                        values.set(name.toUpperCase(), { name, type, data });
+                    }
+                } else if (result === ErrorCode.NoMoreItems) {
+                    return [...values.values()];
+                } else {
+                    printWindowsError(`Cannot enumerate values of key "${this.keyData.path}"!`, result);
+                    break;
+                }
+            }
+        } else if (Registry.instance.loggingEnabled) {
+            error(`Trying to ${operation} key "${this.keyData.path}" without obtaining a valid handle!`);
+        }
+
+        return null;
+    }
+
+    /** Private method: converts raw value data, and reports malformed data found by strict decoding. */
+    decodeRawValue(name, type, data, options) {
+        try {
+            return decodeValue(type, data, options);
+        } catch (err) {
+            if (!(err instanceof RangeError)) {
+                throw err;
+            }
             if (Registry.instance.loggingEnabled) {
-                error(`Invalid key "${this.keyData.path}". "${rootKey}" is not a predefined Windows registry root key!`);
+                error(`Value "${name}" of key "${this.keyData.path}" with type ${type} is malformed: ${err.message}`);
             }
-            return { rootKey: null, subKey: null };
+            return null;
+        }
+    }
+
+    /** Private method: parses key path. */
+    parsePath() {
+        const { rootKey, subKey } = parseKeyPath(this.keyData.path);
+        if (rootKey === null && Registry.instance.loggingEnabled) {
+            error(`Invalid key "${this.keyData.path}". "${this.keyData.path.split('\\')[0]}" is not a predefined Windows registry root key!`);
         }
+        return { rootKey, subKey };
     }
 
-    /** Private method: invokes an API with retries. */
+    /** Private method: invokes an API with retries. The API may return either an error code, or an object with the error code in its "result" property. */
     invokeApiWithRetry(invokeApi, numRetries = 1) {
         ++numRetries; // The first try does not count as "retry"
         let result = 0;
         while (numRetries-- > 0) {
             result = invokeApi();
-            if (result === ErrorCode.KeyMarkedForDeletion) {
+            if ((typeof result === 'object' ? result.result : result) === ErrorCode.KeyMarkedForDeletion) {
                 // Key was deleted. Reopen the key and retry
                 if (Registry.instance.loggingEnabled) {
                     warning(`Key "${this.keyData.path}" was deleted. Trying to reopen the key and execute again...`);
@@ -724,19 +668,29 @@ class MonitoredRegistryKey extends RegistryKey {
      * Constructor. Should not be used directly, but use Registry.monitorXXX() to create one.
      * @param {string} path - The registry key path.
      * @param {boolean} recursive - Whether to monitor sub-keys recursively.
-     * @param {boolean} createIfNeeded - Whether to create the key if it doesn't exist. Note that it requires appropriate privileges to be able to create key(s).
+     * @param {boolean} createIfNeeded - Whether the callback asks for the key to be created if it doesn't exist. Note that it requires appropriate privileges to be able to create key(s).
      * @param {function} callback - The callback to be added.
+     * @param {object} options - (Optional) Options of the callback. See addCallback(). If waitIfMissing is set and the key doesn't exist, the key is waited for.
      */
-    constructor(path, recursive, createIfNeeded, callback) {
+    constructor(path, recursive, createIfNeeded, callback, options) {
         super(path, createIfNeeded);
+        const waitForCreation = !super.isValid && options?.waitIfMissing === true && !createIfNeeded && !Registry.instance.checkKeyExistence(path);
         this.monitorData = {
             path: path,
             recursive: recursive,
             waitHandle: null,
+            state: waitForCreation ? MonitorState.WaitingForCreation : MonitorState.Active,
+            keyWaiter: null,        // Waits for the key to be created, or created again after it's deleted
+            registeredFilter: 0,    // Notify filter of the latest registration
         };
 
         this.callbacks = [];
-        this.addCallback(callback);
+        this.diffCallbacks = new Map();
+        this.filterCallbacks = new Map();
+        this.createCallbacks = new Set();   // Callbacks that ask for the key to be created, which decide whether the key is re-created after it's deleted
+        this.snapshot = null;
+        this.categoryState = null;
+        this.addCallback(callback, options, createIfNeeded);
         this.start();
 
         // Register this key in finalizer so we can be alerted if it's not properly stopped
@@ -750,6 +704,48 @@ class MonitoredRegistryKey extends RegistryKey {
         return super.isValid && this.monitorData.waitHandle !== null;
     }
 
+    /**
+     * @return {boolean} Whether the key is being waited for, i.e. it's waitingForCreation or waitingForRecreation.
+     */
+    get isWaiting() {
+        return this.state === MonitorState.WaitingForCreation || this.state === MonitorState.WaitingForRecreation;
+    }
+
+    /**
+     * @return {integer} Notify filter used to register for notification, which combines the filters of all callbacks.
+     *                   Callbacks without a filter use REG_NOTIFY_CHANGE_LAST_SET, plus REG_NOTIFY_CHANGE_NAME if the key is monitored recursively.
+     */
+    get notifyFilter() {
+        let filter = 0;
+        if (this.callbacks.length === 0 || this.callbacks.some(callback => !this.filterCallbacks.has(callback))) {
+            filter = this.defaultNotifyFilter;
+        }
+        this.filterCallbacks.forEach(callbackFilter => {
+            filter |= callbackFilter;
+        });
+        return filter;
+    }
+
+    /** Private getter: whether the notify filter covers more than one category, in which case the state of the key is needed to tell them apart. See determineCategories(). */
+    get needsCategoryState() {
+        return notifyFilterToCategories(this.notifyFilter).length > 1;
+    }
+
+    /** Private getter: notify filter of callbacks without a filter. */
+    get defaultNotifyFilter() {
+        return this.monitorData.recursive ?
+            (RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_LAST_SET | RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_NAME) :
+            RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_LAST_SET;
+    }
+
+    /**
+     * @return {string} State of the monitor, as defined in Registry.MonitorState. After the key is deleted, it's waitingForRecreation until the key is created again.
+     *                  A missing key that is waited for with waitIfMissing option is waitingForCreation until it's created.
+     */
+    get state() {
+        return (this.monitorData.waitHandle === null) ? MonitorState.Stopped : this.monitorData.state;
+    }
+
     /**
      * Starts monitoring.
      * Note: make sure to call stop() when this key is no longer needed to be monitored. Otherwise the finalizer will complain (though, the finalizer will still properly stop the monitor).
@@ -761,27 +757,35 @@ class MonitoredRegistryKey extends RegistryKey {
             return true;
         }
 
-        if (super.isValid) {
-            this.monitorData.waitHandle = EventApi.CreateEventW(
-                ref.NULL, // Use default security descriptor
-                0, // Use auto-reset behavior
-                0, // Initial state is unset
-                ref.NULL // No need to assign a name as Registry class is making sure there is only one monitor per key path
-            );
-            if (ref.isNull(this.monitorData.waitHandle)) {
-                this.monitorData.waitHandle = null;
+        const waitForCreation = (this.monitorData.state === MonitorState.WaitingForCreation);
+        if (super.isValid || waitForCreation) {
+            this.monitorData.waitHandle = Registry.instance.backend.createEvent();
+            if (this.monitorData.waitHandle === null) {
                 if (Registry.instance.loggingEnabled) {
                     error(`Cannot create wait handle to monitor key "${this.keyData.path}"`);
                 }
                 return false;
             }
 
+            if (waitForCreation) {
+                // Callbacks are notified once the key exists, the same way as when a deleted key is created again
+                this.monitorData.keyWaiter = Registry.instance.waitForKeyCreation(this.monitorData.path, this.onKeyRecreated.bind(this));
+                return this.monitorData.waitHandle !== null;
+            }
             return this.registerForNotification();
         }
 
         return false;
     }
 
+    /**
+     * Creates the key if a callback asked for it. A monitored key that doesn't exist is either waited for or reported by Registry.monitorKey(), so it's not warned about here.
+     * @return {boolean} Whether the handle is opened.
+     */
+    create() {
+        return this.createIfNeeded && super.create();
+    }
+
     /**
      * Stops monitoring.
      * @return {boolean} Whether the monitor is stopped. Note: the monitor may have already been stopped previously, in which case this method still returns true.
@@ -804,11 +808,51 @@ class MonitoredRegistryKey extends RegistryKey {
 
     /**
      * Adds a callback.
-     * @param {function} callback - The callback to be added. It will receive this MonitoredRegistryKey as parameter.
+     * @param {function} callback - The callback to be added. It will receive this MonitoredRegistryKey, the differences (null if diff is not set) and the categories of the change.
+     * @param {object} options - (Optional) An object containing:
+     *                           diff: Whether the callback also receives the differences since the previous notification as second parameter. See Registry.monitorKey().
+     *                                 If not provided, default value false is used.
+     *                           notifyFilter: Combination of notify filters as defined in RegistryKeyNotifyFilter. If provided, the callback is only invoked for changes
+     *                                         of these categories.
+     *                           Other options are used to convert the data of values in the differences. See getValue().
+     * @param {boolean} createIfNeeded - (Optional) Whether the callback asks for the key to be created if it doesn't exist, including after it's deleted.
+     *                                   If the key is waiting for re-creation, it's created right away. If not provided, default value false is used.
      */
-    addCallback(callback) {
+    addCallback(callback, options = {}, createIfNeeded = false) {
         if (callback) {
             this.callbacks.push(callback);
+            if (createIfNeeded) {
+                this.createCallbacks.add(callback);
+            }
+
+            if (options.diff) {
+                this.diffCallbacks.set(callback, options);
+                if (this.snapshot === null) {
+                    // Snapshot is shared by all callbacks that request differences
+                    this.snapshot = this.takeSnapshot();
+                }
+            }
+            if (options.notifyFilter !== undefined) {
+                this.filterCallbacks.set(callback, options.notifyFilter);
+            }
+            if (this.categoryState === null && this.needsCategoryState) {
+                this.categoryState = this.takeCategoryState();
+            }
+
+            if (this.isValid && (this.notifyFilter & ~this.monitorData.registeredFilter) !== 0) {
+                // Register again, so the handle is shared by callbacks with different filters
+                this.registerForNotification();
+            }
+
+            if (createIfNeeded && this.isWaiting) {
+                // Key is created for the new callback right away, instead of waiting for someone else to create it
+                if (this.monitorData.keyWaiter !== null) {
+                    this.monitorData.keyWaiter.stop();
+                    this.monitorData.keyWaiter = null;
+                }
+                this.createIfNeeded = true;
+                this.onKeyRecreated(null);
+            }
         }
     }
 
@@ -821,6 +865,17 @@ class MonitoredRegistryKey extends RegistryKey {
         const index = this.callbacks.indexOf(callback);
         if (index >= 0) {
             this.callbacks.splice(index, 1);
+            if (!this.callbacks.includes(callback)) {
+                this.diffCallbacks.delete(callback);
+                this.filterCallbacks.delete(callback);
+                this.createCallbacks.delete(callback);
+                if (!this.needsCategoryState) {
+                    this.categoryState = null;
+                }
+                if (this.diffCallbacks.size === 0) {
+                    this.snapshot = null;
+                }
+            }
 
             if (this.callbacks.length === 0) {
                 // No need to monitor this key anymore
@@ -834,81 +889,867 @@ class MonitoredRegistryKey extends RegistryKey {
     }
 
     /**
-     * Reopens the key.
-     * @return {boolean} Whether the handle is opened.
+     * Reopens the key. A monitored key is only reopened when it was deleted, which is handled by onKeyDeleted().
+     * @return {boolean} Whether the handle is opened, i.e. the key was re-created because a callback asked for it.
      */
     reopen() {
-        if (super.reopen()) {
-            if (this.isValid) {
-                // Re-register for notification since the underlying key handle is changed.
-                // Note, the same wait handle is reused as there is no need to change it, and changing it also means Registry.updateMonitoredKeysArray() needs to be invoked
-                return this.registerForNotification();
-            }
-        }
-
-        return false;
+        this.onKeyDeleted();
+        return this.isValid;
     }
 
     /**
      * Called when monitored key triggers.
      */
     onMonitorTriggered() {
-        // Register for change notification again (RegNotifyChangeKeyValue only triggers once)
+        if (this.monitorData.state !== MonitorState.Active) {
+            // Key was deleted. Clients have been notified, and re-creation is detected through its ancestor
+            return;
+        }
+
+        // Register for change notification again (RegNotifyChangeKeyValue only triggers once). The change is of the categories registered before
+        const handle = this.keyData.handle;
+        const triggeredFilter = this.monitorData.registeredFilter;
         this.registerForNotification();
+        if (this.keyData.handle !== handle) {
+            // Key was deleted, which has been handled (including notifying clients) by onKeyDeleted()
+            return;
+        }
 
         // Notify all clients
-        this.callbacks.forEach((callback) => callback(this));
+        this.notifyCallbacks({ notifyFilter: triggeredFilter });
     }
 
-    /** Private method: registers for notification from change event on the key. */
-    registerForNotification() {
-        const result = RegistryApi.RegNotifyChangeKeyValue(
-            this.keyData.handle,
-            this.monitorData.recursive ? 1 : 0,
-            this.monitorData.recursive ? (RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_LAST_SET | RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_NAME) : RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_LAST_SET,
-            this.monitorData.waitHandle,
-            1 // Use async behavior
-        );
-        if (result === ErrorCode.KeyMarkedForDeletion) {
-            // Key was deleted. Reopen the key, which would call this method again
-            warning(`Key "${this.monitorData.path}" was deleted. Trying to reopen the key and register for notification again...`);
-            this.reopen();
-        } else if (result !== 0) {
-            printWindowsError(`Cannot register for notification on key "${this.monitorData.path}"!`, result);
-            return false;
-        } else {
-            return true;
+    /**
+     * Called when the monitored key is deleted, either through Registry or found out from a handle that refers to the deleted key.
+     * If any of the current callbacks asked for the key to be created, the key is re-created right away. Otherwise, the monitor waits for the key to be created again. See Registry.waitForKeyCreation().
+     * Clients are notified either way, with the differences listing the key as deleted (and created if it's re-created).
+     */
+    onKeyDeleted() {
+        if (this.monitorData.state !== MonitorState.Active) {
+            return;
+        }
+
+        if (Registry.instance.loggingEnabled) {
+            warning(`Monitored key "${this.monitorData.path}" was deleted.`);
+        }
+
+        // The handle refers to the deleted key, which cannot be used anymore. Callbacks that asked for the key to be created may have been removed since it was opened
+        this.close();
+        this.createIfNeeded = this.createCallbacks.size > 0;
+        if (this.createIfNeeded && this.open()) {
+            // Caller asked for the key to exist. Note, the same wait handle is reused, as changing it means Registry.updateMonitoredKeysArray() needs to be invoked
+            this.registerForNotification();
+            this.notifyCallbacks({ keyDeleted: true, keyCreated: true });
+            return;
+        }
+
+        this.monitorData.state = MonitorState.WaitingForRecreation;
+        this.notifyCallbacks({ keyDeleted: true });
+        if (this.monitorData.state === MonitorState.WaitingForRecreation && this.monitorData.waitHandle !== null) {
+            // Callbacks may have stopped monitoring
+            this.monitorData.keyWaiter = Registry.instance.waitForKeyCreation(this.monitorData.path, this.onKeyRecreated.bind(this));
         }
     }
-}
 
-/** Representing a token that can be used to stop monitoring later on. */
-class MonitorToken {
     /**
-     * Constructor. Should not be used directly, but use Registry.monitorKey() to create one.
-     * @param {string} path - The registry key path.
-     * @param {boolean} recursive - Whether to monitor sub-keys recursively.
-     * @param {function} callback - The callback function to be invoked when changes in the key happen.
+     * Private method: called when the key that is waited for is created (again), or when it cannot be waited for.
+     * @param {Error} err - Null if the key was created, or the reason why it cannot be waited for.
      */
-    constructor(path, recursive, callback) {
-        this.tokenData = {
-            path: path,
-            recursive: recursive,
-            callback: callback,
-        };
+    onKeyRecreated(err) {
+        const monitorData = this.monitorData;
+        if (!this.isWaiting) {
+            return;
+        }
 
-        // Register this token in finalizer so we can be alerted if it's not properly stopped
-        monitorTokenFinalizer.register(this, this.tokenData);
+        if (err !== null || !this.open()) {
+            if (Registry.instance.loggingEnabled) {
+                error(`Cannot find out when key "${monitorData.path}" is created!${(err === null) ? '' : ` ${err.message}`}`);
+            }
+            return;
+        }
+
+        monitorData.state = MonitorState.Active;
+        const handle = this.keyData.handle;
+        this.registerForNotification();
+        if (this.keyData.handle === handle) {
+            // Differences list the key as created, since the snapshot of a missing key is empty
+            this.notifyCallbacks({ keyCreated: true });
+        }
     }
 
     /**
-     * Stops monitoring.
+     * Private method: invokes callbacks, along with the differences since the previous notification for callbacks that request them, and the categories of the change.
+     * If the key was deleted, the differences contain the deletion even if the key has been re-created since then.
+     * @param {object} options - (Optional) An object containing:
+     *                           keyDeleted: Whether the key was deleted. If not provided, default value false is used.
+     *                           keyCreated: Whether the key was created (again). If not provided, default value false is used.
+     *                           notifyFilter: The notify filter that was registered when the change happened. If not provided, the current one is used.
+     */
+    notifyCallbacks({ keyDeleted = false, keyCreated = false, notifyFilter = this.monitorData.registeredFilter } = {}) {
+        let diff = null;
+        if (this.snapshot !== null) {
+            const snapshot = this.takeSnapshot();
+            diff = keyDeleted ?
+                mergeDiffs(diffSnapshots(this.snapshot, new Map()), diffSnapshots(new Map(), snapshot)) :
+                diffSnapshots(this.snapshot, snapshot);
+            this.snapshot = snapshot;
+        }
+
+        let categories;
+        if (keyDeleted || keyCreated) {
+            categories = [NotifyCategory.Name];
+            if (this.categoryState !== null) {
+                this.categoryState = this.takeCategoryState();
+            }
+        } else {
+            categories = this.determineCategories(notifyFilter, diff);
+        }
+
+        // Callbacks may stop monitoring, which changes the list
+        [...this.callbacks].forEach((callback) => {
+            const options = this.diffCallbacks.get(callback);
+            const filter = this.filterCallbacks.get(callback);
+
+            // Handle may be registered for more categories than a callback needs. Deletion and creation are always reported, since they change the state of the monitor
+            if (!keyDeleted && !keyCreated && !categories.some(category => ((filter ?? this.defaultNotifyFilter) & NotifyCategoryFilters[category]) !== 0)) {
+                return;
+            }
+
+            callback(this, (options !== undefined) ? decodeDiff(diff, options) : null, categories);
+        });
+    }
+
+    /** Private method: records what is needed to find out the category of a change in this key itself, i.e. the last write time and the names of sub keys. */
+    takeCategoryState() {
+        const categoryState = { lastWriteTime: null, subKeyNames: '' };
+        if (this.keyData.handle !== null) {
+            const info = this.getInfo();
+            categoryState.lastWriteTime = (info === null) ? null : info.lastWriteTime.getTime();
+            categoryState.subKeyNames = (this.getSubKeyNames() || []).map(name => name.toUpperCase()).sort().join('\\');
+        }
+        return categoryState;
+    }
+
+    /**
+     * Private method: finds out the categories of a change. If the handle is registered for a single category, the notification can only be of that one.
+     * Otherwise the state of the key before and after the change is compared, along with the differences if a callback requested them:
+     * a sub key being created or deleted is a name change, and a value being changed (or the key being written without any sub key change) is a last-set change.
+     * Attribute and security changes leave no trace, and neither do changes deep in the sub tree without differences, so if nothing is found,
+     * the categories registered for (other than name, if it would have been found) are returned as the candidates.
+     * @param {integer} notifyFilter - The notify filter that was registered when the change happened.
+     * @param {object} diff - The differences, or null if no callback requested them.
+     * @return {string[]} The categories, as defined in Registry.NotifyCategory.
+     */
+    determineCategories(notifyFilter, diff) {
+        const candidates = notifyFilterToCategories(notifyFilter);
+        const oldState = this.categoryState;
+        if (oldState === null) {
+            return candidates;
+        }
+
+        const newState = this.takeCategoryState();
+        this.categoryState = newState;
+        if (candidates.length === 1) {
+            return candidates;
+        }
+
+        const subKeysChanged = oldState.subKeyNames !== newState.subKeyNames || (diff !== null && (diff.subKeys.created.length > 0 || diff.subKeys.deleted.length > 0));
+        const valuesChanged = diff !== null && (diff.values.added.length > 0 || diff.values.removed.length > 0 || diff.values.modified.length > 0);
+        const categories = [];
+        if (valuesChanged || (!subKeysChanged && oldState.lastWriteTime !== newState.lastWriteTime)) {
+            categories.push(NotifyCategory.LastSet);
+        }
+        if (subKeysChanged) {
+            categories.push(NotifyCategory.Name);
+        }
+
+        const found = categories.filter(category => candidates.includes(category));
+        if (found.length > 0) {
+            return found;
+        }
+
+        const untraceable = (this.monitorData.recursive && diff === null) ? candidates : candidates.filter(category => category !== NotifyCategory.Name);
+        return (untraceable.length > 0) ? untraceable : candidates;
+    }
+
+    /** Private method: takes a snapshot of the values of this key and, if recursive, its sub tree. A deleted key has an empty snapshot. */
+    takeSnapshot() {
+        const snapshot = new Map();
+        if (this.keyData.handle !== null) {
+            this.collectSnapshot(this, snapshot);
+        }
+        return snapshot;
+    }
+
+    /** Private method: adds the values of a key and, if recursive, its sub keys to a snapshot. */
+    collectSnapshot(key, snapshot) {
+        const values = key.enumValues('take a snapshot of');
+        if (values === null) {
+            return;
+        }
+
+        snapshot.set(key.keyData.path.toUpperCase(), {
+            path: key.keyData.path,
+            values: new Map(values.map(value => [value.name.toUpperCase(), value])),
+        });
+
+        if (this.monitorData.recursive) {
+            (key.getSubKeyNames() || []).forEach(name => {
+                const subKey = Registry.instance.openKey(`${key.keyData.path}\\${name}`);
+                if (subKey !== null) {
+                    this.collectSnapshot(subKey, snapshot);
+                    Registry.instance.closeKey(subKey);
+                }
+            });
+        }
+    }
+
+    /** Private method: registers for notification from change event on the key. */
+    registerForNotification() {
+        const notifyFilter = this.notifyFilter;
+        const result = Registry.instance.backend.notifyChangeKeyValue(this.keyData.handle, this.monitorData.recursive, notifyFilter, this.monitorData.waitHandle);
+        if (result === ErrorCode.KeyMarkedForDeletion) {
+            // Key was deleted. The handle is changed by onKeyDeleted(), which registers again if the key is re-created
+            this.onKeyDeleted();
+            return false;
+        } else if (result !== 0) {
+            printWindowsError(`Cannot register for notification on key "${this.monitorData.path}"!`, result);
+            return false;
+        } else {
+            this.monitorData.registeredFilter = notifyFilter;
+            return true;
+        }
+    }
+}
+
+/**
+ * Private class. Waits for a key to be created, by monitoring its nearest existing ancestor recursively, which moves down as missing keys appear.
+ * Should not be used directly, but use Registry.waitForKeyCreation() to create one.
+ */
+class KeyCreationWaiter {
+    /**
+     * Constructor. Should not be used directly, but use Registry.waitForKeyCreation() to create one.
+     * @param {string} path - The registry key path.
+     * @param {function} callback - The callback as described in Registry.waitForKeyCreation().
+     */
+    constructor(path, callback) {
+        this.waiterData = {
+            path: path,
+            callback: callback,
+            ancestorPath: null,     // Nearest existing ancestor that is monitored
+            ancestorToken: null,
+        };
+    }
+
+    /**
+     * @return {boolean} Whether the key is being waited for.
+     */
+    get isWaiting() {
+        return this.waiterData.callback !== null;
+    }
+
+    /**
+     * Stops waiting. The callback is not invoked anymore.
+     */
+    stop() {
+        const waiterData = this.waiterData;
+        waiterData.callback = null;
+        if (waiterData.ancestorToken !== null) {
+            waiterData.ancestorToken.stop();
+            waiterData.ancestorToken = null;
+        }
+        waiterData.ancestorPath = null;
+    }
+
+    /**
+     * Private method: invokes the callback if the key exists, or monitors its nearest existing ancestor otherwise.
+     * It's called when waiting starts, and whenever the monitored ancestor changes.
+     */
+    check() {
+        const waiterData = this.waiterData;
+        while (waiterData.callback !== null) {
+            if (Registry.instance.checkKeyExistence(waiterData.path)) {
+                this.finish(null);
+                return;
+            }
+
+            const ancestorPath = Registry.instance.findExistingAncestorPath(waiterData.path);
+            if (ancestorPath === waiterData.ancestorPath) {
+                return;
+            }
+
+            // Ancestor is monitored recursively, since that's what reports sub keys being created
+            const ancestorToken = (ancestorPath === null) ? null : Registry.instance.monitorKey(ancestorPath, true, false, this.check.bind(this));
+            if (waiterData.ancestorToken !== null) {
+                waiterData.ancestorToken.stop();
+            }
+            waiterData.ancestorToken = ancestorToken;
+            if (ancestorToken === null) {
+                this.finish(new Error(`Cannot monitor any ancestor of key "${waiterData.path}" to wait for it!`));
+                return;
+            }
+
+            // Check again, since the key may have been created before the ancestor is monitored
+            waiterData.ancestorPath = ancestorPath;
+        }
+    }
+
+    /** Private method: stops waiting and invokes the callback. */
+    finish(err) {
+        const callback = this.waiterData.callback;
+        this.stop();
+        callback(err);
+    }
+}
+
+/** Representing a token that can be used to stop monitoring later on. */
+class MonitorToken {
+    /**
+     * Constructor. Should not be used directly, but use Registry.monitorKey() to create one.
+     * @param {string} path - The registry key path.
+     * @param {boolean} recursive - Whether to monitor sub-keys recursively.
+     * @param {function} callback - The callback function to be invoked when changes in the key happen.
+     */
+    constructor(path, recursive, callback) {
+        this.tokenData = {
+            path: path,
+            recursive: recursive,
+            callback: callback,
+        };
+
+        // Register this token in finalizer so we can be alerted if it's not properly stopped
+        monitorTokenFinalizer.register(this, this.tokenData);
+    }
+
+    /**
+     * Stops monitoring.
      * @return {boolean} Whether the callback is stopped. Note: the callback may have already been stopped previously, in which case this method still returns true.
      */
     stop() {
         Registry.instance.stopMonitorInternal(this.tokenData);
         return this.tokenData.callback === null;
     }
+
+    /**
+     * @return {string} State of the monitor, as defined in Registry.MonitorState.
+     */
+    get state() {
+        const { path, recursive, callback } = this.tokenData;
+        const monitoredKey = recursive ? Registry.instance.monitoredRecursiveKeys[path] : Registry.instance.monitoredKeys[path];
+        return (callback === null || !monitoredKey) ? MonitorState.Stopped : monitoredKey.state;
+    }
+}
+
+/** Events emitted by RegistryMonitor that need the key to be monitored. */
+const MonitorEvents = ['change', 'valueChanged', 'keyCreated', 'keyDeleted', 'keyRecreated'];
+
+/**
+ * Representing a monitor that emits events when a key changes. Should not be constructed directly, but use Registry.monitor() to create one.
+ * It starts monitoring when the first listener of a monitor event is added, and stops when the last one is removed. Events:
+ * - change: Any change happened in the key. Listeners receive the differences (as described in Registry.monitorKey()) and the MonitoredRegistryKey,
+ *           plus the categories of the change.
+ * - valueChanged: A value was added, removed or modified. Listeners receive an object containing path (of the key), name, oldType, oldData, newType and newData,
+ *                 where old ones are null for an added value and new ones are null for a removed value.
+ * - keyCreated: The key didn't exist when monitoring started (with waitIfMissing option), and now it does. Listeners receive the key path.
+ *               It follows the change event, which lists the key as created and its values as added.
+ * - keyDeleted: The monitored key was deleted. Listeners receive the key path.
+ * - keyRecreated: The monitored key was created again after it had been deleted. Listeners receive the key path.
+ * - error: Monitoring cannot be started. Listeners receive an Error. If there is no listener, the error is logged instead.
+ * For each notification, change is emitted first, followed by valueChanged for each value, and then keyDeleted and/or keyCreated or keyRecreated.
+ * With waitIfMissing option, a key that doesn't exist is waited for as described in Registry.monitorKey().
+ */
+class RegistryMonitor extends EventEmitter {
+    /**
+     * Constructor. Should not be used directly, but use Registry.monitor() to create one.
+     * @param {string} path - The registry key path.
+     * @param {object} options - Options as described in Registry.monitor().
+     */
+    constructor(path, { recursive = false, createIfNeeded = false, waitIfMissing = false, ...options }) {
+        super();
+        this.monitorData = {
+            path: path,
+            recursive: recursive,
+            createIfNeeded: createIfNeeded,
+            waitIfMissing: waitIfMissing,
+            options: options,
+            token: null,
+            keyExisted: true,       // Whether the key existed at some point, which decides between keyCreated and keyRecreated
+        };
+
+        this.on('newListener', (event) => {
+            if (MonitorEvents.includes(event) && !this.isActive) {
+                this.start();
+            }
+        });
+        this.on('removeListener', (event) => {
+            if (MonitorEvents.includes(event) && MonitorEvents.every(monitorEvent => this.listenerCount(monitorEvent) === 0)) {
+                this.stopMonitoring();
+            }
+        });
+    }
+
+    /**
+     * @return {string} The registry key path.
+     */
+    get path() {
+        return this.monitorData.path;
+    }
+
+    /**
+     * @return {boolean} Whether the key is being monitored.
+     */
+    get isActive() {
+        return this.monitorData.token !== null;
+    }
+
+    /**
+     * @return {string} State of the monitor, as defined in Registry.MonitorState.
+     */
+    get state() {
+        return (this.monitorData.token !== null) ? this.monitorData.token.state : MonitorState.Stopped;
+    }
+
+    /**
+     * Stops monitoring, and removes all listeners of monitor events.
+     */
+    stop() {
+        MonitorEvents.forEach(event => this.removeAllListeners(event));
+        this.stopMonitoring();
+    }
+
+    /** Private method: starts monitoring the key, which waits for it if it doesn't exist and waitIfMissing is set. */
+    start() {
+        const { path, recursive, createIfNeeded, waitIfMissing, options } = this.monitorData;
+        this.monitorData.keyExisted = !waitIfMissing || createIfNeeded || Registry.instance.checkKeyExistence(path);
+        this.monitorData.token = Registry.instance.monitorKey(path, recursive, createIfNeeded, this.onKeyChanged.bind(this), { ...options, waitIfMissing, diff: true });
+        if (this.monitorData.token === null) {
+            this.reportError(new Error(`Cannot monitor key "${path}"!`));
+        }
+    }
+
+    /** Private method: emits error event, or logs the error if there is no listener. */
+    reportError(err) {
+        if (this.listenerCount('error') > 0) {
+            // Listeners added in the same tick as the one that starts monitoring should receive the error as well
+            process.nextTick(() => this.emit('error', err));
+        } else if (Registry.instance.loggingEnabled) {
+            error(err.message);
+        }
+    }
+
+    /** Private method: stops monitoring the key while keeping listeners. */
+    stopMonitoring() {
+        if (this.monitorData.token !== null) {
+            this.monitorData.token.stop();
+            this.monitorData.token = null;
+        }
+    }
+
+    /** Private method: emits events for a change notification of the monitored key. */
+    onKeyChanged(monitoredKey, diff, categories) {
+        this.emit('change', diff, monitoredKey, categories);
+
+        diff.values.added.forEach(value => this.emit('valueChanged', {
+            path: value.path,
+            name: value.name,
+            oldType: null,
+            oldData: null,
+            newType: value.type,
+            newData: value.data,
+        }));
+        diff.values.removed.forEach(value => this.emit('valueChanged', {
+            path: value.path,
+            name: value.name,
+            oldType: value.type,
+            oldData: value.data,
+            newType: null,
+            newData: null,
+        }));
+        diff.values.modified.forEach(value => this.emit('valueChanged', { ...value }));
+
+        // The monitored key itself is listed in sub keys when it's deleted or (re-)created
+        const keyDeleted = diff.subKeys.deleted.includes(monitoredKey.keyData.path);
+        const keyCreated = diff.subKeys.created.includes(monitoredKey.keyData.path);
+        if (keyDeleted) {
+            this.emit('keyDeleted', this.monitorData.path);
+        }
+        if (keyCreated) {
+            this.emit(this.monitorData.keyExisted ? 'keyRecreated' : 'keyCreated', this.monitorData.path);
+            this.monitorData.keyExisted = true;
+        }
+    }
+}
+
+/** Policies of RegistryWatcher when its buffer is full. */
+const WatchOverflowPolicy = Object.freeze({
+    DropOldest: 'dropOldest',   // Discards the oldest buffered change
+    Coalesce: 'coalesce',       // Folds the new change into the newest buffered one, keeping the net change of each value
+    Error: 'error',             // Stops watching, and fails the iteration after the buffered changes are consumed
+});
+
+/**
+ * Representing an async iterable of changes of a key. Should not be constructed directly, but use Registry.watch() to create one.
+ * It starts monitoring right away, buffers changes until they are consumed, and stops monitoring when the iteration ends (e.g. by break),
+ * the AbortSignal fires or return() is called.
+ */
+class RegistryWatcher {
+    /**
+     * Constructor. Should not be used directly, but use Registry.watch() to create one.
+     * @param {string} path - The registry key path.
+     * @param {object} options - Options as described in Registry.watch().
+     */
+    constructor(path, {
+        recursive = false,
+        createIfNeeded = false,
+        signal = null,
+        bufferSize = DefaultWatchBufferSize,
+        overflow = WatchOverflowPolicy.DropOldest,
+        ...options
+    }) {
+        this.watchData = {
+            path: path,
+            bufferSize: bufferSize,
+            overflow: overflow,
+            signal: signal,
+            abortListener: null,
+            token: null,
+            changes: [],            // Buffered changes, oldest first
+            requests: [],           // Pending next() calls, each is an object containing resolve and reject of the promise
+            error: null,            // Error to be thrown after the buffered changes are consumed
+            done: false,
+            droppedCount: 0,
+        };
+
+        if (!Number.isInteger(bufferSize) || bufferSize < 1) {
+            this.finish(new RangeError(`Buffer size ${bufferSize} is not a positive integer!`));
+            return;
+        }
+        if (!Object.values(WatchOverflowPolicy).includes(overflow)) {
+            this.finish(new TypeError(`"${overflow}" is not a valid overflow policy!`));
+            return;
+        }
+        if (signal) {
+            if (signal.aborted) {
+                this.finish(signal.reason);
+                return;
+            }
+            this.watchData.abortListener = () => this.abort(signal.reason);
+            signal.addEventListener('abort', this.watchData.abortListener, { once: true });
+        }
+
+        this.watchData.token = Registry.instance.monitorKey(path, recursive, createIfNeeded, this.onKeyChanged.bind(this), { ...options, diff: true });
+        if (this.watchData.token === null) {
+            this.finish(new Error(`Cannot monitor key "${path}"!`));
+        }
+    }
+
+    /**
+     * @return {string} The registry key path.
+     */
+    get path() {
+        return this.watchData.path;
+    }
+
+    /**
+     * @return {boolean} Whether the key is still being monitored.
+     */
+    get isActive() {
+        return this.watchData.token !== null;
+    }
+
+    /**
+     * @return {number} Number of changes discarded by the dropOldest overflow policy.
+     */
+    get droppedCount() {
+        return this.watchData.droppedCount;
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    /**
+     * Gets the next change, waiting for one if none is buffered.
+     * @return {Promise<object>} A promise of an iterator result, whose value is the differences of the change as described in Registry.monitorKey().
+     */
+    next() {
+        const watchData = this.watchData;
+        if (watchData.changes.length > 0) {
+            return Promise.resolve({ value: watchData.changes.shift(), done: false });
+        }
+        if (watchData.error !== null) {
+            const err = watchData.error;
+            watchData.error = null;
+            return Promise.reject(err);
+        }
+        if (watchData.done) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+
+        return new Promise((resolve, reject) => watchData.requests.push({ resolve, reject }));
+    }
+
+    /**
+     * Stops watching. Buffered changes are discarded, and pending next() calls are resolved as done.
+     * It's called automatically when a for await...of loop exits early.
+     * @return {Promise<object>} A promise of an iterator result that is done.
+     */
+    return() {
+        this.watchData.changes = [];
+        this.watchData.error = null;
+        this.finish();
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    /**
+     * Creates a Readable stream in object mode that emits the changes. Destroying the stream stops watching.
+     * @param {object} options - (Optional) Options passed to Readable.from(), e.g. highWaterMark.
+     * @return {Readable} The stream.
+     */
+    toStream(options = {}) {
+        return Readable.from(this, { ...options, objectMode: true });
+    }
+
+    /** Private method: buffers a change, or hands it over to a pending next() call. */
+    onKeyChanged(monitoredKey, diff) {
+        const watchData = this.watchData;
+        if (watchData.requests.length > 0) {
+            watchData.requests.shift().resolve({ value: diff, done: false });
+            return;
+        }
+        if (watchData.changes.length < watchData.bufferSize) {
+            watchData.changes.push(diff);
+            return;
+        }
+
+        switch (watchData.overflow) {
+            case WatchOverflowPolicy.DropOldest:
+                watchData.changes.shift();
+                watchData.changes.push(diff);
+                watchData.droppedCount++;
+                break;
+            case WatchOverflowPolicy.Coalesce:
+                watchData.changes.push(coalesceDiffs(watchData.changes.pop(), diff));
+                break;
+            default:
+                this.finish(new Error(`Buffer of ${watchData.bufferSize} changes of key "${watchData.path}" overflowed!`));
+                break;
+        }
+    }
+
+    /** Private method: stops watching because the AbortSignal fired. Buffered changes are discarded. */
+    abort(reason) {
+        this.watchData.changes = [];
+        this.finish(reason);
+    }
+
+    /**
+     * Private method: stops monitoring and releases the AbortSignal listener.
+     * If err is provided, the first pending next() call is rejected with it, or the next one after the buffered changes are consumed.
+     * Other pending next() calls are resolved as done.
+     */
+    finish(err = null) {
+        const watchData = this.watchData;
+        if (watchData.token !== null) {
+            watchData.token.stop();
+            watchData.token = null;
+        }
+        if (watchData.abortListener !== null) {
+            watchData.signal.removeEventListener('abort', watchData.abortListener);
+            watchData.abortListener = null;
+        }
+        if (watchData.done) {
+            return;
+        }
+        watchData.done = true;
+
+        const requests = watchData.requests;
+        watchData.requests = [];
+        if (err !== null) {
+            if (requests.length > 0) {
+                requests.shift().reject(err);
+            } else {
+                watchData.error = err;
+            }
+        }
+        requests.forEach(request => request.resolve({ value: undefined, done: true }));
+    }
+}
+
+/**
+ * Representing a monitor of all keys that match a path pattern. Should not be constructed directly, but use Registry.monitorPattern() to create one.
+ * The fixed prefix of the pattern (i.e. the segments before the first wildcard) is monitored recursively to find out when matching keys appear or disappear,
+ * and each matching key is monitored on its own.
+ */
+class RegistryPatternMonitor {
+    /**
+     * Constructor. Should not be used directly, but use Registry.monitorPattern() to create one.
+     * @param {string} pattern - The path pattern.
+     * @param {function} callback - The callback as described in Registry.monitorPattern().
+     * @param {object} options - Options as described in Registry.monitorPattern().
+     */
+    constructor(pattern, callback, { recursive = false, ...options }) {
+        const segments = pattern.split('\\').filter(segment => segment.length > 0);
+        const firstWildcardIndex = segments.findIndex(segment => /[*?]/.test(segment));
+        const prefixLength = (firstWildcardIndex === -1) ? segments.length : firstWildcardIndex;
+        this.patternData = {
+            pattern: pattern,
+            prefix: segments.slice(0, prefixLength).join('\\'),
+            segments: segments.slice(prefixLength).map(segment => ({
+                name: segment,
+                regex: /[*?]/.test(segment) ? globToRegExp(segment) : null,
+            })),
+            callback: callback,
+            recursive: recursive,
+            options: options,
+            token: null,
+            matches: new Map(),     // Matching keys keyed by upper-case path, each is an object containing path, captures and token
+        };
+    }
+
+    /**
+     * @return {string} The path pattern.
+     */
+    get pattern() {
+        return this.patternData.pattern;
+    }
+
+    /**
+     * @return {boolean} Whether the pattern is being monitored.
+     */
+    get isActive() {
+        return this.patternData.token !== null;
+    }
+
+    /**
+     * @return {string[]} Paths of the keys that currently match the pattern.
+     */
+    get matchedPaths() {
+        return [...this.patternData.matches.values()].map(match => match.path);
+    }
+
+    /**
+     * Stops monitoring the pattern and all matching keys. No detached event is reported.
+     * @return {boolean} Whether all monitors are stopped.
+     */
+    stop() {
+        let stopped = true;
+        this.patternData.matches.forEach(match => {
+            stopped = match.token.stop() && stopped;
+        });
+        this.patternData.matches.clear();
+
+        if (this.patternData.token !== null) {
+            stopped = this.patternData.token.stop() && stopped;
+            this.patternData.token = null;
+        }
+        return stopped;
+    }
+
+    /** Private method: starts monitoring the prefix, and attaches to keys that already match. */
+    start() {
+        this.patternData.token = Registry.instance.monitorKey(this.patternData.prefix, true, false, this.update.bind(this));
+        if (this.patternData.token === null) {
+            return false;
+        }
+
+        this.update();
+        return true;
+    }
+
+    /** Private method: finds keys that match the pattern, then attaches to new ones and detaches from the ones that no longer match. */
+    update() {
+        const patternData = this.patternData;
+        if (patternData.token === null) {
+            // Stopped while notifications were being delivered
+            return;
+        }
+
+        const found = new Map();
+        if (Registry.instance.checkKeyExistence(patternData.prefix)) {
+            this.findMatches(patternData.prefix, 0, [], found);
+        }
+
+        for (const upperCasePath of [...patternData.matches.keys()]) {
+            if (!found.has(upperCasePath)) {
+                this.detach(upperCasePath);
+            }
+        }
+
+        for (const [upperCasePath, match] of found) {
+            if (!patternData.matches.has(upperCasePath)) {
+                this.attach(upperCasePath, match);
+            }
+        }
+    }
+
+    /** Private method: collects keys under path whose remaining segments match the pattern starting from a segment index. */
+    findMatches(path, index, captures, found) {
+        const segments = this.patternData.segments;
+        if (index === segments.length) {
+            found.set(path.toUpperCase(), { path, captures });
+            return;
+        }
+
+        const segment = segments[index];
+        if (segment.regex === null) {
+            const subKeyPath = `${path}\\${segment.name}`;
+            if (Registry.instance.checkKeyExistence(subKeyPath)) {
+                this.findMatches(subKeyPath, index + 1, captures, found);
+            }
+        } else {
+            const subKeyNames = Registry.instance.getSubKeyNames(path) ?? [];
+            subKeyNames.filter(name => segment.regex.test(name)).forEach(name => this.findMatches(`${path}\\${name}`, index + 1, [...captures, name], found));
+        }
+    }
+
+    /** Private method: starts monitoring a matching key. */
+    attach(upperCasePath, match) {
+        const { callback, recursive, options } = this.patternData;
+        const token = Registry.instance.monitorKey(match.path, recursive, false, (monitoredKey, diff) => {
+            callback(monitoredKey, { event: 'changed', path: match.path, captures: match.captures, diff });
+
+            // Detach right away when the key is deleted, rather than waiting for the notification of the prefix
+            if (diff.subKeys.deleted.includes(monitoredKey.keyData.path) && !Registry.instance.checkKeyExistence(match.path)) {
+                this.detach(upperCasePath);
+            }
+        }, { ...options, diff: true });
+        if (token === null) {
+            // Key may have been deleted in the meantime. It's attached again if it re-appears
+            return;
+        }
+
+        this.patternData.matches.set(upperCasePath, { ...match, token });
+        callback(this.findMonitoredKey(match.path), { event: 'attached', path: match.path, captures: match.captures, diff: null });
+    }
+
+    /**
+     * Private method: stops monitoring a key that no longer matches.
+     * If the key was deleted before its own monitor found out, the deletion is reported first, so that the events don't depend on which notification arrives first.
+     */
+    detach(upperCasePath) {
+        const patternData = this.patternData;
+        const match = patternData.matches.get(upperCasePath);
+        if (match === undefined) {
+            return;
+        }
+
+        const monitoredKey = this.findMonitoredKey(match.path);
+        if (monitoredKey && monitoredKey.state === MonitorState.Active && !Registry.instance.checkKeyExistence(match.path)) {
+            // The changed event detaches the key, unless the key is re-created in the meantime
+            monitoredKey.onKeyDeleted();
+            return;
+        }
+
+        patternData.matches.delete(upperCasePath);
+        match.token.stop();
+        patternData.callback(null, { event: 'detached', path: match.path, captures: match.captures, diff: null });
+    }
+
+    /** Private method: finds the monitored key of a matching key. */
+    findMonitoredKey(path) {
+        return this.patternData.recursive ? Registry.instance.monitoredRecursiveKeys[path] : Registry.instance.monitoredKeys[path];
+    }
 }
 
 /** Representing a Windows Registry object. */
@@ -928,22 +1769,129 @@ class Registry {
             throw new Error("Registry is using singleton pattern. Please use Registry.instance to access.");
         }
 
+        this.registryBackend = null;
         this.monitoredKeys = {};
         this.monitoredRecursiveKeys = {};
         this.checkInterval = DefaultMonitorCheckInterval;
         this.checkTimer = null;
+        this.engine = DefaultMonitorEngine;
+        this.waitShards = [];
+        this.nextWaitShardIndex = 0;
+        this.waitWorker = null;
         this.logging = true;
     }
 
     /**
-     * @return {object} Registry value types.
+     * @return {object} Registry value types.
+     */
+    static get ValueType() {
+        return RegistryValueType;
+    }
+
+    /**
+     * @return {class} Conditions that can be passed to monitorValue() in place of compare value, e.g. Registry.ValueCondition.outside(1, 10).
+     */
+    static get ValueCondition() {
+        return ValueCondition;
+    }
+
+    /**
+     * @return {object} Categories of changes that can be passed as notifyFilter option of monitorKey().
+     */
+    static get NotifyCategory() {
+        return NotifyCategory;
+    }
+
+    /**
+     * @return {object} States of monitors, e.g. as returned by MonitorToken.state.
+     */
+    static get MonitorState() {
+        return MonitorState;
+    }
+
+    /**
+     * @return {object} Engines that check for monitor notification, which can be set to Registry.instance.monitorEngine.
+     */
+    static get MonitorEngine() {
+        return MonitorEngine;
+    }
+
+    /**
+     * @return {object} Overflow policies of watch().
+     */
+    static get WatchOverflowPolicy() {
+        return WatchOverflowPolicy;
+    }
+
+    /**
+     * Expands environment-variable references in a string the same way Windows does, which is what the expand option of getValue() uses.
+     * @param {string} str - The string to be expanded, e.g. "%USERPROFILE%\AppData".
+     * @param {object} variables - (Optional) An object that maps variable names to values. If not provided, process.env is used.
+     * @return {string} Expanded string.
+     */
+    static expandEnvironmentStrings(str, variables) {
+        return expandEnvironmentStrings(str, variables);
+    }
+
+    /**
+     * @return {class} Base class of native backends. Extend it to provide a custom backend to useBackend().
+     */
+    static get Backend() {
+        return RegistryBackend;
+    }
+
+    /**
+     * @return {class} Backend that keeps registry keys and values in memory, which can be used on any platform.
+     */
+    static get MemoryBackend() {
+        return MemoryRegistryBackend;
+    }
+
+    /**
+     * @return {class} Backend that accesses Windows registry through Win32 APIs. Only available on Windows.
+     */
+    static get Win32Backend() {
+        // Loaded on demand since ffi bindings cannot be created on other platforms
+        return require('./win32-registry-backend.js');
+    }
+
+    /**
+     * @return {RegistryBackend} The native backend used to access registry. If useBackend() is not called, Win32 backend is used on Windows, and in-memory backend is used elsewhere.
+     */
+    get backend() {
+        if (this.registryBackend === null) {
+            this.registryBackend = (process.platform === 'win32') ? new Registry.Win32Backend() : new MemoryRegistryBackend();
+        }
+        return this.registryBackend;
+    }
+
+    /**
+     * Sets the native backend used to access registry.
+     * Note: it can only be changed while no key is being monitored. Keys opened from previous backend should be closed before calling this method.
+     * @param {RegistryBackend} backend - The backend to be used.
+     * @return {boolean} Whether the operation succeeded.
      */
-    static get ValueType() {
-        return RegistryValueType;
+    useBackend(backend) {
+        if (!(backend instanceof RegistryBackend)) {
+            if (this.loggingEnabled) {
+                error('Cannot use a backend that does not extend Registry.Backend!');
+            }
+            return false;
+        }
+
+        if (Object.keys(this.monitoredKeys).length > 0 || Object.keys(this.monitoredRecursiveKeys).length > 0) {
+            if (this.loggingEnabled) {
+                error(`Cannot switch to ${backend.name} backend while keys are being monitored!`);
+            }
+            return false;
+        }
+
+        this.registryBackend = backend;
+        return true;
     }
 
     /**
-     * Sets monitor check interval.
+     * Sets monitor check interval, which is used by the polling engine.
      * @param {integer} interval - Monitor check interval in millisecond.
      */
     set monitorCheckInterval(interval) {
@@ -954,6 +1902,34 @@ class Registry {
         }
     }
 
+    /**
+     * @return {string} The engine that checks for monitor notification, as defined in Registry.MonitorEngine.
+     */
+    get monitorEngine() {
+        return this.engine;
+    }
+
+    /**
+     * Sets the engine that checks for monitor notification. It can be changed while keys are being monitored.
+     * @param {string} engine - The engine, as defined in Registry.MonitorEngine.
+     */
+    set monitorEngine(engine) {
+        if (!Object.values(MonitorEngine).includes(engine)) {
+            if (this.loggingEnabled) {
+                error(`Unknown monitor engine "${engine}"! It has to be one of ${Object.values(MonitorEngine).join(', ')}.`);
+            }
+            return;
+        }
+
+        if (engine !== this.engine) {
+            this.stopMonitorEngine();
+            this.engine = engine;
+            if (this.waitShards.length > 0) {
+                this.startMonitorEngine();
+            }
+        }
+    }
+
     /**
      * Disables error/warning logging.
      */
@@ -985,126 +1961,731 @@ class Registry {
             return key;
         }
 
-        return null;
+        return null;
+    }
+
+    /**
+     * Closes a key handle.
+     * @param {RegistryKey} key - The key handle to be closed.
+     * @return {boolean} Whether the handle is closed or not. Note: the handle may have already been closed previously, in which case this method still returns true.
+     */
+    closeKey(key) {
+        return this.closeKeyInternal(key.keyData);
+    }
+
+    /** Private method: closes a key using its internal data structure. */
+    closeKeyInternal(keyData) {
+        if (keyData.handle !== null) {
+            const result = this.backend.closeKey(keyData.handle);
+            if (result !== 0) {
+                printWindowsError(`Cannot close key "${keyData.path}}"!`, result);
+                return false;
+            } else {
+                keyData.handle = null;
+            }
+        } else if (this.loggingEnabled) {
+            warning(`Key "${keyData.path}}" was already closed.`);
+        }
+
+        return true;
+    }
+
+    /**
+     * Retrieves the data for the specified key path and value name.
+     * @param {string} path - The registry key path.
+     * @param {string} name - The name of the value to be retrieved.
+     * @param {object} options - (Optional) An object containing:
+     *                           qwordAsNumber: Whether to return REG_QWORD value as a number when it doesn't exceed Number.MAX_SAFE_INTEGER. If not provided, default value false is used.
+     *                           pointerSize: Pointer size in bytes of the system that wrote resource descriptors (4 or 8). If not provided, default value 8 is used.
+     *                           strictStrings: Whether to decode string types strictly, i.e. trim exactly one NULL terminator and report malformed data (not terminated,
+     *                                          odd length or embedded NULL characters) as an error instead of returning it. If not provided, default value false is used.
+     *                           expand: Whether to expand environment-variable references (e.g. %USERPROFILE%) in REG_EXPAND_SZ values, following Windows rules.
+     *                                   Pass true to use process.env, or an object that maps variable names to values. If not provided, default value false is used.
+     * @return {any} Retrieved value, which is in a type that depends on the Value Type stored in the registry:
+     *               REG_DWORD/REG_DWORD_BIG_ENDIAN:   integer
+     *               REG_QWORD:                        BigInt, or integer if qwordAsNumber is set and the value fits
+     *               REG_SZ/REG_EXPAND_SZ/REG_LINK:    string
+     *               REG_MULTI_SZ:                     string[]
+     *               Resource list types:              object describing the resources
+     *               REG_BINARY/REG_NONE/other types:  Buffer
+     *               Data that is malformed for its type is returned as Buffer.
+     */
+    getValue(path, name, options) {
+        let value = null;
+        const key = this.openKey(path);
+        if (key !== null) {
+            value = key.getValue(name, options);
+            this.closeKey(key);
+        }
+        return value;
+    }
+
+    /**
+     * Sets the data (and optionally type) for the specified key path and value name.
+     * @param {string} path - The registry key path.
+     * @param {string} name - The name of the value to be set.
+     * @param {any} value - The data of the value to be set, which needs to be in a type that corresponds to the type param (if provided), or the Value Type stored in the registry:
+     *                      REG_DWORD/REG_DWORD_BIG_ENDIAN:  integer
+     *                      REG_QWORD:                       BigInt or safe integer
+     *                      REG_SZ/REG_EXPAND_SZ/REG_LINK:   string
+     *                      REG_MULTI_SZ:                    string[]
+     *                      REG_BINARY/REG_NONE/other types: Buffer (including raw data of resource list types)
+     * @param {RegistryValueType} type - (Optional) The type of the value to be set.
+     *                                   If provided, it determines the type to be stored in the registry, and also dictates the type of the value param.
+     *                                   If not provided, the the Value Type stored in the registry is used. In this case the value has to already exist in the registry.
+     * @return {boolean} Whether the operation succeeded.
+     */
+    setValue(path, name, value, type) {
+        let success = false;
+        const key = this.openKey(path, true, false);
+        if (key !== null) {
+            success = key.setValue(name, value, type);
+            this.closeKey(key);
+        }
+        return success;
+    }
+
+    /**
+     * Retrieves the type and the raw data for the specified key path and value name, without any conversion.
+     * @param {string} path - The registry key path.
+     * @param {string} name - The name of the value to be retrieved.
+     * @return {object} An object containing:
+     *                  type: The type of the value, as defined in Registry.ValueType.
+     *                  data: The raw data of the value as a Buffer, exactly as it is stored in the registry.
+     *                  If the operation fails, null is returned.
+     */
+    getRawValue(path, name) {
+        let rawValue = null;
+        const key = this.openKey(path);
+        if (key !== null) {
+            rawValue = key.getRawValue(name);
+            this.closeKey(key);
+        }
+        return rawValue;
+    }
+
+    /**
+     * Sets the type and the raw data for the specified key path and value name, without any conversion or validation of the data against the type.
+     * @param {string} path - The registry key path.
+     * @param {string} name - The name of the value to be set.
+     * @param {RegistryValueType} type - The type of the value to be set.
+     * @param {Buffer} buffer - The raw data of the value to be set.
+     * @return {boolean} Whether the operation succeeded.
+     */
+    setRawValue(path, name, type, buffer) {
+        let success = false;
+        const key = this.openKey(path, true, false);
+        if (key !== null) {
+            success = key.setRawValue(name, type, buffer);
+            this.closeKey(key);
+        }
+        return success;
+    }
+
+    /**
+     * Deletes a value with the specified key path and value name.
+     * @param {string} path - The registry key path.
+     * @param {string} name - The name of the value to be deleted.
+     * @return {boolean} Whether the operation succeeded.
+     */
+    deleteValue(path, name) {
+        let success = false;
+        const key = this.openKey(path, false, false);
+        if (key !== null) {
+            success = key.deleteValue(name);
+            this.closeKey(key);
+        }
+        return success;
+    }
+
+    /**
+     * Deletes a key. The key must not have sub keys. To delete a key with its sub keys, use deleteTree().
+     * Monitors on the deleted key are notified.
+     * @param {string} path - The registry key path. Root keys cannot be deleted.
+     * @return {boolean} Whether the operation succeeded.
+     */
+    deleteKey(path) {
+        return this.deleteKeyInternal(path, false);
+    }
+
+    /**
+     * Deletes a key along with its values and, if requested, its sub keys.
+     * Monitors on the deleted key and, if recursive, keys under it are notified.
+     * @param {string} path - The registry key path. Root keys cannot be deleted.
+     * @param {object} options - (Optional) An object containing:
+     *                           recursive: Whether to delete sub keys as well. If false, the operation fails when the key has sub keys. If not provided, default value false is used.
+     * @return {boolean} Whether the operation succeeded.
+     */
+    deleteTree(path, { recursive = false } = {}) {
+        return this.deleteKeyInternal(path, recursive);
+    }
+
+    /** Private method: deletes a key, and notifies monitors on deleted keys. */
+    deleteKeyInternal(path, recursive) {
+        const { rootKey, subKey } = parseKeyPath(path);
+        if (rootKey === null) {
+            if (this.loggingEnabled) {
+                error(`Invalid key "${path}". "${path.split('\\')[0]}" is not a predefined Windows registry root key!`);
+            }
+            return false;
+        } else if (subKey.split('\\').every(name => name.length === 0)) {
+            if (this.loggingEnabled) {
+                error(`Cannot delete key "${path}" since it is a root key!`);
+            }
+            return false;
+        }
+
+        const result = recursive ? this.backend.deleteTree(RootKey[rootKey], subKey) : this.backend.deleteKey(RootKey[rootKey], subKey);
+        if (result !== 0) {
+            printWindowsError(`Cannot delete key "${path}"${recursive ? ' recursively' : ''}!`, result);
+            return false;
+        }
+
+        // Notify monitors on the deleted key(s)
+        const deletedPath = normalizeKeyPath(path);
+        [...Object.values(this.monitoredRecursiveKeys), ...Object.values(this.monitoredKeys)].forEach(monitoredKey => {
+            const monitoredPath = normalizeKeyPath(monitoredKey.monitorData.path);
+            if (monitoredPath === deletedPath || (recursive && monitoredPath.startsWith(`${deletedPath}\\`))) {
+                monitoredKey.onKeyDeleted();
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Retrieves the type of the data for the specified key path and value name.
+     * @param {string} path - The registry key path.
+     * @param {string} name - The name of the value.
+     * @return {RegistryValueType} Retrieved value data type.
+     */
+    getValueType(path, name) {
+        let valueType = RegistryValueType.REG_NONE;
+        const key = this.openKey(path);
+        if (key !== null) {
+            valueType = key.getValueType(name);
+            this.closeKey(key);
+        }
+        return valueType;
+    }
+
+    /**
+     * Checks whether a value exists with the specified key path and value name.
+     * @param {string} path - The registry key path.
+     * @param {string} name - The name of the value to be checked.
+     * @return {boolean} Whether the specified value exists
+     */
+    checkValueExistence(path, name) {
+        let exists = false;
+        const key = this.openKey(path);
+        if (key !== null) {
+            exists = key.checkValueExistence(name);
+            this.closeKey(key);
+        }
+        return exists;
+    }
+
+    /**
+     * Retrieves the names of all sub keys for the specified key path.
+     * @param {string} path - The registry key path.
+     * @return {string[]} Names of the sub keys. If the operation fails, null is returned.
+     */
+    getSubKeyNames(path) {
+        let names = null;
+        const key = this.openKey(path);
+        if (key !== null) {
+            names = key.getSubKeyNames();
+            this.closeKey(key);
+        }
+        return names;
+    }
+
+    /**
+     * Retrieves the names of all values for the specified key path, including the default value of the key (whose name is an empty string) if it is set.
+     * @param {string} path - The registry key path.
+     * @return {string[]} Names of the values. If the operation fails, null is returned.
+     */
+    getValueNames(path) {
+        let names = null;
+        const key = this.openKey(path);
+        if (key !== null) {
+            names = key.getValueNames();
+            this.closeKey(key);
+        }
+        return names;
+    }
+
+    /**
+     * Retrieves all values for the specified key path, including the default value of the key (whose name is an empty string) if it is set.
+     * @param {string} path - The registry key path.
+     * @param {object} options - (Optional) Options used to convert the data of values. See getValue().
+     * @return {object[]} Values of the key, each of which contains name, type and data. See RegistryKey.getValues(). If the operation fails, null is returned.
+     */
+    getValues(path, options) {
+        let values = null;
+        const key = this.openKey(path);
+        if (key !== null) {
+            values = key.getValues(options);
+            this.closeKey(key);
+        }
+        return values;
+    }
+
+    /**
+     * Retrieves information about the specified key path.
+     * @param {string} path - The registry key path.
+     * @return {object} Information of the key, including last write time, sub key/value counts and max name/data sizes. See RegistryKey.getInfo(). If the operation fails, null is returned.
+     */
+    getKeyInfo(path) {
+        let info = null;
+        const key = this.openKey(path);
+        if (key !== null) {
+            info = key.getInfo();
+            this.closeKey(key);
+        }
+        return info;
+    }
+
+    /**
+     * Exports a key to text in .reg file format ("Windows Registry Editor Version 5.00"), the same way regedit does.
+     * Values are written byte-for-byte: strings and dwords are written as they are, while other types (and strings/dwords with malformed data) are written as hex.
+     * @param {string} path - The registry key path.
+     * @param {object} options - (Optional) An object containing:
+     *                           recursive: Whether to export sub keys as well. If not provided, default value false is used.
+     *                           file: Path of a file to write the exported text to, encoded as UTF-16LE with a byte order mark like regedit does.
+     *                                 If not provided, no file is written.
+     * @return {string} The exported text, whose lines are separated by CRLF. If the operation fails, null is returned.
+     */
+    exportReg(path, { recursive = false, file = null } = {}) {
+        const { rootKey, subKey } = parseKeyPath(path);
+        if (rootKey === null) {
+            if (this.loggingEnabled) {
+                error(`Invalid key "${path}". "${path.split('\\')[0]}" is not a predefined Windows registry root key!`);
+            }
+            return null;
+        }
+
+        // .reg files always refer to root keys by their full names
+        const rootKeyName = Object.keys(RootKey).find(name => name.startsWith('HKEY_') && RootKey[name] === RootKey[rootKey]);
+        const keys = [];
+        if (!this.collectKeysToExport([rootKeyName, ...subKey.split('\\').filter(name => name.length > 0)].join('\\'), recursive, keys)) {
+            return null;
+        }
+
+        const text = formatRegFile(keys);
+        if (file !== null) {
+            try {
+                fs.writeFileSync(file, encodeRegFile(text));
+            } catch (err) {
+                if (this.loggingEnabled) {
+                    error(`Cannot write exported key "${path}" to file "${file}": ${err.message}`);
+                }
+                return null;
+            }
+        }
+
+        return text;
+    }
+
+    /**
+     * Imports .reg file content, the same way regedit does: keys are created, values are set, and "[-KEY]"/"name"=- entries delete keys/values.
+     * Both "Windows Registry Editor Version 5.00" and "REGEDIT4" files are supported. Operations are applied in order, and importing stops at the first failure.
+     * Deleting a key or value that doesn't exist is not a failure.
+     * @param {string|Buffer} content - The .reg file content. A Buffer is decoded based on its byte order mark, or as ANSI if there is none.
+     * @param {object} options - (Optional) An object containing:
+     *                           dryRun: Whether to only parse the content and list the operations without applying them. If not provided, default value false is used.
+     * @return {object} An object containing:
+     *                  success: Whether the content was parsed and all operations were applied (or, for a dry run, parsed).
+     *                  operations: The operations in the content. Each operation is an object as described in parseRegFile() in reg-file.js, plus:
+     *                              applied: Whether the operation was applied. It's always false for a dry run.
+     *                  error: null if successful. Otherwise, an object containing:
+     *                         message: Description of the failure.
+     *                         line: The line number (starting from 1) of the content where the failure happened.
+     *                         column: The column number (starting from 1) of the parse error, or null if an operation failed to be applied.
+     */
+    importReg(content, { dryRun = false } = {}) {
+        let operations = null;
+        try {
+            operations = parseRegFile(Buffer.isBuffer(content) ? decodeRegFile(content) : content).operations.map(operation => ({ ...operation, applied: false }));
+        } catch (err) {
+            if (!(err instanceof SyntaxError)) {
+                throw err;
+            }
+            if (this.loggingEnabled) {
+                error(`Cannot import .reg content: ${err.message}`);
+            }
+            return { success: false, operations: [], error: { message: err.message, line: err.line, column: err.column } };
+        }
+
+        if (!dryRun) {
+            for (const operation of operations) {
+                operation.applied = this.applyRegOperation(operation);
+                if (!operation.applied) {
+                    const message = `Cannot ${operation.operation} "${operation.name !== undefined ? `${operation.path}\\${operation.name}` : operation.path}" defined at line ${operation.line}.`;
+                    if (this.loggingEnabled) {
+                        error(`Cannot import .reg content: ${message}`);
+                    }
+                    return { success: false, operations, error: { message, line: operation.line, column: null } };
+                }
+            }
+        }
+
+        return { success: true, operations, error: null };
+    }
+
+    /**
+     * Opens an offline registry hive file (e.g. NTUSER.DAT or SOFTWARE copied from another machine) for reading, without touching the live registry.
+     * Keys of the hive support the same read operations as RegistryKey, and values are converted the same way as getValue() does.
+     * @param {string|Buffer} source - The path of the hive file, or its content.
+     * @param {object} options - (Optional) An object containing:
+     *                           verifyChecksum: Whether to fail if the checksum of the hive's base block doesn't match. If not provided, default value true is used.
+     *                           logging: Whether to log errors, e.g. when a value is malformed. If not provided, errors are logged unless disableLogging() was called.
+     * @return {RegistryHive} The opened hive. Use its rootKey property or openKey() method to read keys. If the operation fails, null is returned.
+     */
+    openHive(source, options) {
+        try {
+            return new RegistryHive(Buffer.isBuffer(source) ? source : fs.readFileSync(source), { logging: this.loggingEnabled, ...options });
+        } catch (err) {
+            if (this.loggingEnabled) {
+                error(`Cannot open registry hive${Buffer.isBuffer(source) ? '' : ` "${source}"`}: ${err.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Applies a Group Policy Registry.pol (PReg) file, the same way Group Policy does. Values are written through setValue(), so monitors see the changes as usual.
+     * Besides values, the **del.Name, **delvals., **DeleteValues and **DeleteKeys directives delete values and keys, and **soft.Name sets a value only if it
+     * doesn't exist yet. Operations are applied in order, and applying stops at the first failure.
+     * @param {string|Buffer} source - The path of the Registry.pol file, or its content.
+     * @param {object} options - (Optional) An object containing:
+     *                           root: The root key the file applies to, which is HKLM for machine policies and HKCU for user policies. If not provided, default value 'HKLM' is used.
+     *                           dryRun: Whether to only parse the file and list the operations without applying them. If not provided, default value false is used.
+     * @return {object} An object containing:
+     *                  success: Whether the file was parsed and all operations were applied (or, for a dry run, parsed).
+     *                  operations: The operations in the file. Each operation is an object as described in interpretPolEntry() in registry-pol.js, plus:
+     *                              path: The full key path, including the root key.
+     *                              applied: Whether the operation was applied. It's always false for a dry run, for unsupported directives, and for
+     *                                       **SecureKey since backends don't change security descriptors.
+     *                  error: null if successful. Otherwise, an object containing:
+     *                         message: Description of the failure.
+     *                         offset: The byte offset of the parse error, or null if the file cannot be read or an operation failed to be applied.
+     */
+    applyPol(source, { root = 'HKLM', dryRun = false } = {}) {
+        const { operations, error: readError } = this.readPolOperations(source, root);
+        if (readError !== null) {
+            return { success: false, operations: [], error: readError };
+        }
+
+        if (!dryRun) {
+            for (const operation of operations) {
+                if (operation.operation === 'unsupported' || operation.operation === 'secureKey') {
+                    continue;
+                }
+
+                operation.applied = this.applyPolOperation(operation);
+                if (!operation.applied) {
+                    const message = `Cannot ${operation.operation} "${operation.name !== undefined ? `${operation.path}\\${operation.name}` : operation.path}".`;
+                    if (this.loggingEnabled) {
+                        error(`Cannot apply Registry.pol: ${message}`);
+                    }
+                    return { success: false, operations, error: { message, offset: null } };
+                }
+            }
+        }
+
+        return { success: true, operations, error: null };
     }
 
     /**
-     * Closes a key handle.
-     * @param {RegistryKey} key - The key handle to be closed.
-     * @return {boolean} Whether the handle is closed or not. Note: the handle may have already been closed previously, in which case this method still returns true.
+     * Compares a Group Policy Registry.pol (PReg) file with the registry, which helps finding out why a policy isn't taking effect.
+     * @param {string|Buffer} source - The path of the Registry.pol file, or its content.
+     * @param {object} options - (Optional) An object containing:
+     *                           root: The root key the file applies to, which is HKLM for machine policies and HKCU for user policies. If not provided, default value 'HKLM' is used.
+     * @return {object} An object containing:
+     *                  success: Whether the file was parsed.
+     *                  operations: The operations in the file, as described in applyPol(), plus:
+     *                              inSync: Whether the registry is already in the state the operation leads to, or null for unsupported directives, for
+     *                                      **SecureKey, and when the registry cannot be read. For a soft setValue, any existing value is in sync.
+     *                              actual: What the registry currently has, which is:
+     *                                      setValue/deleteValue: The value as { type, data } with raw data, or null if it doesn't exist.
+     *                                      deleteValues: Names of existing values among the ones to be deleted (all values for **delvals.), except the ones
+     *                                                    set by following operations of the file. It's null if values of the key cannot be read.
+     *                                      deleteKeys: Names of existing sub keys among the ones to be deleted.
+     *                                      createKey: Whether the key exists.
+     *                  error: null if successful. Otherwise, an object as described in applyPol().
      */
-    closeKey(key) {
-        return this.closeKeyInternal(key.keyData);
+    diffPol(source, { root = 'HKLM' } = {}) {
+        const { operations, error: readError } = this.readPolOperations(source, root);
+        if (readError !== null) {
+            return { success: false, operations: [], error: readError };
+        }
+
+        operations.forEach((operation, index) => {
+            const keyExists = this.checkKeyExistence(operation.path);
+            switch (operation.operation) {
+                case 'setValue':
+                    operation.actual = keyExists ? this.getExistingRawValue(operation.path, operation.name) : null;
+                    operation.inSync = operation.actual !== null &&
+                        (operation.soft || (operation.actual.type === operation.type && operation.actual.data.equals(operation.data)));
+                    break;
+
+                case 'createKey':
+                    operation.actual = keyExists;
+                    operation.inSync = keyExists;
+                    break;
+
+                case 'deleteValue':
+                    operation.actual = keyExists ? this.getExistingRawValue(operation.path, operation.name) : null;
+                    operation.inSync = operation.actual === null;
+                    break;
+
+                case 'deleteValues': {
+                    const names = keyExists ? this.getValueNames(operation.path) : [];
+                    if (names === null) {
+                        operation.actual = null;
+                        operation.inSync = null;
+                        break;
+                    }
+
+                    // Values set after the directive are expected to exist
+                    const setNames = operations.slice(index + 1)
+                        .filter(other => other.operation === 'setValue' && normalizeKeyPath(other.path) === normalizeKeyPath(operation.path))
+                        .map(other => other.name.toUpperCase());
+                    const deletedNames = operation.names?.map(name => name.toUpperCase()) ?? null;
+                    operation.actual = names.filter(name => !setNames.includes(name.toUpperCase()) && (deletedNames === null || deletedNames.includes(name.toUpperCase())));
+                    operation.inSync = operation.actual.length === 0;
+                    break;
+                }
+
+                case 'deleteKeys':
+                    operation.actual = keyExists ? operation.subKeys.filter(subKey => this.checkKeyExistence(`${operation.path}\\${subKey}`)) : [];
+                    operation.inSync = operation.actual.length === 0;
+                    break;
+
+                default:
+                    operation.actual = null;
+                    operation.inSync = null;
+                    break;
+            }
+        });
+
+        return { success: true, operations, error: null };
     }
 
-    /** Private method: closes a key using its internal data structure. */
-    closeKeyInternal(keyData) {
-        if (keyData.handle !== null) {
-            const result = RegistryApi.RegCloseKey(keyData.handle);
-            if (result !== 0) {
-                printWindowsError(`Cannot close key "${keyData.path}}"!`, result);
-                return false;
-            } else {
-                keyData.handle = null;
+    /** Private method: reads a Registry.pol file and interprets its entries. */
+    readPolOperations(source, root) {
+        try {
+            const entries = parsePolFile(Buffer.isBuffer(source) ? source : fs.readFileSync(source));
+            const operations = entries.map(entry => ({ ...interpretPolEntry(entry), path: `${root}\\${entry.key}`, applied: false }));
+            return { operations, error: null };
+        } catch (err) {
+            if (this.loggingEnabled) {
+                error(`Cannot read Registry.pol${Buffer.isBuffer(source) ? '' : ` "${source}"`}: ${err.message}`);
             }
-        } else if (this.loggingEnabled) {
-            warning(`Key "${keyData.path}}" was already closed.`);
+            return { operations: null, error: { message: err.message, offset: err.offset === undefined ? null : err.offset } };
         }
+    }
 
-        return true;
+    /** Private method: applies an operation interpreted from a Registry.pol file. */
+    applyPolOperation(operation) {
+        switch (operation.operation) {
+            case 'setValue': {
+                if (operation.soft && this.getExistingRawValue(operation.path, operation.name) !== null) {
+                    return true;
+                }
+
+                // Go through setValue() when the data converts back to exactly the same bytes, and fall back to the raw data otherwise (e.g. a malformed string)
+                let value = null;
+                try {
+                    value = decodeValue(operation.type, operation.data, { strictStrings: true });
+                    if (!encodeValue(operation.type, value).equals(operation.data)) {
+                        value = null;
+                    }
+                } catch {
+                    value = null;
+                }
+                return (value === null) ?
+                    this.setRawValue(operation.path, operation.name, operation.type, operation.data) :
+                    this.setValue(operation.path, operation.name, value, operation.type);
+            }
+
+            case 'createKey':
+            case 'deleteValue':
+                return this.applyRegOperation(operation);
+
+            case 'deleteValues': {
+                if (!this.checkKeyExistence(operation.path)) {
+                    return true;
+                }
+                if (operation.names !== null) {
+                    return operation.names.every(name => this.applyRegOperation({ operation: 'deleteValue', path: operation.path, name }));
+                }
+                const names = this.getValueNames(operation.path);
+                return names !== null && names.every(name => this.deleteValue(operation.path, name));
+            }
+
+            case 'deleteKeys':
+                return operation.subKeys.every(subKey => this.applyRegOperation({ operation: 'deleteKey', path: `${operation.path}\\${subKey}` }));
+        }
+
+        return false;
     }
 
-    /**
-     * Retrieves the data for the specified key path and value name.
-     * @param {string} path - The registry key path.
-     * @param {string} name - The name of the value to be retrieved.
-     * @return {any} Retrieved value, which is in a type that depends on the Value Type stored in the registry:
-     *               REG_DWORD/REG_QWORD:  integer
-     *               REG_SZ/REG_EXPAND_SZ: string
-     *               REG_MULTI_SZ:         string[]
-     *               REG_BINARY:           Buffer
-     */
-    getValue(path, name) {
-        let value = null;
+    /** Private method: retrieves the raw data of a value without logging an error if it doesn't exist. */
+    getExistingRawValue(path, name) {
+        let rawValue = null;
         const key = this.openKey(path);
         if (key !== null) {
-            value = key.getValue(name);
+            if (key.checkValueExistence(name)) {
+                rawValue = key.getRawValue(name);
+            }
             this.closeKey(key);
         }
-        return value;
+        return rawValue;
     }
 
-    /**
-     * Sets the data (and optionally type) for the specified key path and value name.
-     * @param {string} path - The registry key path.
-     * @param {string} name - The name of the value to be set.
-     * @param {any} value - The data of the value to be set, which needs to be in a type that corresponds to the type param (if provided), or the Value Type stored in the registry:
-     *                      REG_DWORD/REG_QWORD:  integer
-     *                      REG_SZ/REG_EXPAND_SZ: string
-     *                      REG_MULTI_SZ:         string[]
-     *                      REG_BINARY:           Buffer
-     * @param {RegistryValueType} type - (Optional) The type of the value to be set.
-     *                                   If provided, it determines the type to be stored in the registry, and also dictates the type of the value param.
-     *                                   If not provided, the the Value Type stored in the registry is used. In this case the value has to already exist in the registry.
-     * @return {boolean} Whether the operation succeeded.
-     */
-    setValue(path, name, value, type) {
-        let success = false;
-        const key = this.openKey(path, true, false);
-        if (key !== null) {
-            success = key.setValue(name, value, type);
-            this.closeKey(key);
+    /** Private method: applies an operation parsed from .reg content. */
+    applyRegOperation(operation) {
+        switch (operation.operation) {
+            case 'createKey': {
+                const createdKey = this.openKey(operation.path, true, false);
+                if (createdKey === null) {
+                    return false;
+                }
+                this.closeKey(createdKey);
+                return true;
+            }
+
+            case 'deleteKey':
+                return !this.checkKeyExistence(operation.path) || this.deleteTree(operation.path, { recursive: true });
+
+            case 'setValue':
+                return this.setRawValue(operation.path, operation.name, operation.type, operation.data);
+
+            case 'deleteValue':
+                if (!this.checkKeyExistence(operation.path)) {
+                    return true;
+                }
+                return !this.checkValueExistence(operation.path, operation.name) || this.deleteValue(operation.path, operation.name);
         }
-        return success;
+
+        return false;
     }
 
-    /**
-     * Retrieves the type of the data for the specified key path and value name.
-     * @param {string} path - The registry key path.
-     * @param {string} name - The name of the value.
-     * @return {RegistryValueType} Retrieved value data type.
-     */
-    getValueType(path, name) {
-        let valueType = RegistryValueType.REG_NONE;
-        const key = this.openKey(path);
-        if (key !== null) {
-            valueType = key.getValueType(name);
-            this.closeKey(key);
+    /** Private method: checks whether a key exists without logging an error if it doesn't. */
+    checkKeyExistence(path) {
+        const { rootKey, subKey } = parseKeyPath(path);
+        if (rootKey === null) {
+            return false;
         }
-        return valueType;
+
+        const { result, handle } = this.backend.openKey(RootKey[rootKey], subKey, RegistryKeyAccessRight.KEY_READ);
+        if (result === 0) {
+            this.backend.closeKey(handle);
+        }
+        return result === 0;
+    }
+
+    /** Private method: finds the path of the nearest ancestor of a key that exists. Returns null if the path doesn't start with a predefined root key. */
+    findExistingAncestorPath(path) {
+        if (parseKeyPath(path).rootKey === null) {
+            return null;
+        }
+
+        const pathParts = path.split('\\');
+        do {
+            pathParts.pop();
+        } while (pathParts.length > 1 && !this.checkKeyExistence(pathParts.join('\\')));
+        return pathParts.join('\\');
     }
 
     /**
-     * Checks whether a value exists with the specified key path and value name.
+     * Private method: waits for a key to be created, by monitoring its nearest existing ancestor recursively, which moves down as missing keys appear.
+     * It's used by monitored keys that don't exist yet (with waitIfMissing option) or were deleted, which is what monitor() and waitForValue() rely on as well.
      * @param {string} path - The registry key path.
-     * @param {string} name - The name of the value to be checked.
-     * @return {boolean} Whether the specified value exists
+     * @param {function} callback - The callback invoked once, after waiting is stopped. It receives null when the key exists (which may be right away),
+     *                              or an Error if no ancestor can be monitored.
+     * @return {KeyCreationWaiter} A waiter that can be stopped before the key is created.
      */
-    checkValueExistence(path, name) {
-        let exists = false;
+    waitForKeyCreation(path, callback) {
+        const keyWaiter = new KeyCreationWaiter(path, callback);
+        keyWaiter.check();
+        return keyWaiter;
+    }
+
+    /** Private method: collects the raw values of a key and, if recursive, its sub keys in the order they are exported. */
+    collectKeysToExport(path, recursive, keys) {
         const key = this.openKey(path);
-        if (key !== null) {
-            exists = key.checkValueExistence(name);
-            this.closeKey(key);
+        if (key === null) {
+            return false;
         }
-        return exists;
+
+        const values = key.enumValues('export values of');
+        const subKeyNames = recursive ? key.getSubKeyNames() : [];
+        this.closeKey(key);
+        if (values === null || subKeyNames === null) {
+            return false;
+        }
+
+        keys.push({ path, values });
+        return subKeyNames.every(name => this.collectKeysToExport(`${path}\\${name}`, recursive, keys));
     }
 
     /**
-     * Starts monitoring a key for any value changes under the key. Sub-keys/sub-tree changes are not supported.
+     * Starts monitoring a key for changes of its values, or if recursive, for changes anywhere in its sub tree, including sub keys being created or deleted.
+     * Options narrow the changes down to categories (notifyFilter), pass the differences to the callback (diff), and wait for a key that doesn't exist yet
+     * (waitIfMissing). When the monitored key is deleted, the callback is invoked, and the key is monitored again once it's re-created, or right away
+     * if createIfNeeded is set. See MonitoredRegistryKey.onKeyDeleted().
      * Note: make sure to call stopMonitor() when this key is no longer needed to be monitored. Otherwise the finalizer will complain (though, the finalizer will still properly stop the monitor).
      * @param {string} path - The registry key path.
      * @param {boolean} recursive - Whether to monitor sub-keys recursively.
      * @param {boolean} createIfNeeded - Whether to create the key if it doesn't exist. Note that it requires appropriate privileges to be able to create key(s).
-     * @param {function} callback - The callback when change happens. It will receive MonitoredRegistryKey instance as parameter.
+     *                                   A deleted key is re-created as long as a monitor that set it is running. See MonitoredRegistryKey.onKeyDeleted().
+     * @param {function} callback - The callback when change happens. It will receive MonitoredRegistryKey instance, the differences (null unless diff option is set)
+     *                              and the categories of the change (see notifyFilter option) as parameters.
+     *                              The differences since the previous notification are an object containing:
+     *                              values: An object containing:
+     *                                      added: Values that were created. Each value is an object containing path (of the key), name, type and data.
+     *                                      removed: Values that were deleted, in the same form as added.
+     *                                      modified: Values whose type or data changed. Each value is an object containing path, name, oldType, oldData, newType and newData.
+     *                              subKeys: An object containing:
+     *                                       created: Paths of keys that were created, including the monitored key itself when it's re-created.
+     *                                       deleted: Paths of keys that were deleted, including the monitored key itself when it's deleted.
+     *                              Values of created and deleted keys are listed as added and removed respectively. Data is converted the same way as getValue() does.
+     * @param {object} options - (Optional) An object containing:
+     *                           diff: Whether to pass the differences to the callback. The library then keeps a snapshot of the key (and, if recursive, its sub tree),
+     *                                 which is shared by all monitors of the same path. If not provided, default value false is used.
+     *                           notifyFilter: Categories of changes to be notified of, as an array of Registry.NotifyCategory: 'name' (sub key created or deleted),
+     *                                         'attributes', 'lastSet' (value changed) and 'security'. Monitors of the same path share the handle, which is registered
+     *                                         for all their categories. The callback is then only invoked for changes of its categories (and when the key is deleted
+     *                                         or created). If the handle is registered for a single category, every change is of that category. Otherwise name and
+     *                                         last-set changes are found out from the state of the key (and the differences, if any monitor of the path requests them),
+     *                                         while attribute and security changes leave no trace, so when a change cannot be attributed, the categories it may belong
+     *                                         to are passed instead. If not provided, the callback is invoked for value changes, plus sub key changes if recursive.
+     *                           waitIfMissing: Whether to wait for the key if it doesn't exist, without creating anything. The monitor is then waitingForCreation,
+     *                                          and the first notification is delivered once the key exists, with the differences listing the key as created
+     *                                          and all its values (including the ones written along with the key) as added. Ignored if createIfNeeded is set.
+     *                                          If not provided, default value false is used.
+     *                           Other options are used to convert the data of values in the differences. See getValue().
      * @return {MonitorToken} A token that can used later on to stop monitoring. If the operation fails, null is returned.
      */
-     monitorKey(path, recursive, createIfNeeded, callback) {
+     monitorKey(path, recursive, createIfNeeded, callback, options) {
+        if (options?.notifyFilter !== undefined) {
+            const notifyFilter = notifyCategoriesToFilter(options.notifyFilter);
+            if (notifyFilter === null) {
+                if (this.loggingEnabled) {
+                    error(`Cannot monitor key "${path}"! Notify filter has to be a non-empty array of ${Object.values(NotifyCategory).join(', ')}.`);
+                }
+                return null;
+            }
+            options = { ...options, notifyFilter };
+        }
+
         // Check if the key's path is already monitored
         let key = recursive ? this.monitoredRecursiveKeys[path] : this.monitoredKeys[path];
         if (key) {
-            if (key.isValid) {
-                key.addCallback(callback);
+            if (key.isValid || key.isWaiting) {
+                key.addCallback(callback, options, createIfNeeded);
             } else {
                 if (this.loggingEnabled) {
                     warning(`Currently monitored key "${path}" is no longer valid. Creating a new one to replace.`);
@@ -1114,8 +2695,8 @@ class Registry {
         }
 
         if (!key) {
-            key = new MonitoredRegistryKey(path, recursive, createIfNeeded, callback);
-            if (key.isValid) {
+            key = new MonitoredRegistryKey(path, recursive, createIfNeeded, callback, options);
+            if (key.isValid || key.isWaiting) {
                 // Add this key's path in map
                 if (recursive) {
                     this.monitoredRecursiveKeys[path] = key;
@@ -1126,30 +2707,103 @@ class Registry {
                 // And also update the handle array used in WaitForMultipleObjects call
                 this.updateMonitoredKeysArray();
             } else {
+                if (!createIfNeeded && this.loggingEnabled && !this.checkKeyExistence(path)) {
+                    warning(`Cannot monitor key "${path}" as it doesn't exist. Set createIfNeeded to create it, or waitIfMissing to wait for it.`);
+                }
                 key.stop();
                 key = null;
             }
         }
 
         if (key) {
-            this.startMonitorTimer();
+            this.startMonitorEngine();
             return new MonitorToken(path, recursive, callback);
         }
 
         return null;
      }
 
+    /**
+     * Creates a monitor that emits events when a key changes, as an alternative to the callback of monitorKey().
+     * Monitoring starts when the first listener of change, valueChanged, keyCreated, keyDeleted or keyRecreated event is added, and stops when the last one is removed.
+     * @param {string} path - The registry key path.
+     * @param {object} options - (Optional) An object containing:
+     *                           recursive: Whether to monitor sub-keys recursively. If not provided, default value false is used.
+     *                           createIfNeeded: Whether to create the key if it doesn't exist. If not provided, default value false is used.
+     *                           waitIfMissing: Whether to wait for the key if it doesn't exist, without creating anything. See monitorKey(). keyCreated is emitted
+     *                                          once the key exists, after change and valueChanged for the values written along with the key. If the key is deleted
+     *                                          later, it's waited for the same way, and keyRecreated is emitted when it comes back. Ignored if createIfNeeded is set.
+     *                                          If not provided, default value false is used.
+     *                           notifyFilter: Categories of changes to be notified of. See monitorKey().
+     *                           Other options are used to convert the data of values in events. See getValue().
+     * @return {RegistryMonitor} The monitor, which is an EventEmitter. See RegistryMonitor for the events.
+     */
+    monitor(path, options = {}) {
+        return new RegistryMonitor(path, options);
+    }
+
+    /**
+     * Watches a key as an async iterable of changes, e.g. for await (const diff of registry.watch(path)) { ... }.
+     * Monitoring starts right away, and stops when the loop exits (including break), the signal is aborted or return() is called.
+     * @param {string} path - The registry key path.
+     * @param {object} options - (Optional) An object containing:
+     *                           recursive: Whether to monitor sub-keys recursively. If not provided, default value false is used.
+     *                           createIfNeeded: Whether to create the key if it doesn't exist. If not provided, default value false is used.
+     *                           signal: An AbortSignal that stops watching. The iteration then throws the abort reason, and buffered changes are discarded.
+     *                           bufferSize: Maximum number of changes buffered until they are consumed. If not provided, default value 100 is used.
+     *                           overflow: What to do when the buffer is full, one of Registry.WatchOverflowPolicy:
+     *                                     'dropOldest' (default): Discards the oldest buffered change. See RegistryWatcher.droppedCount.
+     *                                     'coalesce': Folds the new change into the newest buffered one, keeping the net change of each value.
+     *                                     'error': Stops watching, and throws an Error after the buffered changes are consumed.
+     *                           Other options are used to convert the data of values. See getValue().
+     * @return {RegistryWatcher} The watcher, whose changes are differences as described in monitorKey(). The iteration throws if the key cannot be monitored.
+     */
+    watch(path, options = {}) {
+        return new RegistryWatcher(path, options);
+    }
+
+    /**
+     * Starts monitoring all keys that match a path pattern, e.g. "HKCU\Software\Vendor\*\Settings". Keys are attached and detached as they appear and disappear.
+     * Note: make sure to call stop() of the returned monitor when it is no longer needed.
+     * @param {string} pattern - The path pattern. In each segment after the root key, * matches any characters and ? matches a single character, case-insensitively.
+     *                           The segments before the first wildcard form a fixed prefix, which has to exist when monitoring starts.
+     * @param {function} callback - The callback when a matching key is attached, detached or changed. It will receive the MonitoredRegistryKey instance (null when detached),
+     *                              and an object containing:
+     *                              event: 'attached' when a key starts matching (including keys that match when monitoring starts), 'detached' when it no longer exists,
+     *                                     or 'changed' when a matching key changes. A deleted key is reported as 'changed' (listing the deletion in diff), followed by 'detached'.
+     *                              path: The concrete path of the matching key.
+     *                              captures: Names of the segments matched by the wildcard segments of the pattern, in order.
+     *                              diff: The differences as described in monitorKey() for 'changed' event, or null otherwise.
+     * @param {object} options - (Optional) An object containing:
+     *                           recursive: Whether to monitor sub-keys of matching keys recursively. If not provided, default value false is used.
+     *                           Other options are used to convert the data of values in the differences. See getValue().
+     * @return {RegistryPatternMonitor} The monitor. If the operation fails, null is returned.
+     */
+    monitorPattern(pattern, callback, options = {}) {
+        const patternMonitor = new RegistryPatternMonitor(pattern, callback, options);
+        return patternMonitor.start() ? patternMonitor : null;
+    }
+
     /**
      * Starts monitoring a value for any value changes that make it different than compare value.
      * Note: make sure to call stopMonitor() when this key is no longer needed to be monitored. Otherwise the finalizer will complain (though, the finalizer will still properly stop the monitor).
      * @param {string} path - The registry key path.
      * @param {string} name - The name of the value to be set.
      * @param {string} compareValue - The value to be compared with. If null is passed in, any value change would trigger the callback.
+     *                                It can also be a condition (see Registry.ValueCondition), a predicate function or a RegExp, in which case the callback is
+     *                                only invoked when the condition starts or stops holding. See monitorValueCondition().
      * @param {boolean} createIfNeeded - Whether to create the key if it doesn't exist. Note that it requires appropriate privileges to be able to create key(s).
      * @param {function} callback - The callback when change happens.  It will receive the monitored key itself, plus current and compare value as parameter.
+     * @param {object} options - (Optional) Options used to convert the current value before it's compared. See getValue().
+     *                           E.g. pass { expand: true } to compare REG_EXPAND_SZ values after expanding environment-variable references.
      * @return {MonitorToken} A token that can used later on to stop monitoring. If the operation fails, null is returned.
      */
-    monitorValue(path, name, compareValue, createIfNeeded, callback) {
+    monitorValue(path, name, compareValue, createIfNeeded, callback, options) {
+        const condition = ValueCondition.from(compareValue);
+        if (condition !== null) {
+            return this.monitorValueCondition(path, name, condition, createIfNeeded, callback, options);
+        }
+
         const getValueType = ((monitorToken, monitoredKey) => {
             // Get value type
             monitorToken.valueType = monitoredKey.getValueType(name);
@@ -1158,21 +2812,15 @@ class Registry {
                 this.stopMonitor(monitorToken);
                 monitorToken = null;
                 return false;
-            } else if (monitorToken.valueType !== RegistryValueType.REG_DWORD &&
-                       monitorToken.valueType !== RegistryValueType.REG_QWORD &&
-                       monitorToken.valueType !== RegistryValueType.REG_SZ &&
-                       monitorToken.valueType !== RegistryValueType.REG_EXPAND_SZ &&
-                       monitorToken.valueType !== RegistryValueType.REG_MULTI_SZ &&
-                       monitorToken.valueType !== RegistryValueType.REG_BINARY) {
-                throw new Error(`Value "${name}" of key "${path}" with type ${monitorToken.valueType} is not supported!`);
             }
 
             return true;
         });
 
         const monitorToken = this.monitorKey(path, false, createIfNeeded, (monitoredKey) => {
+            // A deleted key has no values, which is not an error
             let valueChanged = false;
-            const currentValue = monitoredKey.getValue(name);
+            const currentValue = (monitoredKey.state === MonitorState.Active && monitoredKey.checkValueExistence(name)) ? monitoredKey.getValue(name, options) : null;
             if (!monitorToken.valueExists) {
                 if (currentValue !== null) {
                     monitorToken.valueExists = true;
@@ -1203,15 +2851,15 @@ class Registry {
             monitorToken.valueExists = monitoredKey.checkValueExistence(name);
             if (monitorToken.valueExists && getValueType(monitorToken, monitoredKey)) {
                 if (monitorToken.trackCurrentValue) {
-                    compareValue = monitoredKey.getValue(name);
+                    compareValue = monitoredKey.getValue(name, options);
                     if (compareValue === null) {
                         // Cannot read value from name
                         this.stopMonitor(monitorToken);
-                        monitorToken = null;
+                        return null;
                     }
                 } else {
                     // Perform initial check to make sure current value is the same as compareValue
-                    const currentValue = monitoredKey.getValue(name);
+                    const currentValue = monitoredKey.getValue(name, options);
                     if (!this.checkValue(currentValue, compareValue, monitorToken.valueType)) {
                         callback(monitoredKey, currentValue, compareValue);
                     }
@@ -1222,6 +2870,194 @@ class Registry {
         return monitorToken;
      }
 
+    /**
+     * Starts monitoring multiple values of a key with a single subscription. All values are read once per notification, using the snapshot described in monitorKey().
+     * Note: make sure to call stopMonitor() when this key is no longer needed to be monitored. Otherwise the finalizer will complain (though, the finalizer will still properly stop the monitor).
+     * @param {string} path - The registry key path.
+     * @param {string[]|string} names - Names of the values to monitor (case-insensitive), or '*' to monitor all values of the key.
+     * @param {function} callback - The callback when any of the values changes. It will receive the monitored key itself, and a Map of the changed values only.
+     *                              The Map is keyed by value name, and each entry is an object containing:
+     *                              name: The value name.
+     *                              change: 'created', 'deleted' or 'modified'.
+     *                              oldType, oldData: Type and data before the change, or null if the value was created.
+     *                              newType, newData: Type and data after the change, or null if the value was deleted.
+     * @param {object} options - (Optional) An object containing:
+     *                           createIfNeeded: Whether to create the key if it doesn't exist. If not provided, default value false is used.
+     *                           Other options are used to convert the data of values. See getValue().
+     * @return {MonitorToken} A token that can used later on to stop monitoring. If the operation fails, null is returned.
+     */
+    monitorValues(path, names, callback, { createIfNeeded = false, ...options } = {}) {
+        if (names !== '*' && !(Array.isArray(names) && names.every(name => typeof name === 'string'))) {
+            if (this.loggingEnabled) {
+                error(`Cannot monitor values of key "${path}"! Names have to be an array of strings or '*'.`);
+            }
+            return null;
+        }
+
+        const upperCaseNames = (names === '*') ? null : new Set(names.map(name => name.toUpperCase()));
+        const isMonitored = (name => upperCaseNames === null || upperCaseNames.has(name.toUpperCase()));
+        return this.monitorKey(path, false, createIfNeeded, (monitoredKey, diff) => {
+            const changes = new Map();
+            diff.values.removed.filter(value => isMonitored(value.name)).forEach(value => changes.set(value.name.toUpperCase(), {
+                name: value.name,
+                change: 'deleted',
+                oldType: value.type,
+                oldData: value.data,
+                newType: null,
+                newData: null,
+            }));
+            diff.values.added.filter(value => isMonitored(value.name)).forEach(value => {
+                // A value is both removed and added when the key is deleted and re-created in between notifications
+                const removedValue = changes.get(value.name.toUpperCase());
+                if (removedValue === undefined) {
+                    changes.set(value.name.toUpperCase(), { name: value.name, change: 'created', oldType: null, oldData: null, newType: value.type, newData: value.data });
+                } else if (removedValue.oldType === value.type && isSameValue(removedValue.oldData, value.data)) {
+                    changes.delete(value.name.toUpperCase());
+                } else {
+                    changes.set(value.name.toUpperCase(), { ...removedValue, change: 'modified', newType: value.type, newData: value.data });
+                }
+            });
+            diff.values.modified.filter(value => isMonitored(value.name)).forEach(value => changes.set(value.name.toUpperCase(), {
+                name: value.name,
+                change: 'modified',
+                oldType: value.oldType,
+                oldData: value.oldData,
+                newType: value.newType,
+                newData: value.newData,
+            }));
+
+            if (changes.size > 0) {
+                callback(monitoredKey, new Map([...changes.values()].map(value => [value.name, value])));
+            }
+        }, { ...options, diff: true });
+    }
+
+    /**
+     * Private method: monitors a value for transitions of a condition, as described in monitorValue().
+     * The callback receives the monitored key, current value (null if the value doesn't exist), the condition, and an object containing:
+     * transition: 'enter' when the condition starts holding, 'exit' when it stops holding (including when the value is deleted),
+     *             or 'error' when it cannot be evaluated, e.g. the value was re-created with a type the condition doesn't apply to.
+     *             Errors are reported once until the condition can be evaluated again, and the condition is considered not holding meanwhile.
+     * type: The type of the current value, or null if the value doesn't exist.
+     * error: The error for 'error' transition, or null otherwise.
+     * 'enter' is also reported initially if the condition already holds. Whether it currently holds is available as conditionHolds of the returned token.
+     */
+    monitorValueCondition(path, name, condition, createIfNeeded, callback, options) {
+        let conditionFailed = false;
+        const evaluate = (monitorToken, monitoredKey) => {
+            const rawValue = (monitoredKey.isValid && monitoredKey.checkValueExistence(name)) ? monitoredKey.getRawValue(name) : null;
+            const currentValue = (rawValue === null) ? null : monitoredKey.decodeRawValue(name, rawValue.type, rawValue.data, options);
+            const type = (rawValue === null) ? null : rawValue.type;
+
+            let conditionHolds = false;
+            if (currentValue !== null) {
+                try {
+                    conditionHolds = condition.evaluate(currentValue, type);
+                } catch (err) {
+                    monitorToken.conditionHolds = false;
+                    if (!conditionFailed) {
+                        conditionFailed = true;
+                        callback(monitoredKey, currentValue, condition, { transition: 'error', type, error: err });
+                    }
+                    return;
+                }
+            }
+
+            conditionFailed = false;
+            if (conditionHolds !== monitorToken.conditionHolds) {
+                monitorToken.conditionHolds = conditionHolds;
+                callback(monitoredKey, currentValue, condition, { transition: conditionHolds ? 'enter' : 'exit', type, error: null });
+            }
+        };
+
+        const monitorToken = this.monitorKey(path, false, createIfNeeded, (monitoredKey) => evaluate(monitorToken, monitoredKey));
+        if (monitorToken !== null) {
+            monitorToken.conditionHolds = false;
+            evaluate(monitorToken, this.monitoredKeys[path]);
+        }
+
+        return monitorToken;
+    }
+
+    /**
+     * Waits until a value satisfies a predicate. The current value is checked first, and then again whenever the key changes.
+     * If the key doesn't exist yet, it's waited for with waitIfMissing option of monitorKey(). Nothing is created while waiting.
+     * @param {string} path - The registry key path.
+     * @param {string} name - The name of the value to wait for.
+     * @param {function} predicate - A function that receives the current value and its type, and returns whether waiting is over.
+     *                               It's only called when the value exists. If it throws, the returned promise is rejected with the error.
+     * @param {object} options - (Optional) An object containing:
+     *                           timeout: Time to wait in milliseconds. If not provided, it waits without time limit.
+     *                           signal: An AbortSignal that stops waiting. The returned promise is then rejected with the abort reason.
+     *                           Other options are used to convert the value before it's passed to predicate. See getValue().
+     * @return {Promise<any>} A promise of the value that satisfies predicate. It's rejected on timeout, on abort, or if the key cannot be monitored.
+     */
+    waitForValue(path, name, predicate, { timeout = null, signal = null, ...options } = {}) {
+        return new Promise((resolve, reject) => {
+            if (typeof predicate !== 'function') {
+                reject(new TypeError('Predicate has to be a function!'));
+                return;
+            } else if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            let monitorToken = null;
+            let timer = null;
+            let finished = false;
+            const onAbort = () => finish(signal.reason);
+            const finish = (err, value) => {
+                finished = true;
+                if (monitorToken !== null) {
+                    this.stopMonitor(monitorToken);
+                    monitorToken = null;
+                }
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(value);
+                }
+            };
+            const check = (monitoredKey) => {
+                if (finished) {
+                    return;
+                }
+
+                // A key that is missing or deleted has no values
+                const rawValue = (monitoredKey.state === MonitorState.Active && monitoredKey.checkValueExistence(name)) ? monitoredKey.getRawValue(name) : null;
+                const value = (rawValue === null) ? null : monitoredKey.decodeRawValue(name, rawValue.type, rawValue.data, options);
+                if (value !== null) {
+                    try {
+                        if (predicate(value, rawValue.type)) {
+                            finish(null, value);
+                        }
+                    } catch (err) {
+                        finish(err);
+                    }
+                }
+            };
+
+            if (timeout !== null) {
+                timer = setTimeout(() => finish(new Error(`Timed out after ${timeout} ms waiting for value "${name}" of key "${path}"!`)), timeout);
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            // The key is monitored before the value is read so no change is missed. It keeps being monitored after it's deleted
+            const token = this.monitorKey(path, false, false, check, { waitIfMissing: true });
+            if (token === null) {
+                finish(new Error(`Cannot monitor key "${path}" to wait for value "${name}"!`));
+            } else if (finished) {
+                // Key was created and satisfied predicate while monitoring started
+                this.stopMonitor(token);
+            } else {
+                monitorToken = token;
+                check(this.monitoredKeys[path]);
+            }
+        });
+    }
+
     /**
      * Stops monitoring a key with given token.
      * @param {MonitorToken} monitorToken - The monitor token.
@@ -1254,14 +3090,17 @@ class Registry {
     /** Private method: stops monitoring a key using its internal data structure. */
     stopMonitoredKeyInternal(monitorData) {
         if (monitorData.waitHandle !== null) {
-            const result = EventApi.CloseHandle(monitorData.waitHandle);
-            if (result === 0) {
+            if (!this.backend.closeHandle(monitorData.waitHandle)) {
                 if (this.loggingEnabled) {
-                    error(`Cannot close wait handle for monitored key "${this.keyData.path}"`);
+                    error(`Cannot close wait handle for monitored key "${monitorData.path}"`);
                 }
                 return false;
             } else {
                 monitorData.waitHandle = null;
+                if (monitorData.keyWaiter !== null) {
+                    monitorData.keyWaiter.stop();
+                    monitorData.keyWaiter = null;
+                }
 
                 // Remove it from monitored keys map.
                 if (monitorData.recursive) {
@@ -1272,12 +3111,32 @@ class Registry {
                 this.updateMonitoredKeysArray();
             }
         } else if (this.loggingEnabled) {
-            warning(`MonitoredKey "${keyData.path}}" was already stopped.`);
+            warning(`MonitoredKey "${monitorData.path}" was already stopped.`);
         }
 
         return true;
     }
 
+    /** Private method: starts the monitor engine, if it's not running yet. */
+    startMonitorEngine() {
+        if (this.engine === MonitorEngine.Polling) {
+            this.startMonitorTimer();
+        } else if (this.waitWorker === null && this.waitShards.length > 0) {
+            const waitWorker = this.backend.createWaitWorker((err, waitHandles) => this.onWaitWorkerSignaled(waitWorker, err, waitHandles));
+            this.waitWorker = waitWorker;
+            this.waitWorker.update(this.waitShards.map(shard => shard.waitHandles));
+        }
+    }
+
+    /** Private method: stops the monitor engine. */
+    stopMonitorEngine() {
+        this.stopMonitorTimer();
+        if (this.waitWorker !== null) {
+            this.waitWorker.stop();
+            this.waitWorker = null;
+        }
+    }
+
     /** Private method: starts monitor timer. */
     startMonitorTimer() {
         if (this.checkTimer === null) {
@@ -1293,15 +3152,27 @@ class Registry {
         }
     }
 
-    /** Private method: checks to see if any monitored key notified. */
+    /**
+     * Private method: checks to see if any monitored key notified. Used by the polling engine.
+     * Wait handles are checked shard by shard, since WaitForMultipleObjects accepts at most MaximumWaitObjects handles. Signaled keys are collected from
+     * all shards before any callback runs, and each shard is checked at most as many times as it has keys, so keys that keep signaling cannot starve
+     * the others. The first shard to check rotates as well.
+     */
     monitorCheck() {
-        while (true) {
-             const result = EventApi.WaitForMultipleObjects(
-                this.monitoredKeysArray.length,
-                this.monitoredKeyHandlesBuffer,
-                0, // Wait for any
-                0 // Do not wait
-            );
+        const shardCount = this.waitShards.length;
+        const triggeredKeys = new Set();
+        for (let i = 0; i < shardCount; ++i) {
+            this.collectTriggeredKeys(this.waitShards[(this.nextWaitShardIndex + i) % shardCount], triggeredKeys);
+        }
+        this.nextWaitShardIndex = shardCount > 0 ? (this.nextWaitShardIndex + 1) % shardCount : 0;
+
+        this.triggerMonitoredKeys(triggeredKeys);
+    }
+
+    /** Private method: adds keys of a shard whose wait handles are signaled to a set, without waiting. */
+    collectTriggeredKeys(shard, triggeredKeys) {
+        for (let i = 0; i < shard.keys.length; ++i) {
+            const result = this.backend.waitForMultipleObjects(shard.handles, 0); // Do not wait
 
             if (result === WaitForMultipleObjectsResult.WAIT_FAILED) {
                 if (this.loggingEnabled) {
@@ -1315,34 +3186,119 @@ class Registry {
                     error('monitorCheck: WaitForMultipleObjects reported that handle(s) were abandoned, which should not happen!');
                 }
                 break;
-            } else {
-                // A monitored key has signaled. Trigger its callback and continue wait in case there are other keys that have signaled as well
-                const monitoredKey = this.monitoredKeysArray[result - WaitForMultipleObjectsResult.WAIT_OBJECT_0];
+            } else if (result > WaitForMultipleObjectsResult.WAIT_OBJECT_0) {
+                // A monitored key has signaled (the first handle is the control event of the shard). Continue wait in case there are other keys that have signaled as well
+                triggeredKeys.add(shard.keys[result - WaitForMultipleObjectsResult.WAIT_OBJECT_0 - 1]);
+            }
+        }
+    }
+
+    /** Private method: triggers callbacks of monitored keys. */
+    triggerMonitoredKeys(triggeredKeys) {
+        // Callbacks may stop monitoring other keys, which closes their wait handles
+        triggeredKeys.forEach(monitoredKey => {
+            if (monitoredKey.monitorData.waitHandle !== null) {
                 monitoredKey.onMonitorTriggered();
             }
+        });
+    }
+
+    /** Private method: triggers callbacks of monitored keys whose wait handles are signaled. Used by the blocking engine. */
+    onWaitWorkerSignaled(waitWorker, err, waitHandles) {
+        if (waitWorker !== this.waitWorker) {
+            return;
         }
+
+        if (err && this.loggingEnabled) {
+            error(`Waiting for monitored keys failed! ${err.message}`);
+        }
+
+        // Keys may have stopped being monitored since their wait handles were signaled
+        const triggeredKeys = new Set();
+        waitHandles.forEach(waitHandle => {
+            for (const shard of this.waitShards) {
+                const index = shard.waitHandles.indexOf(waitHandle);
+                if (index > 0) {
+                    triggeredKeys.add(shard.keys[index - 1]);
+                    break;
+                }
+            }
+        });
+
+        this.triggerMonitoredKeys(triggeredKeys);
     }
 
-    /** Private method: updates monitored keys array when there are changes to monitored keys. */
+    /**
+     * Private method: updates wait handle shards when there are changes to monitored keys.
+     * Keys that are no longer monitored are removed from their shards, and new keys are added to the first shard with room. Only wait handle arrays of
+     * changed shards are re-created, and the blocking engine is updated to wait for the new ones.
+     */
     updateMonitoredKeysArray() {
-        this.monitoredKeysArray = [];
-        for (const path in this.monitoredRecursiveKeys) {
-            this.monitoredKeysArray.push(this.monitoredRecursiveKeys[path]);
+        const monitoredKeys = new Set([...Object.values(this.monitoredRecursiveKeys), ...Object.values(this.monitoredKeys)]);
+        const changedShards = new Set();
+
+        this.waitShards.forEach(shard => {
+            const keys = shard.keys.filter(monitoredKey => monitoredKeys.has(monitoredKey));
+            if (keys.length !== shard.keys.length) {
+                shard.keys = keys;
+                changedShards.add(shard);
+            }
+            keys.forEach(monitoredKey => monitoredKeys.delete(monitoredKey));
+        });
+
+        // What remains are keys without a shard. Each shard has a control event as its first wait handle, so it can hold one key less than the maximum
+        for (const monitoredKey of monitoredKeys) {
+            let shard = this.waitShards.find(waitShard => waitShard.keys.length < MaximumWaitObjects - 1);
+            if (!shard) {
+                shard = this.createWaitShard();
+                if (shard === null) {
+                    break;
+                }
+                this.waitShards.push(shard);
+            }
+            shard.keys.push(monitoredKey);
+            changedShards.add(shard);
         }
-        for (const path in this.monitoredKeys) {
-            this.monitoredKeysArray.push(this.monitoredKeys[path]);
+
+        changedShards.forEach(shard => {
+            if (shard.keys.length === 0) {
+                shard.removed = true;
+                if (!this.backend.closeHandle(shard.controlEvent) && this.loggingEnabled) {
+                    error('Cannot close control event of monitored keys!');
+                }
+            } else {
+                // Also re-creates wait handle array to be used in WaitForMultipleObjects API.
+                shard.waitHandles = [shard.controlEvent, ...shard.keys.map(monitoredKey => monitoredKey.monitorData.waitHandle)];
+                shard.handles = this.backend.createWaitHandleArray(shard.waitHandles);
+            }
+        });
+
+        this.waitShards = this.waitShards.filter(shard => !shard.removed);
+        if (this.waitShards.length === 0) {
+            this.nextWaitShardIndex = 0;
+            this.stopMonitorEngine();
+        } else if (changedShards.size > 0 && this.waitWorker !== null) {
+            this.waitWorker.update(this.waitShards.map(shard => shard.waitHandles));
         }
+    }
 
-        // Also re-creates handle array buffer to be used as lpHandles in WaitForMultipleObjects API.
-        this.monitoredKeyHandlesBuffer = Buffer.alloc(ref.sizeof.pointer * this.monitoredKeysArray.length);
-        if (this.monitoredKeysArray.length === 0) {
-            this.stopMonitorTimer();
-        } else {
-            const copyToBuffer = ref.sizeof.pointer == 4 ? this.monitoredKeyHandlesBuffer.writeUInt32LE : this.monitoredKeyHandlesBuffer.writeUInt64LE;
-            for (let i = 0; i < this.monitoredKeysArray.length; ++i) {
-                this.monitoredKeyHandlesBuffer.writeUInt64LE(ref.address(this.monitoredKeysArray[i].monitorData.waitHandle), i * ref.sizeof.pointer);
+    /** Private method: creates an empty wait handle shard. */
+    createWaitShard() {
+        const controlEvent = this.backend.createEvent();
+        if (controlEvent === null) {
+            if (this.loggingEnabled) {
+                error('Cannot create control event for monitored keys!');
             }
+            return null;
         }
+
+        return {
+            keys: [],
+            waitHandles: [],
+            handles: null,
+            controlEvent: controlEvent,
+            removed: false,
+        };
     }
 
     /** Private method: compares registry values based on value type. */
@@ -1354,31 +3310,18 @@ class Registry {
         }
 
         switch (valueType) {
-            case RegistryValueType.REG_DWORD:     // Value is expected as unsigned integer
-            case RegistryValueType.REG_QWORD:     // Value is expected as unsigned integer
-            case RegistryValueType.REG_SZ:        // Value is expected as string
-            case RegistryValueType.REG_EXPAND_SZ: // Value is expected as string
-                return (currentValue === compareValue);
-
-            case RegistryValueType.REG_MULTI_SZ:
-                // Value is expected as string[]
-                if (currentValue.length !== compareValue.length) {
+            case RegistryValueType.REG_QWORD:
+                // Value is expected as BigInt, but compare value may be provided as a number
+                try {
+                    return (BigInt(currentValue) === BigInt(compareValue));
+                } catch {
+                    // Compare value cannot be converted to BigInt, e.g. it's not an integer
                     return false;
-                } else {
-                    for (let i = 0; i < currentValue.length; ++i) {
-                        if (currentValue[i] !== compareValue[i]) {
-                            return false;
-                        }
-                    }
                 }
-                return true;
-
-            case RegistryValueType.REG_BINARY:
-                // Value is expected as Buffer
-                return (currentValue.size === compareValue.size && currentValue.compare(compareValue) === 0);
 
             default:
-                throw new Error(`Value "${name}" of key "${path}" with type ${monitorToken.valueType} is not supported!`);
+                // Strings are compared by value, while string[], Buffer and structured values are compared by content
+                return isSameValue(currentValue, compareValue);
         }
     }
 }
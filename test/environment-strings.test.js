@@ -0,0 +1,59 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const Registry = require('..');
+const { expandEnvironmentStrings } = require('../lib/environment-strings.js');
+const { useMemoryRegistry } = require('./helpers.js');
+
+const Variables = {
+    Temp: 'C:\\Temp',
+    PATH: 'C:\\Windows',
+    Empty: '',
+};
+
+describe('expandEnvironmentStrings', () => {
+    it('expands references to known variables, ignoring case of names', () => {
+        assert.strictEqual(expandEnvironmentStrings('%TEMP%\\x', Variables), 'C:\\Temp\\x');
+        assert.strictEqual(expandEnvironmentStrings('%temp%;%Path%', Variables), 'C:\\Temp;C:\\Windows');
+        assert.strictEqual(expandEnvironmentStrings('a%EMPTY%b', Variables), 'ab');
+        assert.strictEqual(expandEnvironmentStrings('no references', Variables), 'no references');
+    });
+
+    it('leaves references to unknown variables unexpanded', () => {
+        assert.strictEqual(expandEnvironmentStrings('%UNKNOWN%\\x', Variables), '%UNKNOWN%\\x');
+
+        // The closing percent sign of an unknown reference may start the next one
+        assert.strictEqual(expandEnvironmentStrings('%UNKNOWN%TEMP%', Variables), '%UNKNOWNC:\\Temp');
+    });
+
+    it('leaves %% unexpanded', () => {
+        assert.strictEqual(expandEnvironmentStrings('100%%', Variables), '100%%');
+        assert.strictEqual(expandEnvironmentStrings('%%TEMP%', Variables), '%C:\\Temp');
+    });
+
+    it('leaves percent signs without a closing one unexpanded', () => {
+        assert.strictEqual(expandEnvironmentStrings('50%', Variables), '50%');
+        assert.strictEqual(expandEnvironmentStrings('%TEMP%\\%TEMP', Variables), 'C:\\Temp\\%TEMP');
+    });
+
+    it('uses process.env by default', () => {
+        process.env.REGISTRY_MONITOR_TEST = 'value';
+        try {
+            assert.strictEqual(expandEnvironmentStrings('%Registry_Monitor_Test%'), 'value');
+        } finally {
+            delete process.env.REGISTRY_MONITOR_TEST;
+        }
+    });
+
+    it('expands REG_EXPAND_SZ values of the registry on request', () => {
+        const registry = useMemoryRegistry();
+        const path = 'HKCU\\Software\\RegistryMonitorTest';
+        registry.setValue(path, 'expand', '%TEMP%\\%UNKNOWN%', Registry.ValueType.REG_EXPAND_SZ);
+
+        assert.strictEqual(registry.getValue(path, 'expand', { strictStrings: true }), '%TEMP%\\%UNKNOWN%');
+        assert.strictEqual(registry.getValue(path, 'expand', { strictStrings: true, expand: Variables }), 'C:\\Temp\\%UNKNOWN%');
+        assert.strictEqual(Registry.expandEnvironmentStrings('%temp%', Variables), 'C:\\Temp');
+    });
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ Worker thread for Win32WaitWorker tests, which waits for fake events shared with the test through workerData.
+ */
+
+const { workerData } = require('worker_threads');
+
+const { runWaitThread } = require('../lib/win32-wait-worker.js');
+const { WaitForMultipleObjectsResult, InfiniteWaitTimeout } = require('../lib/registry-constants.js');
+const { FakeEventState } = require('./helpers.js');
+
+const state = new Int32Array(workerData.events);
+
+runWaitThread(workerData.port, {
+    createWaitHandleArray(addresses) {
+        return addresses;
+    },
+
+    waitForMultipleObjects(indexes, timeout) {
+        Atomics.add(state, FakeEventState.WaitCount, 1);
+        if (timeout !== 0 && timeout !== InfiniteWaitTimeout) {
+            Atomics.add(state, FakeEventState.TimedWaitCount, 1);
+        }
+
+        for (;;) {
+            const sequence = Atomics.load(state, FakeEventState.Sequence);
+            for (let i = 0; i < indexes.length; ++i) {
+                if (Atomics.load(state, FakeEventState.Closed + indexes[i]) !== 0) {
+                    Atomics.add(state, FakeEventState.ClosedWaitCount, 1);
+                    return WaitForMultipleObjectsResult.WAIT_FAILED;
+                }
+                if (Atomics.compareExchange(state, FakeEventState.Signaled + indexes[i], 1, 0) === 1) {
+                    return WaitForMultipleObjectsResult.WAIT_OBJECT_0 + i;
+                }
+            }
+
+            if (timeout === 0) {
+                return WaitForMultipleObjectsResult.WAIT_TIMEOUT;
+            }
+            if (Atomics.wait(state, FakeEventState.Sequence, sequence, timeout === InfiniteWaitTimeout ? undefined : timeout) === 'timed-out') {
+                return WaitForMultipleObjectsResult.WAIT_TIMEOUT;
+            }
+        }
+    },
+});
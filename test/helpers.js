@@ -0,0 +1,130 @@
+'use strict';
+
+const Registry = require('..');
+const { RegistryKeyNotifyFilter, ErrorCode } = require('../lib/registry-constants.js');
+
+/**
+ * Switches the registry to a fresh in-memory backend, with logging disabled.
+ * @return {Registry} The registry instance.
+ */
+function useMemoryRegistry() {
+    const registry = Registry.instance;
+    registry.disableLogging();
+    if (!registry.useBackend(new Registry.MemoryBackend())) {
+        throw new Error('Keys of the previous test are still being monitored');
+    }
+    return registry;
+}
+
+/**
+ * Simulates a change of the attributes of a key in the in-memory backend. Such changes cannot be made through this package, so nothing is
+ * stored, but notifications registered for REG_NOTIFY_CHANGE_ATTRIBUTES are signaled.
+ * @param {MemoryRegistryBackend} backend - The in-memory backend.
+ * @param {integer} rootKey - Handle of the predefined root key.
+ * @param {string} subKey - Path of the key under the root key.
+ * @return {integer} 0 if successful, or the error code otherwise.
+ */
+function changeKeyAttributes(backend, rootKey, subKey) {
+    return signalKeyChange(backend, rootKey, subKey, RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_ATTRIBUTES);
+}
+
+/**
+ * Simulates a change of the security descriptor of a key in the in-memory backend, same as changeKeyAttributes() but for
+ * REG_NOTIFY_CHANGE_SECURITY.
+ * @param {MemoryRegistryBackend} backend - The in-memory backend.
+ * @param {integer} rootKey - Handle of the predefined root key.
+ * @param {string} subKey - Path of the key under the root key.
+ * @return {integer} 0 if successful, or the error code otherwise.
+ */
+function changeKeySecurity(backend, rootKey, subKey) {
+    return signalKeyChange(backend, rootKey, subKey, RegistryKeyNotifyFilter.REG_NOTIFY_CHANGE_SECURITY);
+}
+
+/** Signals notifications of a key in the in-memory backend without changing the key. */
+function signalKeyChange(backend, rootKey, subKey, notifyFilter) {
+    const key = backend.findKey(rootKey, subKey);
+    if (key === null) {
+        return ErrorCode.KeyNotFound;
+    }
+
+    backend.signal(key, notifyFilter);
+    return ErrorCode.Success;
+}
+
+/**
+ * Waits until a condition holds, or fails after a timeout.
+ * @param {function} condition - Returns whether the condition holds.
+ * @param {integer} timeout - (Optional) Timeout in milliseconds. Default is 2000.
+ * @return {Promise} Resolved once the condition holds.
+ */
+async function waitUntil(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await delay(10);
+    }
+}
+
+/**
+ * @param {integer} ms - Time to wait in milliseconds.
+ * @return {Promise} Resolved after the time.
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Layout of the shared state of fake events: counters, followed by the signaled and closed flags of each event
+const MaxFakeEvents = 64;
+const FakeEventState = Object.freeze({
+    Sequence: 0,        // Incremented whenever an event is set, to wake up waits
+    WaitCount: 1,       // Number of waits
+    TimedWaitCount: 2,  // Number of waits with a timeout other than zero or infinite
+    ClosedWaitCount: 3, // Number of waits for closed events
+    Signaled: 4,
+    Closed: 4 + MaxFakeEvents,
+});
+
+/**
+ * Creates fake events that can be waited for on worker threads running fake-wait-thread.js. An event is an object with its index as the address.
+ * @param {integer} count - Number of events.
+ * @return {object} The events, their shared state (a SharedArrayBuffer to pass to the threads, and an Int32Array view of it), and event APIs
+ *                  for Win32WaitWorker.
+ */
+function createFakeEvents(count) {
+    const buffer = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT * (FakeEventState.Closed + MaxFakeEvents));
+    const state = new Int32Array(buffer);
+    return {
+        events: Array.from({ length: count }, (_, index) => ({ index: index })),
+        buffer: buffer,
+        state: state,
+        api: {
+            setEvent(event) {
+                Atomics.store(state, FakeEventState.Signaled + event.index, 1);
+                Atomics.add(state, FakeEventState.Sequence, 1);
+                Atomics.notify(state, FakeEventState.Sequence);
+                return true;
+            },
+            closeHandle(event) {
+                Atomics.store(state, FakeEventState.Closed + event.index, 1);
+                Atomics.add(state, FakeEventState.Sequence, 1);
+                Atomics.notify(state, FakeEventState.Sequence);
+                return true;
+            },
+            getAddress(event) {
+                return event.index;
+            },
+        },
+    };
+}
+
+module.exports = {
+    FakeEventState,
+    createFakeEvents,
+    useMemoryRegistry,
+    changeKeyAttributes,
+    changeKeySecurity,
+    waitUntil,
+    delay,
+};
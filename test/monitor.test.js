@@ -0,0 +1,370 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Registry = require('..');
+const { RootKey } = require('../lib/registry-constants.js');
+const { useMemoryRegistry, changeKeyAttributes, changeKeySecurity, waitUntil, delay } = require('./helpers.js');
+
+const KeyPath = 'HKCU\\Software\\RegistryMonitorTest';
+
+// The same tests run under every monitor engine
+for (const engine of Object.values(Registry.MonitorEngine)) {
+    describe(`Monitors with ${engine} engine`, () => {
+        let registry;
+        let tokens;
+        beforeEach(() => {
+            registry = useMemoryRegistry();
+            registry.monitorEngine = engine;
+            registry.monitorCheckInterval = 10;
+            tokens = [];
+        });
+        afterEach(() => {
+            // Watchers are stopped by return()
+            tokens.forEach(token => token?.return ? token.return() : token?.stop());
+        });
+
+        it('notifies key changes', async () => {
+            let notified = 0;
+            tokens.push(registry.monitorKey(KeyPath, false, true, () => ++notified));
+            assert.notStrictEqual(tokens[0], null);
+
+            registry.setValue(KeyPath, 'v', 1, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => notified === 1);
+        });
+
+        it('notifies sub key changes of recursive monitors only', async () => {
+            let recursiveNotified = 0;
+            let notified = 0;
+            tokens.push(registry.monitorKey(KeyPath, true, true, () => ++recursiveNotified));
+            tokens.push(registry.monitorKey(KeyPath, false, true, () => ++notified));
+
+            registry.setValue(`${KeyPath}\\Child`, 'v', 1, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => recursiveNotified > 0);
+            await delay(50);
+            assert.strictEqual(notified, 0);
+        });
+
+        it('notifies value changes with current and compare value', async () => {
+            registry.setValue(KeyPath, 'v', 1, Registry.ValueType.REG_DWORD);
+            const changes = [];
+            tokens.push(registry.monitorValue(KeyPath, 'v', null, false, (key, currentValue, compareValue) => changes.push([currentValue, compareValue])));
+
+            registry.setValue(KeyPath, 'other', 1, Registry.ValueType.REG_DWORD);
+            registry.setValue(KeyPath, 'v', 2, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => changes.length === 1);
+            assert.deepStrictEqual(changes, [[2, 1]]);
+        });
+
+        it('reports enter, exit and error transitions of value conditions', async () => {
+            registry.setValue(KeyPath, 'v', 5, Registry.ValueType.REG_DWORD);
+            const transitions = [];
+            const token = registry.monitorValue(KeyPath, 'v', Registry.ValueCondition.range(1, 10), false, (key, currentValue, condition, { transition, type, error }) => {
+                transitions.push([transition, currentValue, type, error === null ? null : error.constructor.name]);
+            });
+            tokens.push(token);
+
+            // Reported initially as the condition already holds
+            assert.deepStrictEqual(transitions, [['enter', 5, Registry.ValueType.REG_DWORD, null]]);
+            assert.strictEqual(token.conditionHolds, true);
+
+            registry.setValue(KeyPath, 'v', 6, Registry.ValueType.REG_DWORD);
+            await delay(50);
+            assert.strictEqual(transitions.length, 1);
+
+            registry.setValue(KeyPath, 'v', 11, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => transitions.length === 2);
+            registry.setValue(KeyPath, 'v', 3, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => transitions.length === 3);
+            registry.deleteValue(KeyPath, 'v');
+            await waitUntil(() => transitions.length === 4);
+            assert.strictEqual(token.conditionHolds, false);
+
+            // Errors are reported once until the condition can be evaluated again
+            registry.setValue(KeyPath, 'v', 'text', Registry.ValueType.REG_SZ);
+            await waitUntil(() => transitions.length === 5);
+            registry.setValue(KeyPath, 'v', 'more text', Registry.ValueType.REG_SZ);
+            await delay(50);
+            registry.setValue(KeyPath, 'v', 7, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => transitions.length === 6);
+
+            assert.deepStrictEqual(transitions.slice(1), [
+                ['exit', 11, Registry.ValueType.REG_DWORD, null],
+                ['enter', 3, Registry.ValueType.REG_DWORD, null],
+                ['exit', null, null, null],
+                ['error', 'text\0', Registry.ValueType.REG_SZ, 'TypeError'],
+                ['enter', 7, Registry.ValueType.REG_DWORD, null],
+            ]);
+        });
+
+        it('passes changed values only to monitorValues callback', async () => {
+            registry.setValue(KeyPath, 'a', 1, Registry.ValueType.REG_DWORD);
+            registry.setValue(KeyPath, 'b', 'x', Registry.ValueType.REG_SZ);
+            registry.setValue(KeyPath, 'c', 1, Registry.ValueType.REG_DWORD);
+            registry.setValue(KeyPath, 'unwatched', 1, Registry.ValueType.REG_DWORD);
+            const changes = [];
+            tokens.push(registry.monitorValues(KeyPath, ['A', 'b', 'c', 'd'], (key, changed) => changes.push(changed), { strictStrings: true }));
+
+            registry.setValue(KeyPath, 'a', 2, Registry.ValueType.REG_DWORD);
+            registry.deleteValue(KeyPath, 'b');
+            registry.setValue(KeyPath, 'd', 'new', Registry.ValueType.REG_SZ);
+            registry.setValue(KeyPath, 'c', 1, Registry.ValueType.REG_DWORD);
+            registry.setValue(KeyPath, 'unwatched', 2, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => changes.length === 1);
+
+            // Values that are written without changing, and values that are not watched, are left out
+            assert.deepStrictEqual([...changes[0].keys()].sort(), ['a', 'b', 'd']);
+            assert.deepStrictEqual(changes[0].get('a'), {
+                name: 'a', change: 'modified', oldType: Registry.ValueType.REG_DWORD, oldData: 1, newType: Registry.ValueType.REG_DWORD, newData: 2,
+            });
+            assert.deepStrictEqual(changes[0].get('b'), { name: 'b', change: 'deleted', oldType: Registry.ValueType.REG_SZ, oldData: 'x', newType: null, newData: null });
+            assert.deepStrictEqual(changes[0].get('d'), { name: 'd', change: 'created', oldType: null, oldData: null, newType: Registry.ValueType.REG_SZ, newData: 'new' });
+
+            registry.setValue(KeyPath, 'unwatched', 3, Registry.ValueType.REG_DWORD);
+            await delay(50);
+            assert.strictEqual(changes.length, 1);
+        });
+
+        it('passes changes of all values to monitorValues callback with *', async () => {
+            const changes = [];
+            tokens.push(registry.monitorValues(KeyPath, '*', (key, changed) => changes.push([...changed.values()].map(value => [value.name, value.change])), { createIfNeeded: true }));
+
+            registry.setValue(KeyPath, 'x', 1, Registry.ValueType.REG_DWORD);
+            registry.setValue(KeyPath, 'y', 1, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => changes.length === 1);
+            registry.deleteValue(KeyPath, 'x');
+            await waitUntil(() => changes.length === 2);
+            assert.deepStrictEqual(changes, [[['x', 'created'], ['y', 'created']], [['x', 'deleted']]]);
+            assert.strictEqual(registry.monitorValues(KeyPath, 'x', () => {}), null);
+        });
+
+        it('passes differences to diff monitors', async () => {
+            registry.setValue(KeyPath, 'v', 1, Registry.ValueType.REG_DWORD);
+            const diffs = [];
+            tokens.push(registry.monitorKey(KeyPath, false, false, (key, diff) => diffs.push(diff), { diff: true }));
+
+            registry.setValue(KeyPath, 'v', 2, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => diffs.length === 1);
+            assert.deepStrictEqual(diffs[0].values.modified.map(value => [value.name, value.oldData, value.newData]), [['v', 1, 2]]);
+        });
+
+        it('delivers categories to every callback', async () => {
+            const changes = [];
+            tokens.push(registry.monitorKey(KeyPath, false, true, (key, diff, categories) => changes.push([diff, categories])));
+
+            registry.setValue(KeyPath, 'v', 1, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => changes.length === 1);
+            assert.deepStrictEqual(changes, [[null, ['lastSet']]]);
+        });
+
+        it('tells sub key and value changes apart for notify filters', async () => {
+            const changes = [];
+            tokens.push(registry.monitorKey(KeyPath, false, true, (key, diff, categories) => changes.push(categories), { notifyFilter: ['name', 'lastSet'] }));
+
+            registry.setValue(`${KeyPath}\\Child`, 'v', 1, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => changes.length === 1);
+            registry.setValue(KeyPath, 'v', 1, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => changes.length === 2);
+            assert.deepStrictEqual(changes, [['name'], ['lastSet']]);
+        });
+
+        it('notifies attribute and security changes of the in-memory backend to their filters only', async () => {
+            const subKey = KeyPath.replace(/^HKCU\\/, '');
+            const changes = [];
+            tokens.push(registry.monitorKey(KeyPath, false, true, (key, diff, categories) => changes.push(categories), { notifyFilter: ['security'] }));
+
+            assert.strictEqual(changeKeyAttributes(registry.backend, RootKey.HKCU, subKey), 0);
+            registry.setValue(KeyPath, 'v', 1, Registry.ValueType.REG_DWORD);
+            await delay(50);
+            assert.strictEqual(changeKeySecurity(registry.backend, RootKey.HKCU, subKey), 0);
+            await waitUntil(() => changes.length === 1);
+            await delay(50);
+            assert.deepStrictEqual(changes, [['security']]);
+        });
+
+        it('passes the candidates of a change that leaves no trace', async () => {
+            const subKey = KeyPath.replace(/^HKCU\\/, '');
+            const changes = [];
+            tokens.push(registry.monitorKey(KeyPath, false, true, (key, diff, categories) => changes.push(['security', categories]), { notifyFilter: ['security'] }));
+            tokens.push(registry.monitorKey(KeyPath, false, true, (key, diff, categories) => changes.push(['attributes', categories]), { notifyFilter: ['attributes'] }));
+
+            assert.strictEqual(changeKeySecurity(registry.backend, RootKey.HKCU, subKey), 0);
+            await waitUntil(() => changes.length === 2);
+            assert.deepStrictEqual(changes, [['security', ['attributes', 'security']], ['attributes', ['attributes', 'security']]]);
+        });
+
+        it('stops notifying after the token is stopped', async () => {
+            let notified = 0;
+            const token = registry.monitorKey(KeyPath, false, true, () => ++notified);
+            token.stop();
+
+            registry.setValue(KeyPath, 'v', 1, Registry.ValueType.REG_DWORD);
+            await delay(50);
+            assert.strictEqual(notified, 0);
+        });
+
+        it('allows a monitor to stop itself in its callback', async () => {
+            let notified = 0;
+            const token = registry.monitorKey(KeyPath, false, true, () => {
+                ++notified;
+                token.stop();
+            });
+
+            registry.setValue(KeyPath, 'v', 1, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => notified === 1);
+            registry.setValue(KeyPath, 'v', 2, Registry.ValueType.REG_DWORD);
+            await delay(50);
+            assert.strictEqual(notified, 1);
+        });
+
+        it('monitors keys spread over several groups of wait handles', async () => {
+            const notified = new Set();
+            for (let i = 0; i < 320; ++i) {
+                tokens.push(registry.monitorKey(`${KeyPath}\\Key${i}`, false, true, () => notified.add(i)));
+            }
+
+            for (let i = 0; i < 320; ++i) {
+                registry.setValue(`${KeyPath}\\Key${i}`, 'v', 1, Registry.ValueType.REG_DWORD);
+            }
+            await waitUntil(() => notified.size === 320);
+
+            // Keys added and removed later are still notified
+            tokens.splice(0, 100).forEach(token => token.stop());
+            notified.clear();
+            registry.setValue(`${KeyPath}\\Key319`, 'v', 2, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => notified.has(319));
+        });
+
+        it('folds changes into the newest buffered one when a watcher overflows with coalesce policy', async () => {
+            registry.setValue(KeyPath, 'v', 0, Registry.ValueType.REG_DWORD);
+            const watcher = registry.watch(KeyPath, { bufferSize: 1, overflow: Registry.WatchOverflowPolicy.Coalesce });
+            tokens.push(watcher);
+
+            registry.setValue(KeyPath, 'other', 1, Registry.ValueType.REG_DWORD);
+            await delay(50);
+            for (let i = 1; i <= 5; ++i) {
+                registry.setValue(KeyPath, 'v', i, Registry.ValueType.REG_DWORD);
+                await delay(30);
+            }
+            registry.setValue(KeyPath, 'v', 0, Registry.ValueType.REG_DWORD);
+            await delay(50);
+
+            // The net change of v is nothing, since it changed back
+            const { value } = await watcher.next();
+            assert.deepStrictEqual(value.values.added.map(added => added.name), ['other']);
+            assert.deepStrictEqual(value.values.modified, []);
+        });
+
+        it('reports deletion and re-creation of the key', async () => {
+            registry.setValue(KeyPath, 'v', 1, Registry.ValueType.REG_DWORD);
+            const states = [];
+            const monitor = registry.monitor(KeyPath);
+            tokens.push(monitor);
+            monitor.on('keyDeleted', () => states.push('deleted'));
+            monitor.on('keyRecreated', () => states.push('recreated'));
+
+            registry.deleteKey(KeyPath);
+            await waitUntil(() => states.length === 1);
+            assert.strictEqual(monitor.state, Registry.MonitorState.WaitingForRecreation);
+
+            registry.setValue(KeyPath, 'v', 2, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => states.length === 2);
+            assert.deepStrictEqual(states, ['deleted', 'recreated']);
+            assert.strictEqual(monitor.state, Registry.MonitorState.Active);
+        });
+
+        it('only re-creates a deleted key while a monitor that asked for it is running', async () => {
+            registry.setValue(KeyPath, 'v', 1, Registry.ValueType.REG_DWORD);
+            const creatingToken = registry.monitorKey(KeyPath, false, true, () => {});
+            tokens.push(registry.monitorKey(KeyPath, false, false, () => {}));
+            creatingToken.stop();
+
+            registry.deleteKey(KeyPath);
+            assert.strictEqual(registry.checkKeyExistence(KeyPath), false);
+            assert.strictEqual(tokens[0].state, Registry.MonitorState.WaitingForRecreation);
+
+            // A monitor that asks for the key creates it right away
+            tokens.push(registry.monitorKey(KeyPath, false, true, () => {}));
+            assert.strictEqual(registry.checkKeyExistence(KeyPath), true);
+            assert.strictEqual(tokens[0].state, Registry.MonitorState.Active);
+
+            registry.deleteKey(KeyPath);
+            assert.strictEqual(registry.checkKeyExistence(KeyPath), true);
+        });
+
+        it('waits for a value of a key that is created, deleted and created again', async () => {
+            const promise = registry.waitForValue(`${KeyPath}\\A\\B`, 'v', value => value === 2, { timeout: 2000 });
+            registry.setValue(`${KeyPath}\\A`, 'other', 1, Registry.ValueType.REG_DWORD);
+            await delay(30);
+            registry.setValue(`${KeyPath}\\A\\B`, 'v', 1, Registry.ValueType.REG_DWORD);
+            await delay(30);
+            registry.deleteKey(`${KeyPath}\\A\\B`);
+            await delay(30);
+            registry.setValue(`${KeyPath}\\A\\B`, 'v', 2, Registry.ValueType.REG_DWORD);
+
+            assert.strictEqual(await promise, 2);
+            assert.deepStrictEqual([...Object.keys(registry.monitoredKeys), ...Object.keys(registry.monitoredRecursiveKeys)], []);
+        });
+
+        it('reports creation of a missing key and its values with waitIfMissing option', async () => {
+            const events = [];
+            const monitor = registry.monitor(`${KeyPath}\\A\\B`, { waitIfMissing: true });
+            tokens.push(monitor);
+            monitor.on('valueChanged', value => events.push([value.name, value.oldData, value.newData]));
+            monitor.on('keyCreated', () => events.push('created'));
+            assert.strictEqual(monitor.state, Registry.MonitorState.WaitingForCreation);
+
+            // Values written along with the key, and right after it, are reported
+            registry.setValue(`${KeyPath}\\A\\B`, 'a', 1, Registry.ValueType.REG_DWORD);
+            registry.setValue(`${KeyPath}\\A\\B`, 'a', 2, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => events.includes('created'));
+            assert.deepStrictEqual(events, [['a', null, 2], 'created']);
+            assert.strictEqual(monitor.state, Registry.MonitorState.Active);
+
+            // Only the key itself is monitored once it exists
+            assert.deepStrictEqual(Object.keys(registry.monitoredRecursiveKeys), []);
+        });
+
+        it('waits for a missing key with waitIfMissing option of monitorKey()', async () => {
+            const diffs = [];
+            const token = registry.monitorKey(KeyPath, false, false, (key, diff) => diffs.push(diff), { diff: true, waitIfMissing: true });
+            tokens.push(token);
+            assert.strictEqual(token.state, Registry.MonitorState.WaitingForCreation);
+            assert.strictEqual(registry.checkKeyExistence(KeyPath), false);
+
+            registry.setValue(KeyPath, 'a', 1, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => diffs.length === 1);
+            assert.deepStrictEqual(diffs[0].subKeys.created, [KeyPath]);
+            assert.deepStrictEqual(diffs[0].values.added.map(value => [value.name, value.data]), [['a', 1]]);
+            assert.strictEqual(token.state, Registry.MonitorState.Active);
+
+            registry.setValue(KeyPath, 'a', 2, Registry.ValueType.REG_DWORD);
+            await waitUntil(() => diffs.length === 2);
+            assert.deepStrictEqual(diffs[1].values.modified.map(value => [value.name, value.oldData, value.newData]), [['a', 1, 2]]);
+        });
+
+        for (const deletedBy of ['registry', 'backend']) {
+            it(`detaches a matching key of a pattern monitor when it is deleted through the ${deletedBy}`, async () => {
+                registry.setValue(`${KeyPath}\\Vendor\\A`, 'v', 1, Registry.ValueType.REG_DWORD);
+                const events = [];
+                tokens.push(registry.monitorPattern(`${KeyPath}\\Vendor\\*`, (key, { event, path }) => events.push([event, path])));
+                assert.strictEqual(events.length, 1);
+
+                if (deletedBy === 'registry') {
+                    registry.deleteKey(`${KeyPath}\\Vendor\\A`);
+                } else {
+                    // Deleted behind the back of Registry, like another process does
+                    registry.backend.deleteKey(RootKey.HKCU, `${KeyPath.replace(/^HKCU\\/, '')}\\Vendor\\A`);
+                }
+                await waitUntil(() => events.some(([event]) => event === 'detached'));
+                await delay(50);
+                assert.deepStrictEqual(events, [
+                    ['attached', `${KeyPath}\\Vendor\\A`],
+                    ['changed', `${KeyPath}\\Vendor\\A`],
+                    ['detached', `${KeyPath}\\Vendor\\A`],
+                ]);
+            });
+        }
+    });
+}
@@ -0,0 +1,212 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const Registry = require('..');
+const {
+    RegFileHeader,
+    formatRegFile,
+    formatRegValue,
+    encodeRegFile,
+    decodeRegFile,
+    parseRegFile } = require('../lib/reg-file.js');
+const { useMemoryRegistry } = require('./helpers.js');
+
+const ValueType = Registry.ValueType;
+const KeyPath = 'HKEY_CURRENT_USER\\Software\\RegistryMonitorTest';
+
+const utf16 = str => Buffer.from(str, 'utf16le');
+const regFile = (...lines) => [RegFileHeader, '', ...lines, ''].join('\r\n');
+
+describe('.reg file formatting', () => {
+    it('escapes quotes and backslashes in names and strings', () => {
+        assert.strictEqual(formatRegValue('a "b"\\c', ValueType.REG_SZ, utf16('C:\\Temp\\"x"\0')), '"a \\"b\\"\\\\c"="C:\\\\Temp\\\\\\"x\\""');
+        assert.strictEqual(formatRegValue('', ValueType.REG_SZ, utf16('default\0')), '@="default"');
+    });
+
+    it('writes dwords as dword and everything else as hex', () => {
+        assert.strictEqual(formatRegValue('d', ValueType.REG_DWORD, Buffer.from([0x2A, 0, 0, 0])), '"d"=dword:0000002a');
+        assert.strictEqual(formatRegValue('b', ValueType.REG_BINARY, Buffer.from([1, 0xAB])), '"b"=hex:01,ab');
+        assert.strictEqual(formatRegValue('n', ValueType.REG_NONE, Buffer.from([1])), '"n"=hex(0):01');
+        assert.strictEqual(formatRegValue('e', ValueType.REG_EXPAND_SZ, utf16('%A%\0')), '"e"=hex(2):25,00,41,00,25,00,00,00');
+        assert.strictEqual(formatRegValue('m', ValueType.REG_MULTI_SZ, utf16('a\0\0')), '"m"=hex(7):61,00,00,00,00,00');
+        assert.strictEqual(formatRegValue('q', ValueType.REG_QWORD, Buffer.from([1, 0, 0, 0, 0, 0, 0, 0])), '"q"=hex(b):01,00,00,00,00,00,00,00');
+        assert.strictEqual(formatRegValue('l', ValueType.REG_LINK, utf16('x')), '"l"=hex(6):78,00');
+        assert.strictEqual(formatRegValue('r', ValueType.REG_RESOURCE_LIST, Buffer.from([0])), '"r"=hex(8):00');
+        assert.strictEqual(formatRegValue('f', ValueType.REG_FULL_RESOURCE_DESCRIPTOR, Buffer.from([0])), '"f"=hex(9):00');
+        assert.strictEqual(formatRegValue('rr', ValueType.REG_RESOURCE_REQUIREMENTS_LIST, Buffer.from([0])), '"rr"=hex(a):00');
+        assert.strictEqual(formatRegValue('be', ValueType.REG_DWORD_BIG_ENDIAN, Buffer.from([0, 0, 0, 1])), '"be"=hex(5):00,00,00,01');
+    });
+
+    it('keeps data that cannot be written as string or dword byte-for-byte as hex', () => {
+        // Line breaks, missing NULL terminator and wrong dword size
+        assert.strictEqual(formatRegValue('s', ValueType.REG_SZ, utf16('a\nb\0')), '"s"=hex(1):61,00,0a,00,62,00,00,00');
+        assert.strictEqual(formatRegValue('s', ValueType.REG_SZ, utf16('a')), '"s"=hex(1):61,00');
+        assert.strictEqual(formatRegValue('d', ValueType.REG_DWORD, Buffer.from([1, 2])), '"d"=hex(4):01,02');
+    });
+
+    it('wraps hex data at 80 columns like regedit', () => {
+        const data = Buffer.from(Array.from({ length: 100 }, (_, i) => i));
+        const lines = formatRegValue('binary', ValueType.REG_BINARY, data).split('\r\n');
+        assert.ok(lines.length > 1);
+        lines.forEach((line, i) => {
+            assert.ok(line.length <= 80, `line ${i} is ${line.length} characters long`);
+            if (i > 0) {
+                assert.match(line, /^ {2}[0-9a-f]{2}/);
+            }
+            if (i < lines.length - 1) {
+                assert.match(line, /,\\$/);
+            }
+        });
+        assert.strictEqual(lines[0], '"binary"=hex:00,01,02,03,04,05,06,07,08,09,0a,0b,0c,0d,0e,0f,10,11,12,13,14,15,\\');
+    });
+
+    it('formats keys in order, separated by empty lines', () => {
+        const text = formatRegFile([
+            { path: KeyPath, values: [{ name: 'v', type: ValueType.REG_DWORD, data: Buffer.from([1, 0, 0, 0]) }] },
+            { path: `${KeyPath}\\Sub`, values: [] },
+        ]);
+        assert.strictEqual(text, regFile(`[${KeyPath}]`, '"v"=dword:00000001', '', `[${KeyPath}\\Sub]`, ''));
+    });
+});
+
+describe('.reg file parsing', () => {
+    it('parses keys, values and deletions', () => {
+        const { header, operations } = parseRegFile(regFile(
+            '; comment',
+            `[${KeyPath}]`,
+            '@="default"',
+            '"str"="a \\"quoted\\" C:\\\\path"',
+            '"dword"=dword:0000002a',
+            '"bin"=hex:01,02',
+            '"multi"=hex(7):61,00,00,00,00,00',
+            '"gone"=-',
+            '',
+            `[-${KeyPath}\\Old]`,
+            '"ignored"="value"'));
+
+        assert.strictEqual(header, RegFileHeader);
+        assert.deepStrictEqual(operations.map(({ operation, path, name, type, line }) => ({ operation, path, name, type, line })), [
+            { operation: 'createKey', path: KeyPath, name: undefined, type: undefined, line: 4 },
+            { operation: 'setValue', path: KeyPath, name: '', type: ValueType.REG_SZ, line: 5 },
+            { operation: 'setValue', path: KeyPath, name: 'str', type: ValueType.REG_SZ, line: 6 },
+            { operation: 'setValue', path: KeyPath, name: 'dword', type: ValueType.REG_DWORD, line: 7 },
+            { operation: 'setValue', path: KeyPath, name: 'bin', type: ValueType.REG_BINARY, line: 8 },
+            { operation: 'setValue', path: KeyPath, name: 'multi', type: ValueType.REG_MULTI_SZ, line: 9 },
+            { operation: 'deleteValue', path: KeyPath, name: 'gone', type: undefined, line: 10 },
+            { operation: 'deleteKey', path: `${KeyPath}\\Old`, name: undefined, type: undefined, line: 12 },
+        ]);
+        assert.deepStrictEqual(operations[1].data, utf16('default\0'));
+        assert.deepStrictEqual(operations[2].data, utf16('a "quoted" C:\\path\0'));
+        assert.deepStrictEqual(operations[3].data, Buffer.from([0x2A, 0, 0, 0]));
+        assert.deepStrictEqual(operations[4].data, Buffer.from([1, 2]));
+    });
+
+    it('parses hex(n) of any type, and hex data continued on following lines', () => {
+        const { operations } = parseRegFile(regFile(
+            `[${KeyPath}]`,
+            '"q"=hex(b):01,00,00,00,\\',
+            '  00,00,00,00',
+            '"x"=HEX(1F):ff'));
+
+        assert.strictEqual(operations[1].type, ValueType.REG_QWORD);
+        assert.deepStrictEqual(operations[1].data, Buffer.from([1, 0, 0, 0, 0, 0, 0, 0]));
+        assert.strictEqual(operations[2].type, 0x1F);
+        assert.strictEqual(operations[2].line, 6);
+    });
+
+    it('converts strings of REGEDIT4 files from ANSI', () => {
+        const { header, operations } = parseRegFile(['REGEDIT4', '', `[${KeyPath}]`, '"s"="caf\u00e9"', '"e"=hex(2):25,41,25,00', ''].join('\r\n'));
+        assert.strictEqual(header, 'REGEDIT4');
+        assert.deepStrictEqual(operations[1].data, utf16('caf\u00e9\0'));
+        assert.strictEqual(operations[2].type, ValueType.REG_EXPAND_SZ);
+        assert.deepStrictEqual(operations[2].data, utf16('%A%\0'));
+    });
+
+    it('reports the line and column of syntax errors', () => {
+        const cases = [
+            [['Not a reg file'], 1, 1],
+            [[RegFileHeader, `[${KeyPath}`], 2, KeyPath.length + 2],
+            [[RegFileHeader, '[HKEY_NOWHERE\\Key]'], 2, 2],
+            [[RegFileHeader, '"v"="value"'], 2, 1],
+            [[RegFileHeader, `[${KeyPath}]`, '"v"=dword:xyz'], 3, 11],
+            [[RegFileHeader, `[${KeyPath}]`, '"v" "value"'], 3, 5],
+            [[RegFileHeader, `[${KeyPath}]`, '"v"="unterminated'], 3, 18],
+            [[RegFileHeader, `[${KeyPath}]`, '"v"=hex:01,\\', '  02,zz'], 4, 6],
+            [[RegFileHeader, `[${KeyPath}]`, '"v"=dword:00000001 extra'], 3, 20],
+        ];
+        cases.forEach(([lines, line, column]) => {
+            assert.throws(() => parseRegFile(lines.join('\r\n')), err => {
+                assert.ok(err instanceof SyntaxError, err.message);
+                assert.deepStrictEqual({ line: err.line, column: err.column }, { line, column }, err.message);
+                assert.ok(err.message.endsWith(`at line ${line}, column ${column}.`));
+                return true;
+            });
+        });
+    });
+});
+
+describe('.reg file encoding', () => {
+    it('encodes as UTF-16LE with a byte order mark', () => {
+        const buffer = encodeRegFile('REG');
+        assert.deepStrictEqual(buffer, Buffer.from([0xFF, 0xFE, 0x52, 0, 0x45, 0, 0x47, 0]));
+        assert.strictEqual(decodeRegFile(buffer), 'REG');
+    });
+
+    it('detects UTF-16LE, UTF-8 and ANSI content', () => {
+        assert.strictEqual(decodeRegFile(Buffer.from('REGEDIT4', 'utf16le')), 'REGEDIT4');
+        assert.strictEqual(decodeRegFile(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('caf\u00e9', 'utf8')])), 'caf\u00e9');
+        assert.strictEqual(decodeRegFile(Buffer.from('caf\u00e9', 'latin1')), 'caf\u00e9');
+    });
+});
+
+describe('.reg file import and export', () => {
+    let registry;
+    beforeEach(() => {
+        registry = useMemoryRegistry();
+    });
+
+    it('imports what it exports', () => {
+        const path = 'HKCU\\Software\\RegistryMonitorTest';
+        registry.setValue(path, '', 'default', ValueType.REG_SZ);
+        registry.setValue(path, 'quoted "name"', 'C:\\Temp\\"x"', ValueType.REG_SZ);
+        registry.setValue(path, 'dword', 42, ValueType.REG_DWORD);
+        registry.setValue(path, 'qword', 2n ** 40n, ValueType.REG_QWORD);
+        registry.setValue(path, 'multi', ['a', 'b'], ValueType.REG_MULTI_SZ);
+        registry.setValue(path, 'expand', '%TEMP%\\x', ValueType.REG_EXPAND_SZ);
+        registry.setValue(path, 'binary', Buffer.from(Array.from({ length: 100 }, (_, i) => i)), ValueType.REG_BINARY);
+        registry.setValue(`${path}\\Sub`, 'line breaks', 'a\r\nb', ValueType.REG_SZ);
+
+        const exported = registry.exportReg(path, { recursive: true });
+        const expected = registry.getValues(path);
+        const expectedSub = registry.getValues(`${path}\\Sub`);
+        assert.strictEqual(registry.deleteTree(path, { recursive: true }), true);
+
+        const result = registry.importReg(encodeRegFile(exported));
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(registry.getValues(path), expected);
+        assert.deepStrictEqual(registry.getValues(`${path}\\Sub`), expectedSub);
+        assert.strictEqual(registry.exportReg(path, { recursive: true }), exported);
+    });
+
+    it('applies deletions of keys and values', () => {
+        const path = 'HKCU\\Software\\RegistryMonitorTest';
+        registry.setValue(path, 'keep', 1, ValueType.REG_DWORD);
+        registry.setValue(path, 'gone', 1, ValueType.REG_DWORD);
+        registry.setValue(`${path}\\Old\\Deep`, 'v', 1, ValueType.REG_DWORD);
+
+        const result = registry.importReg(regFile(`[${KeyPath}]`, '"gone"=-', '"missing"=-', '', `[-${KeyPath}\\Old]`, `[-${KeyPath}\\Missing]`));
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(registry.getValueNames(path), ['keep']);
+        assert.deepStrictEqual(registry.getSubKeyNames(path), []);
+    });
+
+    it('reports the position of parse errors without applying anything', () => {
+        const result = registry.importReg(regFile(`[${KeyPath}]`, '"v"=dword:1', '"w"=bogus'));
+        assert.strictEqual(result.success, false);
+        assert.deepStrictEqual(result.operations, []);
+        assert.deepStrictEqual({ line: result.error.line, column: result.error.column }, { line: 5, column: 5 });
+        assert.strictEqual(registry.checkKeyExistence('HKCU\\Software\\RegistryMonitorTest'), false);
+    });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const Registry = require('..');
+const { RegistryHive } = require('../lib/registry-hive.js');
+
+/** Builds a minimal hive whose root key has the given values, each as { name, type, data }. */
+function buildHive(values) {
+    const cells = [];
+    let size = 32; // The header of the hive bin
+    const addCell = data => {
+        const cell = Buffer.alloc(Math.ceil((data.length + 4) / 8) * 8);
+        cell.writeInt32LE(-cell.length);
+        data.copy(cell, 4);
+        cells.push(cell);
+        size += cell.length;
+        return size - cell.length;
+    };
+
+    const valueOffsets = values.map(({ name, type, data }) => {
+        const valueKey = Buffer.alloc(20 + name.length);
+        valueKey.write('vk');
+        valueKey.writeUInt16LE(name.length, 2);
+        valueKey.writeUInt32LE(data.length, 4);
+        valueKey.writeUInt32LE(addCell(data), 8);
+        valueKey.writeUInt32LE(type, 12);
+        valueKey.writeUInt16LE(1, 16); // Name is extended ASCII
+        valueKey.write(name, 20, 'latin1');
+        return addCell(valueKey);
+    });
+    const valueList = Buffer.alloc(valueOffsets.length * 4);
+    valueOffsets.forEach((offset, i) => valueList.writeUInt32LE(offset, i * 4));
+
+    const name = 'ROOT';
+    const keyNode = Buffer.alloc(76 + name.length);
+    keyNode.write('nk');
+    keyNode.writeUInt16LE(0x20, 2); // Name is extended ASCII
+    keyNode.writeUInt32LE(0xFFFFFFFF, 28); // No sub keys
+    keyNode.writeUInt32LE(values.length, 36);
+    keyNode.writeUInt32LE(addCell(valueList), 40);
+    keyNode.writeUInt32LE(0xFFFFFFFF, 48); // No class name
+    keyNode.writeUInt16LE(name.length, 72);
+    keyNode.write(name, 76, 'latin1');
+    const rootOffset = addCell(keyNode);
+
+    const binSize = Math.ceil(size / 4096) * 4096;
+    const bin = Buffer.alloc(binSize);
+    bin.write('hbin');
+    bin.writeUInt32LE(binSize, 8);
+    Buffer.concat(cells).copy(bin, 32);
+
+    const baseBlock = Buffer.alloc(4096);
+    baseBlock.write('regf');
+    baseBlock.writeUInt32LE(1, 20);
+    baseBlock.writeUInt32LE(5, 24);
+    baseBlock.writeUInt32LE(rootOffset, 36);
+    baseBlock.writeUInt32LE(binSize, 40);
+    return Buffer.concat([baseBlock, bin]);
+}
+
+describe('Registry hive', () => {
+    const hive = buildHive([
+        { name: 'good', type: Registry.ValueType.REG_SZ, data: Buffer.from('text\0', 'utf16le') },
+        { name: 'malformed', type: Registry.ValueType.REG_SZ, data: Buffer.from('text', 'utf16le') },
+    ]);
+
+    it('reads values the same way as live keys', () => {
+        const rootKey = new RegistryHive(hive, { verifyChecksum: false }).rootKey;
+        assert.deepStrictEqual(rootKey.getValueNames(), ['good', 'malformed']);
+        assert.strictEqual(rootKey.getValue('good', { strictStrings: true }), 'text');
+    });
+
+    it('returns null for malformed strings with strictStrings set, like live keys do', () => {
+        const rootKey = new RegistryHive(hive, { verifyChecksum: false, logging: false }).rootKey;
+        assert.strictEqual(rootKey.getValue('malformed', { strictStrings: true }), null);
+        assert.deepStrictEqual(rootKey.getValues({ strictStrings: true }).map(value => value.data), ['text', null]);
+    });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const Registry = require('..');
+const { formatPolFile, interpretPolEntry } = require('../lib/registry-pol.js');
+const { ErrorCode } = require('../lib/registry-constants.js');
+const { useMemoryRegistry } = require('./helpers.js');
+
+const KeyPath = 'Software\\Policies\\RegistryMonitorTest';
+
+function dword(value) {
+    const data = Buffer.alloc(4);
+    data.writeUInt32LE(value);
+    return data;
+}
+
+function nameList(names) {
+    return Buffer.from(`${names.join(';')}\0`, 'utf16le');
+}
+
+describe('Registry.pol directives', () => {
+    let registry;
+    beforeEach(() => {
+        registry = useMemoryRegistry();
+        registry.setValue(`HKLM\\${KeyPath}`, 'a', 1, Registry.ValueType.REG_DWORD);
+        registry.setValue(`HKLM\\${KeyPath}`, 'b', 1, Registry.ValueType.REG_DWORD);
+        registry.setValue(`HKLM\\${KeyPath}`, 'c', 1, Registry.ValueType.REG_DWORD);
+        registry.setValue(`HKLM\\${KeyPath}`, 'soft', 1, Registry.ValueType.REG_DWORD);
+        registry.setValue(`HKLM\\${KeyPath}\\Old`, 'v', 1, Registry.ValueType.REG_DWORD);
+    });
+
+    const pol = formatPolFile([
+        { key: KeyPath, name: '**DeleteValues', type: Registry.ValueType.REG_SZ, data: nameList(['a', 'b']) },
+        { key: KeyPath, name: '**DeleteKeys', type: Registry.ValueType.REG_SZ, data: nameList(['Old']) },
+        { key: KeyPath, name: '**soft.soft', type: Registry.ValueType.REG_DWORD, data: dword(2) },
+        { key: KeyPath, name: '**soft.new', type: Registry.ValueType.REG_DWORD, data: dword(2) },
+        { key: KeyPath, name: '**SecureKey', type: Registry.ValueType.REG_DWORD, data: dword(1) },
+    ]);
+
+    it('interprets and applies the documented directives', () => {
+        const result = registry.applyPol(pol);
+        assert.strictEqual(result.success, true);
+        assert.deepStrictEqual(result.operations.map(operation => operation.operation), ['deleteValues', 'deleteKeys', 'setValue', 'setValue', 'secureKey']);
+        assert.deepStrictEqual(result.operations.map(operation => operation.applied), [true, true, true, true, false]);
+        assert.strictEqual(result.operations[4].secure, true);
+
+        assert.deepStrictEqual(registry.getValueNames(`HKLM\\${KeyPath}`).sort(), ['c', 'new', 'soft']);
+        assert.strictEqual(registry.getValue(`HKLM\\${KeyPath}`, 'soft'), 1);
+        assert.strictEqual(registry.getValue(`HKLM\\${KeyPath}`, 'new'), 2);
+        assert.deepStrictEqual(registry.getSubKeyNames(`HKLM\\${KeyPath}`), []);
+    });
+
+    it('compares the directives with the registry', () => {
+        let result = registry.diffPol(pol);
+        assert.deepStrictEqual(result.operations.map(operation => operation.inSync), [false, false, true, false, null]);
+        assert.deepStrictEqual(result.operations[0].actual, ['a', 'b']);
+
+        registry.applyPol(pol);
+        result = registry.diffPol(pol);
+        assert.deepStrictEqual(result.operations.map(operation => operation.inSync), [true, true, true, true, null]);
+    });
+
+    it('accepts **DeletedKeys as an alias of **DeleteKeys', () => {
+        for (const name of ['**DeleteKeys', '**DeletedKeys', '**deletedkeys']) {
+            assert.deepStrictEqual(interpretPolEntry({ key: KeyPath, name, type: Registry.ValueType.REG_SZ, data: nameList(['Old', 'Older']) }),
+                { operation: 'deleteKeys', key: KeyPath, subKeys: ['Old', 'Older'] });
+        }
+
+        const result = registry.applyPol(formatPolFile([{ key: KeyPath, name: '**DeletedKeys', type: Registry.ValueType.REG_SZ, data: nameList(['Old']) }]));
+        assert.strictEqual(result.operations[0].applied, true);
+        assert.deepStrictEqual(registry.getSubKeyNames(`HKLM\\${KeyPath}`), []);
+    });
+
+    it('reports values that cannot be read as unknown', () => {
+        // Values of existing keys cannot be enumerated, like keys that are readable but don't grant KEY_QUERY_VALUE
+        class ValuesDeniedBackend extends Registry.MemoryBackend {
+            enumValue(handle, index) {
+                return { ...super.enumValue(handle, index), result: ErrorCode.AccessDenied };
+            }
+        }
+        assert.strictEqual(registry.useBackend(new ValuesDeniedBackend()), true);
+        registry.setValue(`HKLM\\${KeyPath}`, 'a', 1, Registry.ValueType.REG_DWORD);
+
+        const delvals = formatPolFile([{ key: KeyPath, name: '**delvals.', type: Registry.ValueType.REG_SZ, data: nameList([]) }]);
+        const result = registry.diffPol(delvals);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.operations[0].actual, null);
+        assert.strictEqual(result.operations[0].inSync, null);
+    });
+});
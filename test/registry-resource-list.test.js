@@ -0,0 +1,202 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const Registry = require('..');
+const { ResourceType, decodeResourceList, decodeFullResourceDescriptor, decodeResourceRequirementsList } = require('../lib/registry-resource-list.js');
+const { decodeValue } = require('../lib/registry-value-codec.js');
+
+const { ValueType } = Registry;
+
+const PCIBus = 5;
+
+/** Builds CM_PARTIAL_RESOURCE_DESCRIPTOR, whose union is written by the given function. */
+function buildPartialDescriptor(type, flags, writeUnion, pointerSize = 8) {
+    const data = Buffer.alloc(pointerSize === 4 ? 16 : 20);
+    data.writeUInt8(type, 0);
+    data.writeUInt8(1, 1); // CmResourceShareDeviceExclusive
+    data.writeUInt16LE(flags, 2);
+    writeUnion(data, 4);
+    return data;
+}
+
+/** Builds CM_FULL_RESOURCE_DESCRIPTOR out of partial descriptors, and device specific data following them. */
+function buildFullDescriptor(busNumber, partialDescriptors, deviceSpecificData = Buffer.alloc(0)) {
+    const header = Buffer.alloc(16);
+    header.writeInt32LE(PCIBus, 0);
+    header.writeUInt32LE(busNumber, 4);
+    header.writeUInt16LE(1, 8);
+    header.writeUInt16LE(1, 10);
+    header.writeUInt32LE(partialDescriptors.length, 12);
+    return Buffer.concat([header, ...partialDescriptors, deviceSpecificData]);
+}
+
+const portDescriptor = pointerSize => buildPartialDescriptor(ResourceType.CmResourceTypePort, 0x11, (data, u) => {
+    data.writeBigUInt64LE(0x3f8n, u);
+    data.writeUInt32LE(8, u + 8);
+}, pointerSize);
+
+const interruptDescriptor = pointerSize => buildPartialDescriptor(ResourceType.CmResourceTypeInterrupt, 0, (data, u) => {
+    data.writeUInt16LE(4, u);
+    data.writeUInt16LE(0, u + 2);
+    data.writeUInt32LE(36, u + 4);
+    if (pointerSize === 4) {
+        data.writeUInt32LE(0x80000001, u + 8);
+    } else {
+        data.writeBigUInt64LE(0x100000001n, u + 8);
+    }
+}, pointerSize);
+
+const deviceSpecificDescriptor = buildPartialDescriptor(ResourceType.CmResourceTypeDeviceSpecific, 0, (data, u) => data.writeUInt32LE(3, u));
+
+const memoryLargeDescriptor = buildPartialDescriptor(ResourceType.CmResourceTypeMemoryLarge, 0x400, (data, u) => {
+    data.writeBigUInt64LE(0x100000000n, u);
+    data.writeUInt32LE(2, u + 8);
+});
+
+// Device specific data immediately follows its descriptor, so it goes last
+const fullDescriptor = buildFullDescriptor(0, [portDescriptor(8), interruptDescriptor(8), deviceSpecificDescriptor], Buffer.from([1, 2, 3]));
+
+const expectedFullDescriptor = {
+    interfaceType: PCIBus,
+    busNumber: 0,
+    partialResourceList: {
+        version: 1,
+        revision: 1,
+        partialDescriptors: [
+            { type: ResourceType.CmResourceTypePort, shareDisposition: 1, flags: 0x11, start: 0x3f8n, length: 8 },
+            { type: ResourceType.CmResourceTypeInterrupt, shareDisposition: 1, flags: 0, level: 4, group: 0, vector: 36, affinity: 0x100000001n },
+            { type: ResourceType.CmResourceTypeDeviceSpecific, shareDisposition: 1, flags: 0, dataSize: 3, reserved1: 0, reserved2: 0, data: Buffer.from([1, 2, 3]) },
+        ],
+    },
+};
+
+/** Builds IO_RESOURCE_REQUIREMENTS_LIST out of alternative lists of IO_RESOURCE_DESCRIPTOR. */
+function buildRequirementsList(alternativeLists) {
+    const header = Buffer.alloc(32);
+    header.writeInt32LE(PCIBus, 4);
+    header.writeUInt32LE(2, 8);
+    header.writeUInt32LE(7, 12);
+    header.writeUInt32LE(alternativeLists.length, 28);
+    const lists = alternativeLists.map(descriptors => {
+        const listHeader = Buffer.alloc(8);
+        listHeader.writeUInt16LE(1, 0);
+        listHeader.writeUInt16LE(1, 2);
+        listHeader.writeUInt32LE(descriptors.length, 4);
+        return Buffer.concat([listHeader, ...descriptors]);
+    });
+    const data = Buffer.concat([header, ...lists]);
+    data.writeUInt32LE(data.length, 0);
+    return data;
+}
+
+/** Builds IO_RESOURCE_DESCRIPTOR, whose union is written by the given function. */
+function buildIoDescriptor(option, type, writeUnion) {
+    const data = Buffer.alloc(32);
+    data.writeUInt8(option, 0);
+    data.writeUInt8(type, 1);
+    data.writeUInt8(1, 2);
+    data.writeUInt16LE(0x11, 4);
+    writeUnion(data, 8);
+    return data;
+}
+
+const ioPortDescriptor = buildIoDescriptor(0, ResourceType.CmResourceTypePort, (data, u) => {
+    data.writeUInt32LE(8, u);
+    data.writeUInt32LE(1, u + 4);
+    data.writeBigUInt64LE(0x3f8n, u + 8);
+    data.writeBigUInt64LE(0x3ffn, u + 16);
+});
+
+const ioInterruptDescriptor = buildIoDescriptor(1, ResourceType.CmResourceTypeInterrupt, (data, u) => {
+    data.writeUInt32LE(3, u);
+    data.writeUInt32LE(4, u + 4);
+    data.writeUInt16LE(1, u + 8);
+    data.writeUInt16LE(0, u + 10);
+    data.writeUInt32LE(2, u + 12);
+    data.writeBigUInt64LE(0xfn, u + 16);
+});
+
+const requirementsList = buildRequirementsList([[ioPortDescriptor, ioInterruptDescriptor], [ioPortDescriptor]]);
+
+describe('resource list decoders', () => {
+    it('decodes REG_FULL_RESOURCE_DESCRIPTOR with device specific data', () => {
+        assert.deepStrictEqual(decodeFullResourceDescriptor(fullDescriptor), expectedFullDescriptor);
+        assert.deepStrictEqual(decodeValue(ValueType.REG_FULL_RESOURCE_DESCRIPTOR, fullDescriptor), expectedFullDescriptor);
+    });
+
+    it('decodes descriptors written by 32-bit Windows', () => {
+        const data = buildFullDescriptor(1, [portDescriptor(4), interruptDescriptor(4)]);
+        const descriptor = decodeFullResourceDescriptor(data, 4);
+        assert.deepStrictEqual(descriptor.partialResourceList.partialDescriptors.map(partial => partial.start ?? partial.affinity), [0x3f8n, 0x80000001n]);
+        assert.deepStrictEqual(decodeValue(ValueType.REG_FULL_RESOURCE_DESCRIPTOR, data, { pointerSize: 4 }), descriptor);
+    });
+
+    it('scales length of large memory descriptors', () => {
+        const descriptor = decodeFullResourceDescriptor(buildFullDescriptor(0, [memoryLargeDescriptor]));
+        assert.strictEqual(descriptor.partialResourceList.partialDescriptors[0].start, 0x100000000n);
+        assert.strictEqual(descriptor.partialResourceList.partialDescriptors[0].length, 2n << 16n);
+    });
+
+    it('decodes REG_RESOURCE_LIST of several full descriptors', () => {
+        const count = Buffer.alloc(4);
+        count.writeUInt32LE(2);
+        const second = buildFullDescriptor(3, [memoryLargeDescriptor]);
+        const data = Buffer.concat([count, fullDescriptor, second]);
+
+        const resourceList = decodeResourceList(data);
+        assert.strictEqual(resourceList.list.length, 2);
+        assert.deepStrictEqual(resourceList.list[0], expectedFullDescriptor);
+        assert.strictEqual(resourceList.list[1].busNumber, 3);
+        assert.deepStrictEqual(decodeValue(ValueType.REG_RESOURCE_LIST, data), resourceList);
+    });
+
+    it('decodes REG_RESOURCE_REQUIREMENTS_LIST with alternative lists', () => {
+        const decoded = decodeResourceRequirementsList(requirementsList);
+        const { alternativeLists, ...header } = decoded;
+        assert.deepStrictEqual(header, {
+            listSize: requirementsList.length,
+            interfaceType: PCIBus,
+            busNumber: 2,
+            slotNumber: 7,
+            reserved: [0, 0, 0],
+        });
+        assert.strictEqual(alternativeLists.length, 2);
+        assert.deepStrictEqual(alternativeLists[0], {
+            version: 1,
+            revision: 1,
+            descriptors: [
+                { option: 0, type: ResourceType.CmResourceTypePort, shareDisposition: 1, flags: 0x11, length: 8, alignment: 1, minimumAddress: 0x3f8n, maximumAddress: 0x3ffn },
+                {
+                    option: 1, type: ResourceType.CmResourceTypeInterrupt, shareDisposition: 1, flags: 0x11,
+                    minimumVector: 3, maximumVector: 4, affinityPolicy: 1, group: 0, priorityPolicy: 2, targetedProcessors: 0xfn,
+                },
+            ],
+        });
+        assert.deepStrictEqual(alternativeLists[1].descriptors, [alternativeLists[0].descriptors[0]]);
+        assert.deepStrictEqual(decodeValue(ValueType.REG_RESOURCE_REQUIREMENTS_LIST, requirementsList), decoded);
+    });
+
+    it('throws RangeError for truncated data', () => {
+        // Truncated in the header, in a descriptor, and in device specific data
+        assert.throws(() => decodeFullResourceDescriptor(fullDescriptor.subarray(0, 10)), RangeError);
+        assert.throws(() => decodeFullResourceDescriptor(fullDescriptor.subarray(0, 30)), /Partial resource descriptor exceeds the end of the buffer/);
+        assert.throws(() => decodeFullResourceDescriptor(fullDescriptor.subarray(0, fullDescriptor.length - 1)), /Device specific data of 3 bytes exceeds the end of the buffer/);
+
+        const count = Buffer.alloc(4);
+        count.writeUInt32LE(2);
+        assert.throws(() => decodeResourceList(Buffer.concat([count, fullDescriptor])), RangeError);
+        assert.throws(() => decodeResourceList(Buffer.alloc(2)), RangeError);
+
+        assert.throws(() => decodeResourceRequirementsList(requirementsList.subarray(0, 20)), RangeError);
+        assert.throws(() => decodeResourceRequirementsList(requirementsList.subarray(0, requirementsList.length - 1)), /I\/O resource descriptor exceeds the end of the buffer/);
+    });
+
+    it('keeps truncated data of resource list values as raw data', () => {
+        const truncated = requirementsList.subarray(0, 50);
+        assert.strictEqual(decodeValue(ValueType.REG_RESOURCE_REQUIREMENTS_LIST, truncated), truncated);
+        const truncatedDescriptor = fullDescriptor.subarray(0, fullDescriptor.length - 1);
+        assert.strictEqual(decodeValue(ValueType.REG_FULL_RESOURCE_DESCRIPTOR, truncatedDescriptor), truncatedDescriptor);
+    });
+});
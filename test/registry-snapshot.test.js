@@ -0,0 +1,45 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { coalesceDiffs } = require('../lib/registry-snapshot.js');
+
+const KeyPath = 'HKCU\\Software\\RegistryMonitorTest';
+
+function diff({ added = [], removed = [], modified = [], created = [], deleted = [] }) {
+    return { values: { added, removed, modified }, subKeys: { created, deleted } };
+}
+
+function modified(name, oldData, newData) {
+    return { path: KeyPath, name, oldType: 4, oldData, newType: 4, newData };
+}
+
+describe('coalesceDiffs', () => {
+    it('keeps the first old value and the last new value', () => {
+        const folded = coalesceDiffs(diff({ modified: [modified('v', 1, 2)] }), diff({ modified: [modified('V', 2, 3)] }), diff({ modified: [modified('v', 3, 4)] }));
+        assert.deepStrictEqual(folded.values.modified, [modified('v', 1, 4)]);
+        assert.deepStrictEqual(folded.values.added, []);
+    });
+
+    it('drops values that changed back', () => {
+        const folded = coalesceDiffs(
+            diff({ modified: [modified('v', 1, 2)], added: [{ path: KeyPath, name: 'new', type: 4, data: 1 }] }),
+            diff({ modified: [modified('v', 2, 1)], removed: [{ path: KeyPath, name: 'new', type: 4, data: 1 }] }));
+        assert.deepStrictEqual(folded, diff({}));
+    });
+
+    it('turns a removed and re-added value into a modification', () => {
+        const folded = coalesceDiffs(
+            diff({ removed: [{ path: KeyPath, name: 'v', type: 4, data: 1 }] }),
+            diff({ added: [{ path: KeyPath, name: 'v', type: 1, data: 'one' }] }));
+        assert.deepStrictEqual(folded.values.modified, [{ path: KeyPath, name: 'v', oldType: 4, oldData: 1, newType: 1, newData: 'one' }]);
+    });
+
+    it('folds key creation and deletion', () => {
+        const child = `${KeyPath}\\Child`;
+        assert.deepStrictEqual(coalesceDiffs(diff({ created: [child] }), diff({ deleted: [child] })).subKeys, { created: [], deleted: [] });
+        assert.deepStrictEqual(coalesceDiffs(diff({ deleted: [child] }), diff({ created: [child] })).subKeys, { created: [child], deleted: [child] });
+        assert.deepStrictEqual(coalesceDiffs(diff({ created: [child] }), diff({ deleted: [child] }), diff({ created: [child] })).subKeys, { created: [child], deleted: [] });
+    });
+});
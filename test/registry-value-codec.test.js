@@ -0,0 +1,57 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const Registry = require('..');
+const { decodeValue, encodeValue } = require('../lib/registry-value-codec.js');
+const { useMemoryRegistry } = require('./helpers.js');
+
+const { ValueType } = Registry;
+
+const MaxQword = 2n ** 64n - 1n;
+
+describe('REG_QWORD encoding', () => {
+    it('encodes BigInts and safe integers as 64-bit little endian', () => {
+        assert.deepStrictEqual(encodeValue(ValueType.REG_QWORD, 0n), Buffer.alloc(8));
+        assert.deepStrictEqual(encodeValue(ValueType.REG_QWORD, 1), Buffer.from([1, 0, 0, 0, 0, 0, 0, 0]));
+        assert.deepStrictEqual(encodeValue(ValueType.REG_QWORD, MaxQword), Buffer.alloc(8, 0xff));
+        assert.deepStrictEqual(encodeValue(ValueType.REG_QWORD, Number.MAX_SAFE_INTEGER), Buffer.from([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x1f, 0]));
+        assert.strictEqual(decodeValue(ValueType.REG_QWORD, encodeValue(ValueType.REG_QWORD, MaxQword)), MaxQword);
+    });
+
+    it('throws RangeError for negative values', () => {
+        assert.throws(() => encodeValue(ValueType.REG_QWORD, -1n), RangeError);
+        assert.throws(() => encodeValue(ValueType.REG_QWORD, -1), RangeError);
+    });
+
+    it('throws RangeError for values above 2^64-1', () => {
+        assert.throws(() => encodeValue(ValueType.REG_QWORD, MaxQword + 1n), RangeError);
+        assert.throws(() => encodeValue(ValueType.REG_QWORD, 2n ** 70n), RangeError);
+    });
+
+    it('throws RangeError for numbers that are not safe integers', () => {
+        assert.throws(() => encodeValue(ValueType.REG_QWORD, Number.MAX_SAFE_INTEGER + 1), /not a safe integer/);
+        assert.throws(() => encodeValue(ValueType.REG_QWORD, 2 ** 64), RangeError);
+        assert.throws(() => encodeValue(ValueType.REG_QWORD, 1.5), RangeError);
+        assert.throws(() => encodeValue(ValueType.REG_QWORD, NaN), RangeError);
+        assert.throws(() => encodeValue(ValueType.REG_QWORD, Infinity), RangeError);
+    });
+
+    it('throws TypeError for values that are neither BigInts nor numbers', () => {
+        for (const value of ['1', null, undefined, true, Buffer.alloc(8), [1]]) {
+            assert.throws(() => encodeValue(ValueType.REG_QWORD, value), TypeError, `${typeof value} is rejected`);
+        }
+    });
+
+    it('fails to set REG_QWORD values that cannot be encoded', () => {
+        const registry = useMemoryRegistry();
+        const path = 'HKCU\\Software\\RegistryMonitorTest';
+        assert.strictEqual(registry.setValue(path, 'qword', 2n ** 40n, ValueType.REG_QWORD), true);
+
+        assert.strictEqual(registry.setValue(path, 'qword', -1n, ValueType.REG_QWORD), false);
+        assert.strictEqual(registry.setValue(path, 'qword', 2 ** 60, ValueType.REG_QWORD), false);
+        assert.strictEqual(registry.setValue(path, 'qword', '1', ValueType.REG_QWORD), false);
+        assert.strictEqual(registry.getValue(path, 'qword'), 2n ** 40n);
+    });
+});
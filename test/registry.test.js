@@ -0,0 +1,128 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const Registry = require('..');
+const { useMemoryRegistry } = require('./helpers.js');
+
+const KeyPath = 'HKCU\\Software\\RegistryMonitorTest';
+
+describe('Registry on memory backend', () => {
+    let registry;
+    beforeEach(() => {
+        registry = useMemoryRegistry();
+    });
+
+    it('uses polling monitor engine by default', () => {
+        assert.strictEqual(registry.monitorEngine, Registry.MonitorEngine.Polling);
+    });
+
+    it('sets and gets values of all basic types', () => {
+        assert.strictEqual(registry.setValue(KeyPath, 'dword', 42, Registry.ValueType.REG_DWORD), true);
+        assert.strictEqual(registry.setValue(KeyPath, 'qword', 2n ** 40n, Registry.ValueType.REG_QWORD), true);
+        assert.strictEqual(registry.setValue(KeyPath, 'str', 'hello', Registry.ValueType.REG_SZ), true);
+        assert.strictEqual(registry.setValue(KeyPath, 'multi', ['a', 'b'], Registry.ValueType.REG_MULTI_SZ), true);
+
+        assert.strictEqual(registry.getValue(KeyPath, 'dword'), 42);
+        assert.strictEqual(registry.getValue(KeyPath, 'qword'), 2n ** 40n);
+        assert.strictEqual(registry.getValueType(KeyPath, 'str'), Registry.ValueType.REG_SZ);
+        assert.deepStrictEqual(registry.getValue(KeyPath, 'multi'), ['a', 'b']);
+        assert.deepStrictEqual(registry.getValueNames(KeyPath).sort(), ['dword', 'multi', 'qword', 'str']);
+    });
+
+    it('opens keys and reports missing ones', () => {
+        assert.strictEqual(registry.openKey(`${KeyPath}\\Missing`), null);
+
+        const key = registry.openKey(`${KeyPath}\\Created`, true, false);
+        assert.notStrictEqual(key, null);
+        assert.strictEqual(key.setValue('v', 1, Registry.ValueType.REG_DWORD), true);
+        assert.strictEqual(key.getValue('v'), 1);
+        registry.closeKey(key);
+
+        assert.deepStrictEqual(registry.getSubKeyNames(KeyPath), ['Created']);
+    });
+
+    it('enumerates sub keys', () => {
+        registry.setValue(`${KeyPath}\\b`, 'v', 1, Registry.ValueType.REG_DWORD);
+        registry.setValue(`${KeyPath}\\A\\Grandchild`, 'v', 1, Registry.ValueType.REG_DWORD);
+        registry.closeKey(registry.openKey(`${KeyPath}\\Empty`, true, false));
+
+        // Only direct sub keys are listed
+        assert.deepStrictEqual(registry.getSubKeyNames(KeyPath), ['A', 'b', 'Empty']);
+        assert.deepStrictEqual(registry.getSubKeyNames(`${KeyPath}\\Empty`), []);
+        assert.strictEqual(registry.getSubKeyNames(`${KeyPath}\\Missing`), null);
+
+        const key = registry.openKey(`${KeyPath}\\A`);
+        assert.deepStrictEqual(key.getSubKeyNames(), ['Grandchild']);
+        registry.closeKey(key);
+    });
+
+    it('enumerates values with their types', () => {
+        registry.setValue(KeyPath, '', 'default', Registry.ValueType.REG_SZ);
+        registry.setValue(KeyPath, 'dword', 1, Registry.ValueType.REG_DWORD);
+        registry.setValue(KeyPath, 'binary', Buffer.from([1, 2]), Registry.ValueType.REG_BINARY);
+        registry.setValue(`${KeyPath}\\Child`, 'v', 1, Registry.ValueType.REG_DWORD);
+
+        assert.deepStrictEqual(registry.getValues(KeyPath, { strictStrings: true }), [
+            { name: '', type: Registry.ValueType.REG_SZ, data: 'default' },
+            { name: 'dword', type: Registry.ValueType.REG_DWORD, data: 1 },
+            { name: 'binary', type: Registry.ValueType.REG_BINARY, data: Buffer.from([1, 2]) },
+        ]);
+
+        // Values of sub keys are not listed
+        assert.deepStrictEqual(registry.getValues(`${KeyPath}\\Child`).map(value => value.name), ['v']);
+        registry.closeKey(registry.openKey(`${KeyPath}\\Empty`, true, false));
+        assert.deepStrictEqual(registry.getValues(`${KeyPath}\\Empty`), []);
+        assert.strictEqual(registry.getValues(`${KeyPath}\\Missing`), null);
+    });
+
+    it('retrieves key information', () => {
+        const before = Date.now();
+        registry.setValue(KeyPath, 'dword', 1, Registry.ValueType.REG_DWORD);
+        registry.setValue(KeyPath, 'longer name', 'abc', Registry.ValueType.REG_SZ);
+        registry.setValue(KeyPath, 'binary', Buffer.alloc(10), Registry.ValueType.REG_BINARY);
+        registry.setValue(`${KeyPath}\\Child`, 'v', 1, Registry.ValueType.REG_DWORD);
+        registry.setValue(`${KeyPath}\\Longer child`, 'v', 1, Registry.ValueType.REG_DWORD);
+
+        const info = registry.getKeyInfo(KeyPath);
+        assert.strictEqual(info.subKeyCount, 2);
+        assert.strictEqual(info.maxSubKeyNameLength, 'Longer child'.length);
+        assert.strictEqual(info.valueCount, 3);
+        assert.strictEqual(info.maxValueNameLength, 'longer name'.length);
+        assert.strictEqual(info.maxValueDataSize, 10);
+        assert.strictEqual(info.className, '');
+        assert.ok(info.lastWriteTime instanceof Date);
+        assert.ok(info.lastWriteTime.getTime() >= before && info.lastWriteTime.getTime() <= Date.now());
+
+        const key = registry.openKey(`${KeyPath}\\Child`, true, false);
+        const { lastWriteTime, ...childInfo } = key.getInfo();
+        assert.ok(lastWriteTime instanceof Date);
+        assert.deepStrictEqual(childInfo, {
+            className: '',
+            subKeyCount: 0,
+            maxSubKeyNameLength: 0,
+            maxClassNameLength: 0,
+            valueCount: 1,
+            maxValueNameLength: 1,
+            maxValueDataSize: 4,
+        });
+        registry.closeKey(key);
+
+        registry.closeKey(registry.openKey(`${KeyPath}\\Empty`, true, false));
+        const emptyInfo = registry.getKeyInfo(`${KeyPath}\\Empty`);
+        assert.strictEqual(emptyInfo.subKeyCount, 0);
+        assert.strictEqual(emptyInfo.valueCount, 0);
+        assert.strictEqual(emptyInfo.maxValueNameLength, 0);
+        assert.strictEqual(emptyInfo.maxValueDataSize, 0);
+        assert.strictEqual(registry.getKeyInfo(`${KeyPath}\\Missing`), null);
+    });
+
+    it('deletes values and keys', () => {
+        registry.setValue(`${KeyPath}\\Child`, 'v', 1, Registry.ValueType.REG_DWORD);
+        assert.strictEqual(registry.deleteValue(`${KeyPath}\\Child`, 'v'), true);
+        assert.strictEqual(registry.checkValueExistence(`${KeyPath}\\Child`, 'v'), false);
+        assert.strictEqual(registry.deleteKey(`${KeyPath}\\Child`), true);
+        assert.strictEqual(registry.openKey(`${KeyPath}\\Child`), null);
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const Registry = require('..');
+
+const { ValueCondition, ValueType } = Registry;
+
+describe('ValueCondition', () => {
+    it('checks numbers and BigInts against a range', () => {
+        const condition = ValueCondition.range(1, 10);
+        assert.strictEqual(condition.evaluate(1, ValueType.REG_DWORD), true);
+        assert.strictEqual(condition.evaluate(10, ValueType.REG_DWORD), true);
+        assert.strictEqual(condition.evaluate(0, ValueType.REG_DWORD), false);
+        assert.strictEqual(condition.evaluate(11n, ValueType.REG_QWORD), false);
+        assert.strictEqual(condition.evaluate(5n, ValueType.REG_QWORD), true);
+        assert.strictEqual(condition.description, 'in range 1..10');
+
+        // Open ends and BigInt bounds
+        assert.strictEqual(ValueCondition.range(null, 2n ** 40n).evaluate(2 ** 40, ValueType.REG_QWORD), true);
+        assert.strictEqual(ValueCondition.range(5, null).evaluate(2n ** 64n - 1n, ValueType.REG_QWORD), true);
+        assert.strictEqual(ValueCondition.range(5, null).evaluate(4, ValueType.REG_DWORD), false);
+        assert.strictEqual(ValueCondition.range(null, 5).toString(), 'in range ..5');
+    });
+
+    it('checks numbers outside a range', () => {
+        const condition = ValueCondition.outside(1, 10);
+        assert.strictEqual(condition.evaluate(0, ValueType.REG_DWORD), true);
+        assert.strictEqual(condition.evaluate(11n, ValueType.REG_QWORD), true);
+        assert.strictEqual(condition.evaluate(5, ValueType.REG_DWORD), false);
+        assert.strictEqual(condition.description, 'not in range 1..10');
+    });
+
+    it('throws when a range is checked against something other than a number', () => {
+        assert.throws(() => ValueCondition.range(1, 10).evaluate('5', ValueType.REG_SZ), TypeError);
+        assert.throws(() => ValueCondition.outside(1, 10).evaluate(Buffer.alloc(4), ValueType.REG_BINARY), TypeError);
+    });
+
+    it('matches strings and string arrays to a pattern', () => {
+        const condition = ValueCondition.matches(/proxy/i);
+        assert.strictEqual(condition.evaluate('http://PROXY:8080', ValueType.REG_SZ), true);
+        assert.strictEqual(condition.evaluate('direct', ValueType.REG_SZ), false);
+        assert.strictEqual(condition.evaluate(['direct', 'proxy'], ValueType.REG_MULTI_SZ), true);
+        assert.strictEqual(condition.evaluate([], ValueType.REG_MULTI_SZ), false);
+        assert.throws(() => condition.evaluate(1, ValueType.REG_DWORD), TypeError);
+        assert.throws(() => ValueCondition.matches('proxy'), TypeError);
+    });
+
+    it('resets lastIndex of global and sticky patterns before each match', () => {
+        for (const pattern of [/a/g, /a/y]) {
+            const condition = ValueCondition.matches(pattern);
+            assert.strictEqual(condition.evaluate('a', ValueType.REG_SZ), true);
+            assert.strictEqual(condition.evaluate('a', ValueType.REG_SZ), true, `${pattern} matches again`);
+            assert.strictEqual(condition.evaluate(['b', 'a'], ValueType.REG_MULTI_SZ), true, `${pattern} matches the second string`);
+
+            // Even if lastIndex was changed by someone else
+            pattern.lastIndex = 5;
+            assert.strictEqual(condition.evaluate('ab', ValueType.REG_SZ), true, `${pattern} matches from the start`);
+        }
+    });
+
+    it('checks substrings of strings and items of string arrays', () => {
+        const condition = ValueCondition.contains('b');
+        assert.strictEqual(condition.evaluate('abc', ValueType.REG_SZ), true);
+        assert.strictEqual(condition.evaluate('ABC', ValueType.REG_SZ), false);
+        assert.strictEqual(condition.evaluate(['a', 'b'], ValueType.REG_MULTI_SZ), true);
+        assert.strictEqual(condition.evaluate(['ab', 'bc'], ValueType.REG_MULTI_SZ), false);
+        assert.throws(() => condition.evaluate(1, ValueType.REG_DWORD), TypeError);
+        assert.throws(() => condition.evaluate([1], ValueType.REG_MULTI_SZ), TypeError);
+        assert.throws(() => ValueCondition.contains(1), TypeError);
+    });
+
+    it('negates a condition, but still throws on type mismatch', () => {
+        const condition = ValueCondition.contains('b').not();
+        assert.strictEqual(condition.evaluate('abc', ValueType.REG_SZ), false);
+        assert.strictEqual(condition.evaluate('ac', ValueType.REG_SZ), true);
+        assert.strictEqual(condition.description, 'not contains "b"');
+        assert.throws(() => condition.evaluate(1, ValueType.REG_DWORD), TypeError);
+        assert.strictEqual(condition.not().evaluate('abc', ValueType.REG_SZ), true);
+    });
+
+    it('creates conditions from predicates and patterns', () => {
+        const condition = ValueCondition.range(1, 2);
+        assert.strictEqual(ValueCondition.from(condition), condition);
+
+        const isEven = (value, type) => type === ValueType.REG_DWORD && value % 2 === 0;
+        const fromPredicate = ValueCondition.from(isEven);
+        assert.ok(fromPredicate instanceof ValueCondition);
+        assert.strictEqual(fromPredicate.evaluate(2, ValueType.REG_DWORD), true);
+        assert.strictEqual(fromPredicate.evaluate(2, ValueType.REG_QWORD), false);
+        assert.strictEqual(fromPredicate.description, 'satisfies isEven');
+
+        // Predicate results are converted to boolean
+        assert.strictEqual(ValueCondition.predicate(value => value).evaluate('x', ValueType.REG_SZ), true);
+
+        const fromPattern = ValueCondition.from(/^a/);
+        assert.strictEqual(fromPattern.evaluate('ab', ValueType.REG_SZ), true);
+        assert.strictEqual(fromPattern.description, 'matches /^a/');
+
+        assert.strictEqual(ValueCondition.from('a'), null);
+        assert.strictEqual(ValueCondition.from(null), null);
+        assert.throws(() => ValueCondition.predicate('a'), TypeError);
+    });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { Win32WaitWorker } = require('../lib/win32-wait-worker.js');
+const { FakeEventState, createFakeEvents, waitUntil, delay } = require('./helpers.js');
+
+const FakeWaitThreadFile = path.join(__dirname, 'fake-wait-thread.js');
+
+describe('Win32WaitWorker', () => {
+    let fake;
+    let signaled;
+    let errors;
+    let waitWorker;
+    beforeEach(() => {
+        fake = createFakeEvents(16);
+        signaled = [];
+        errors = [];
+        waitWorker = new Win32WaitWorker(fake.api, (err, waitHandles) => {
+            if (err) {
+                errors.push(err);
+            }
+            signaled.push(...waitHandles.map(event => event.index));
+        }, FakeWaitThreadFile, { events: fake.buffer });
+    });
+    afterEach(async () => {
+        waitWorker.stop();
+        await waitUntil(() => !waitWorker.isRunning);
+        assert.deepStrictEqual(errors, []);
+        assert.strictEqual(fake.state[FakeEventState.ClosedWaitCount], 0);
+    });
+
+    const isClosed = event => fake.state[FakeEventState.Closed + event.index] !== 0;
+
+    it('reports signaled events, but not the event that wakes up the wait', async () => {
+        const [controlEvent, event1, event2] = fake.events;
+        waitWorker.update([[controlEvent, event1, event2]]);
+
+        fake.api.setEvent(event2);
+        await waitUntil(() => signaled.length === 1);
+        fake.api.setEvent(controlEvent);
+        fake.api.setEvent(event1);
+        fake.api.setEvent(event2);
+        await waitUntil(() => signaled.length === 3);
+        assert.deepStrictEqual(signaled, [2, 1, 2]);
+    });
+
+    it('waits for each group on a thread of its own without timeout', async () => {
+        const events = fake.events;
+        waitWorker.update([[events[0], events[1]], [events[2], events[3]], [events[4], events[5]]]);
+        assert.strictEqual(waitWorker.runningThreads.size, 3);
+
+        // Idle threads don't wake up
+        await waitUntil(() => fake.state[FakeEventState.WaitCount] === 3);
+        await delay(100);
+        assert.strictEqual(fake.state[FakeEventState.WaitCount], 3);
+        assert.strictEqual(fake.state[FakeEventState.TimedWaitCount], 0);
+
+        fake.api.setEvent(events[5]);
+        fake.api.setEvent(events[1]);
+        fake.api.setEvent(events[3]);
+        await waitUntil(() => signaled.length === 3);
+        assert.deepStrictEqual(signaled.sort(), [1, 3, 5]);
+    });
+
+    it('wakes up a thread to pick up changes of its group only', async () => {
+        const events = fake.events;
+        const group1 = [events[0], events[1]];
+        waitWorker.update([group1, [events[2], events[3]]]);
+        await waitUntil(() => fake.state[FakeEventState.WaitCount] === 2);
+
+        // Unchanged groups are left alone
+        const thread1 = waitWorker.threads.get(events[0]);
+        waitWorker.update([group1, [events[2], events[3], events[4]]]);
+        assert.strictEqual(waitWorker.threads.get(events[0]), thread1);
+        assert.strictEqual(thread1.generation, 1);
+        assert.strictEqual(waitWorker.threads.get(events[2]).generation, 2);
+
+        fake.api.setEvent(events[4]);
+        await waitUntil(() => signaled.length === 1);
+        assert.deepStrictEqual(signaled, [4]);
+    });
+
+    it('defers closing events until the thread no longer waits for them', async () => {
+        const events = fake.events;
+        waitWorker.update([[events[0], events[1], events[2]]]);
+        await waitUntil(() => fake.state[FakeEventState.WaitCount] === 1);
+
+        assert.strictEqual(waitWorker.closeHandle(events[1]), true);
+        assert.strictEqual(isClosed(events[1]), false);
+
+        waitWorker.update([[events[0], events[2]]]);
+        await waitUntil(() => isClosed(events[1]));
+        assert.strictEqual(waitWorker.isWaitingFor(events[1]), false);
+
+        // Events that are not waited for are closed right away
+        assert.strictEqual(waitWorker.closeHandle(events[9]), true);
+        assert.strictEqual(isClosed(events[9]), true);
+
+        fake.api.setEvent(events[2]);
+        await waitUntil(() => signaled.length === 1);
+        assert.deepStrictEqual(signaled, [2]);
+    });
+
+    it('stops the thread of a removed group before closing its events', async () => {
+        const events = fake.events;
+        waitWorker.update([[events[0], events[1]], [events[2], events[3]]]);
+        await waitUntil(() => fake.state[FakeEventState.WaitCount] === 2);
+
+        waitWorker.closeHandle(events[2]);
+        waitWorker.closeHandle(events[3]);
+        waitWorker.update([[events[0], events[1]]]);
+        assert.strictEqual(isClosed(events[2]), false);
+        await waitUntil(() => waitWorker.runningThreads.size === 1);
+        assert.strictEqual(isClosed(events[2]), true);
+        assert.strictEqual(isClosed(events[3]), true);
+    });
+
+    it('closes deferred events and stops reporting once stopped', async () => {
+        const events = fake.events;
+        waitWorker.update([[events[0], events[1]]]);
+        await waitUntil(() => fake.state[FakeEventState.WaitCount] === 1);
+
+        waitWorker.closeHandle(events[1]);
+        waitWorker.stop();
+        assert.strictEqual(waitWorker.isRunning, true);
+        await waitUntil(() => !waitWorker.isRunning);
+        assert.strictEqual(isClosed(events[1]), true);
+        assert.deepStrictEqual(signaled, []);
+    });
+});